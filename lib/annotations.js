@@ -0,0 +1,280 @@
+const express = require("express");
+const path = require("path");
+const fs = require("fs");
+const { relativePathFromSegments, parentFolder } = require("./gallery");
+const { hashFile } = require("./files");
+const { normalizeTags } = require("./keywords");
+const { apiError, apiErrorHandler } = require("./api");
+
+// Favorites, star ratings (1 to 5) and tags set in the gallery, kept in ".annotations.json" at the top of the
+// library (a dotfile, so it is never indexed or served, and it stays with the library when that moves), or
+// wherever the library's "annotationsFile" setting says when the library folder is read-only (see lib/config.js).
+//
+// Annotations are stored by file path together with a hash of the file's contents, so they follow a file that
+// is renamed or moved, through the gallery or outside it: when an annotated file disappears, the files of the
+// same size that have no annotations yet are hashed, and the one with the same contents takes them over.
+// Keywords embedded in the files (see lib/keywords.js) count as tags too; they can only be removed in the
+// program that wrote them, so only the tags added in the gallery are stored here.
+//
+// The media index hands out every entry with its `favorite`, `rating` and `tags` (see createMediaIndex's
+// `annotationsOf`). The JSON API changes them, as part of /api/v1:
+//
+//   PUT /annotations/<file path>   { favorite, rating, tags }   any of the three; rating null clears it
+
+const ANNOTATIONS_FILE = ".annotations.json";
+const STORE_VERSION = 1;
+const SAVE_DEBOUNCE_MS = 1000;
+// Wait for a burst of index changes (e.g. a whole album being moved) before looking for moved files
+const RECONCILE_DELAY_MS = 2000;
+const MAX_TAGS = 50;
+const MAX_BODY = "100kb";
+
+// Paths in the store always use "/", so it can be read on any platform
+const toStorePath = (relativePath) => relativePath.split(path.sep).join("/");
+
+const isEmptyRecord = (record) => !record.favorite && !record.rating && record.tags.length === 0;
+
+const createAnnotations = ({ rootDir, file = path.join(rootDir, ANNOTATIONS_FILE) }) => {
+  // relativePath -> { hash, size, mtime, favorite, rating, tags }
+  const records = new Map();
+  // Hashes of files checked while looking for moved ones: relativePath -> { size, mtime, hash }
+  const hashCache = new Map();
+  let saveTimer = null;
+  let writing = Promise.resolve();
+  let reconcileTimer = null;
+  let reconciling = null;
+
+  const load = async () => {
+    try {
+      const data = JSON.parse(await fs.promises.readFile(file, "utf8"));
+      if (data.version !== STORE_VERSION) throw new Error(`unknown version ${data.version}`);
+      for (const [storePath, record] of Object.entries(data.files)) {
+        const relativePath = relativePathFromSegments(storePath.split("/"));
+        if (relativePath) records.set(relativePath, { ...record, tags: normalizeTags(record.tags || []) });
+      }
+    } catch (err) {
+      if (err.code !== "ENOENT") console.error(`Ignoring unreadable annotations ${file}:`, err.message);
+    }
+  };
+  const ready = load();
+
+  const write = async () => {
+    const data = {
+      version: STORE_VERSION,
+      files: Object.fromEntries([...records].map(([relativePath, record]) => [toStorePath(relativePath), record])),
+    };
+    // Write to a temp file first so a crash never leaves half the annotations behind
+    await fs.promises.mkdir(path.dirname(file), { recursive: true });
+    await fs.promises.writeFile(`${file}.tmp`, JSON.stringify(data, null, 2));
+    await fs.promises.rename(`${file}.tmp`, file);
+  };
+
+  // Save everything now, after any save already under way; rejects if the file can't be written
+  const save = () => {
+    clearTimeout(saveTimer);
+    saveTimer = null;
+    writing = writing.catch(() => {}).then(write);
+    return writing;
+  };
+
+  // Save changes the gallery made by itself (see reconcile) a little later, together
+  const scheduleSave = () => {
+    if (saveTimer) return;
+    saveTimer = setTimeout(() => {
+      save().catch((err) => console.error(`Error saving annotations to ${file}:`, err.message));
+    }, SAVE_DEBOUNCE_MS);
+    saveTimer.unref();
+  };
+
+  // What the gallery shows for an index entry: its own tags (embedded keywords) come first
+  const annotationsOf = (entry) => {
+    const record = records.get(entry.file);
+    return {
+      favorite: Boolean(record && record.favorite),
+      rating: (record && record.rating) || null,
+      tags: normalizeTags([...(entry.keywords || []), ...(record ? record.tags : [])]),
+    };
+  };
+
+  // Change a file's annotations; `changes` holds any of favorite, rating and tags (the full list, embedded
+  // keywords included or not). Resolves to the file's annotations afterwards, once they are saved; if they
+  // can't be, the change is undone and the promise rejects.
+  const update = async (entry, changes) => {
+    await ready;
+    const stored = records.get(entry.file);
+    const previous = stored || { favorite: false, rating: null, tags: [] };
+    const record = { ...previous };
+    if (changes.favorite !== undefined) record.favorite = changes.favorite;
+    if (changes.rating !== undefined) record.rating = changes.rating;
+    if (changes.tags !== undefined) {
+      const embedded = new Set((entry.keywords || []).map((tag) => tag.toLowerCase()));
+      record.tags = normalizeTags(changes.tags).filter((tag) => !embedded.has(tag.toLowerCase()));
+    }
+    if (isEmptyRecord(record)) {
+      records.delete(entry.file);
+    } else {
+      // The hash is what finds the file again after a rename; edited files need a new one
+      if (!record.hash || record.size !== entry.size || record.mtime !== entry.mtime) {
+        record.hash = await hashFile(path.join(rootDir, entry.file));
+        record.size = entry.size;
+        record.mtime = entry.mtime;
+      }
+      records.set(entry.file, record);
+    }
+    try {
+      await save();
+    } catch (err) {
+      if (stored) {
+        records.set(entry.file, stored);
+      } else {
+        records.delete(entry.file);
+      }
+      throw new Error(`Can't save annotations to ${file}: ${err.message}`);
+    }
+    return annotationsOf(entry);
+  };
+
+  // Hash of an indexed file, reusing the last one while its size and mtime stay the same
+  const cachedHash = async (entry) => {
+    const cached = hashCache.get(entry.file);
+    if (cached && cached.size === entry.size && cached.mtime === entry.mtime) return cached.hash;
+    const hash = await hashFile(path.join(rootDir, entry.file));
+    hashCache.set(entry.file, { size: entry.size, mtime: entry.mtime, hash });
+    return hash;
+  };
+
+  // Bring the stored paths and hashes in line with the library: annotations of files that are gone move to
+  // a file with the same contents, and files edited in place get a new hash. Annotations of files that are
+  // simply gone are kept, so they are back if the file is (e.g. restored from the trash).
+  const reconcile = async (mediaIndex) => {
+    await ready;
+    const entries = new Map(mediaIndex.getAllFiles().map((entry) => [entry.file, entry]));
+    let changed = false;
+    const missing = [];
+    for (const [relativePath, record] of records) {
+      const entry = entries.get(relativePath);
+      if (entry) {
+        if (record.size !== entry.size || record.mtime !== entry.mtime) {
+          Object.assign(record, { hash: await cachedHash(entry), size: entry.size, mtime: entry.mtime });
+          changed = true;
+        }
+        continue;
+      }
+      // Not in the index, but it may only be hidden by its album's settings
+      const exists = await fs.promises.access(path.join(rootDir, relativePath)).then(
+        () => true,
+        () => false,
+      );
+      if (!exists) missing.push(relativePath);
+    }
+
+    for (const relativePath of missing) {
+      const record = records.get(relativePath);
+      for (const entry of entries.values()) {
+        if (entry.size !== record.size || records.has(entry.file)) continue;
+        if ((await cachedHash(entry)) !== record.hash) continue;
+        records.delete(relativePath);
+        records.set(entry.file, { ...record, mtime: entry.mtime });
+        console.log(`Annotations of ${relativePath} moved along with it to ${entry.file}`);
+        changed = true;
+        break;
+      }
+    }
+    // Files that are gone don't need their hashes any more
+    for (const relativePath of hashCache.keys()) {
+      if (!entries.has(relativePath)) hashCache.delete(relativePath);
+    }
+    if (changed) scheduleSave();
+  };
+
+  // Keep the annotations in step with `mediaIndex` from now on
+  const follow = (mediaIndex) => {
+    const run = () => {
+      if (reconciling) return;
+      reconciling = reconcile(mediaIndex)
+        .catch((err) => console.error("Error matching annotations to the library:", err))
+        .finally(() => {
+          reconciling = null;
+        });
+    };
+    mediaIndex.onChange(() => {
+      clearTimeout(reconcileTimer);
+      reconcileTimer = setTimeout(run, RECONCILE_DELAY_MS);
+      reconcileTimer.unref();
+    });
+    mediaIndex.ready.then(run);
+  };
+
+  return {
+    ready,
+    annotationsOf,
+    update,
+    follow,
+
+    close: async () => {
+      clearTimeout(reconcileTimer);
+      if (saveTimer) {
+        await save().catch((err) => console.error(`Error saving annotations to ${file}:`, err.message));
+      }
+    },
+  };
+};
+
+// The changes asked for in a request body; throws an API error for anything invalid
+const parseChanges = (body) => {
+  const { favorite, rating, tags } = body || {};
+  if (favorite !== undefined && typeof favorite !== "boolean") {
+    throw apiError(400, "invalid_parameter", `"favorite" must be true or false`);
+  }
+  if (rating !== undefined && rating !== null && !(Number.isInteger(rating) && rating >= 1 && rating <= 5)) {
+    throw apiError(400, "invalid_parameter", `"rating" must be a whole number from 1 to 5, or null`);
+  }
+  if (tags !== undefined && !(Array.isArray(tags) && tags.every((tag) => typeof tag === "string"))) {
+    throw apiError(400, "invalid_parameter", `"tags" must be a list of strings`);
+  }
+  if (tags !== undefined && normalizeTags(tags).length > MAX_TAGS) {
+    throw apiError(400, "invalid_parameter", `A file can have at most ${MAX_TAGS} tags`);
+  }
+  return { favorite, rating, tags };
+};
+
+// `canAnnotate(req, folderRelativePath)` decides who may change the annotations of the files in an album;
+// `indexFor(req)` is the part of the index the visitor may see and `audit` the audit log (see lib/audit.js)
+const createAnnotationsRouter = ({ mediaIndex, indexFor = () => mediaIndex, annotations, canAnnotate, audit }) => {
+  const router = express.Router();
+
+  // The index may still be doing its first scan right after startup
+  router.use(async (req, res, next) => {
+    await mediaIndex.ready;
+    next();
+  });
+
+  router.use(express.json({ limit: MAX_BODY }));
+
+  router.put("/*filePath", async (req, res) => {
+    const relativePath = relativePathFromSegments(req.params.filePath);
+    const entry = relativePath && indexFor(req).getFile(relativePath);
+    const label = req.params.filePath.join("/");
+    if (!entry) throw apiError(404, "media_not_found", `No media file at "${label}"`);
+    if (!canAnnotate(req, parentFolder(relativePath))) {
+      if (!req.viewer || !req.viewer.user) throw apiError(401, "login_required", "Log in to rate and tag photos.");
+      throw apiError(403, "forbidden", `You can't change "${label}"`);
+    }
+    const changes = parseChanges(req.body);
+    let result;
+    try {
+      result = await annotations.update(entry, changes);
+    } catch (err) {
+      console.error(err.message);
+      throw apiError(503, "not_saved", "The change couldn't be saved on the server. Please try again later.");
+    }
+    audit.record(req, { action: "annotate", path: toStorePath(relativePath), ...changes, ok: true });
+    res.json({ item: { path: toStorePath(relativePath), ...result, embeddedTags: entry.keywords } });
+  });
+
+  router.use(apiErrorHandler);
+
+  return router;
+};
+
+module.exports = { createAnnotations, createAnnotationsRouter, ANNOTATIONS_FILE };
@@ -0,0 +1,275 @@
+const express = require("express");
+const path = require("path");
+const { isVideo } = require("./mediaTypes");
+const {
+  createGallery,
+  toUrlPath,
+  relativePathFromSegments,
+  mediaDetails,
+  sortMediaEntries,
+  SORT_FIELDS,
+  SORT_ORDERS,
+} = require("./gallery");
+const { parseSearchCriteria, searchMedia } = require("./search");
+
+// JSON API (mounted under /api/v1) exposing the same album and media data as the HTML pages.
+//
+//   GET /albums              root album: the full album tree plus the root's own items
+//   GET /albums/<path>       one album: its sub-albums and a page of its items
+//   GET /media               every media item in the library, a page at a time
+//   GET /media/<path>        one media item with all of its metadata
+//   GET /search              media matching ?q=&from=&to=&type=&ext=&camera=&tag=&rating=&favorite=
+//                            (see lib/search.js)
+//
+// Item lists take ?page=&pageSize= and ?sort=name|date|mtime|size|album&order=asc|desc; albums whose
+// sidecar lists an order default to sort=album, everything else to sort=name. Instead of ?page=, a list
+// can be asked for ?item=<path>: the page holding that item (used to restore a deep-linked viewer item).
+// Every error is answered as { "error": { "status": 404, "code": "album_not_found", "message": "..." } }.
+// Album management (creating, renaming, moving, deleting) lives under /manage, in lib/manage.js, and
+// favorites, ratings and tags are set under /annotations, in lib/annotations.js.
+
+const DEFAULT_PAGE_SIZE = 100;
+const MAX_PAGE_SIZE = 500;
+
+// Errors thrown from a handler with a status and code are reported to the client as-is
+const apiError = (status, code, message) => Object.assign(new Error(message), { status, errorCode: code });
+
+// Paths in API responses always use "/" and are relative to the library root
+const toApiPath = (relativePath) => relativePath.split(path.sep).join("/");
+
+const parsePositiveInteger = (value, name, fallback) => {
+  if (value === undefined) return fallback;
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1) {
+    throw apiError(400, "invalid_parameter", `"${name}" must be a positive integer`);
+  }
+  return number;
+};
+
+const parseListOptions = (query, defaultSort = "name") => {
+  // null: no page asked for, so paginate picks the first one (or the one holding ?item=)
+  const page = parsePositiveInteger(query.page, "page", null);
+  const pageSize = parsePositiveInteger(query.pageSize, "pageSize", DEFAULT_PAGE_SIZE);
+  if (pageSize > MAX_PAGE_SIZE) {
+    throw apiError(400, "invalid_parameter", `"pageSize" must be at most ${MAX_PAGE_SIZE}`);
+  }
+  const sort = query.sort || defaultSort;
+  if (!SORT_FIELDS.includes(sort)) {
+    throw apiError(400, "invalid_parameter", `"sort" must be one of ${SORT_FIELDS.join(", ")}`);
+  }
+  const order = query.order || "asc";
+  if (!SORT_ORDERS.includes(order)) {
+    throw apiError(400, "invalid_parameter", `"order" must be one of ${SORT_ORDERS.join(", ")}`);
+  }
+  const item = typeof query.item === "string" && query.item !== "" ? query.item : null;
+  return { page, pageSize, sort, order, item };
+};
+
+// One page of a list of index entries
+const paginate = (list, { page, pageSize, item }) => {
+  if (page === null) {
+    const index = item ? list.findIndex((entry) => toApiPath(entry.file) === item) : -1;
+    page = index >= 0 ? Math.floor(index / pageSize) + 1 : 1;
+  }
+  return {
+    items: list.slice((page - 1) * pageSize, page * pageSize),
+    pagination: { page, pageSize, total: list.length, totalPages: Math.ceil(list.length / pageSize) },
+  };
+};
+
+// Error handler for JSON routers: every error is answered in the API's error format
+const apiErrorHandler = (err, req, res, next) => {
+  // Server-side failures made with apiError (e.g. 503 when something can't be saved) are explained as given
+  const internal = !(err.status >= 400 && err.status < 500) && !(err.status >= 500 && err.errorCode);
+  const status = internal ? 500 : err.status;
+  if (internal) {
+    console.error(`Error in API route ${req.originalUrl}:`, err);
+  }
+  res.status(status).json({
+    error: {
+      status: status,
+      code: internal ? "internal_error" : err.errorCode || "bad_request",
+      // Internal error details stay in the server log
+      message: internal ? "An internal error occurred." : err.message,
+    },
+  });
+};
+
+const toIsoDate = (milliseconds) => (milliseconds ? new Date(milliseconds).toISOString() : null);
+
+// `indexFor(req)` narrows the index to what the requesting visitor may see (see lib/auth.js);
+// without it every request sees the whole library. `basePath` is where the library is mounted and
+// `mountPath` where this router is, e.g. "/alice" and "/alice/api/v1".
+const createApiRouter = ({
+  mediaIndex,
+  thumbnailer,
+  indexFor = () => mediaIndex,
+  basePath = "",
+  mountPath = "/api/v1",
+  rootTitle = "",
+}) => {
+  const router = express.Router();
+
+  // The JSON builders for one view of the index
+  const serializersFor = (index) => {
+    const { albumTitle, findFolderCover, processMediaFileForModal } = createGallery({
+      mediaIndex: index,
+      thumbnailer,
+      basePath,
+    });
+
+    const mediaItemJson = (entry) => {
+      const modalData = processMediaFileForModal(entry);
+      const exifData = entry.exif || {};
+      const album = path.dirname(entry.file);
+      return {
+        path: toApiPath(entry.file),
+        name: path.basename(entry.file),
+        album: album === "." ? "" : toApiPath(album),
+        type: isVideo(entry) ? "video" : "image",
+        format: entry.type,
+        caption: entry.caption,
+        ext: entry.ext,
+        size: entry.size,
+        modifiedAt: toIsoDate(entry.mtime),
+        ...mediaDetails(entry),
+        favorite: entry.favorite,
+        rating: entry.rating,
+        tags: entry.tags,
+        // Tags that come from the file itself, which the gallery can't remove (see lib/keywords.js)
+        embeddedTags: entry.keywords,
+        urls: {
+          original: modalData.originalUrl,
+          preview: modalData.previewUrl,
+          fullSize: modalData.fullSizeUrl,
+          thumbnail: modalData.thumbnailUrl,
+        },
+        exif: exifData,
+      };
+    };
+
+    const albumSummaryJson = (folderRelativePath) => {
+      const folder = index.getFolder(folderRelativePath);
+      const cover = findFolderCover(folderRelativePath);
+      return {
+        path: toApiPath(folderRelativePath),
+        name: path.basename(folderRelativePath),
+        title: folderRelativePath ? albumTitle(folderRelativePath) : folder.album.title || rootTitle,
+        description: folder.album.description,
+        caption: cover ? cover.caption : albumTitle(folderRelativePath),
+        coverUrl: cover ? cover.url : null,
+        itemCount: folder.files.length,
+        albumCount: folder.subfolders.length,
+        url: toUrlPath(folderRelativePath, basePath),
+        apiUrl: `${mountPath}/albums${folderRelativePath ? toUrlPath(folderRelativePath) : ""}`,
+      };
+    };
+
+    const albumTreeJson = (folderRelativePath) => ({
+      ...albumSummaryJson(folderRelativePath),
+      albums: index
+        .getFolder(folderRelativePath)
+        .subfolders.map((subfolder) => albumTreeJson(path.join(folderRelativePath, subfolder))),
+    });
+
+    // Album detail shared by the root and nested album routes.
+    // `warnings` explains why the album's sidecar was ignored, if it was invalid.
+    const albumJson = (folderRelativePath, query, albums) => {
+      const folder = index.getFolder(folderRelativePath);
+      const options = parseListOptions(query, folder.album.hasOrder ? "album" : "name");
+      const { items, pagination } = paginate(sortMediaEntries(folder.files, options.sort, options.order), options);
+      return {
+        album: albumSummaryJson(folderRelativePath),
+        warnings: folder.sidecarError ? [folder.sidecarError] : [],
+        albums: albums,
+        items: items.map(mediaItemJson),
+        pagination: pagination,
+        sort: { sort: options.sort, order: options.order },
+      };
+    };
+
+    return { mediaItemJson, albumSummaryJson, albumTreeJson, albumJson };
+  };
+
+  // The index may still be doing its first scan right after startup
+  router.use(async (req, res, next) => {
+    await mediaIndex.ready;
+    next();
+  });
+
+  // A restricted root album looks like an album that isn't there
+  const albumNotFound = (albumPath) => apiError(404, "album_not_found", `No album at "${albumPath}"`);
+
+  router.get("/albums", (req, res) => {
+    const index = indexFor(req);
+    if (!index.getFolder("")) throw albumNotFound("");
+    const { albumJson, albumTreeJson } = serializersFor(index);
+    res.json(albumJson("", req.query, albumTreeJson("").albums));
+  });
+
+  router.get("/albums/*albumPath", (req, res) => {
+    const index = indexFor(req);
+    const folderRelativePath = relativePathFromSegments(req.params.albumPath);
+    if (folderRelativePath === null || !index.getFolder(folderRelativePath)) {
+      throw albumNotFound(req.params.albumPath.join("/"));
+    }
+    const { albumJson, albumSummaryJson } = serializersFor(index);
+    const albums = index
+      .getFolder(folderRelativePath)
+      .subfolders.map((subfolder) => albumSummaryJson(path.join(folderRelativePath, subfolder)));
+    res.json(albumJson(folderRelativePath, req.query, albums));
+  });
+
+  router.get("/media", (req, res) => {
+    const index = indexFor(req);
+    const { mediaItemJson } = serializersFor(index);
+    const options = parseListOptions(req.query);
+    const { items, pagination } = paginate(sortMediaEntries(index.getAllFiles(), options.sort, options.order), options);
+    res.json({
+      items: items.map(mediaItemJson),
+      pagination: pagination,
+      sort: { sort: options.sort, order: options.order },
+    });
+  });
+
+  router.get("/media/*filePath", (req, res) => {
+    const index = indexFor(req);
+    const relativePath = relativePathFromSegments(req.params.filePath);
+    const entry = relativePath && index.getFile(relativePath);
+    if (!entry) {
+      throw apiError(404, "media_not_found", `No media file at "${req.params.filePath.join("/")}"`);
+    }
+    res.json({ item: serializersFor(index).mediaItemJson(entry) });
+  });
+
+  router.get("/search", (req, res) => {
+    const { criteria, invalid } = parseSearchCriteria(req.query);
+    if (invalid.length > 0) {
+      throw apiError(400, "invalid_parameter", `Invalid search parameter(s): ${invalid.join(", ")}`);
+    }
+    const index = indexFor(req);
+    const { mediaItemJson } = serializersFor(index);
+    const options = parseListOptions(req.query);
+    const { items, pagination } = paginate(
+      sortMediaEntries(searchMedia(index.getAllFiles(), criteria), options.sort, options.order),
+      options,
+    );
+    res.json({
+      criteria: criteria,
+      items: items.map(mediaItemJson),
+      pagination: pagination,
+      sort: { sort: options.sort, order: options.order },
+    });
+  });
+
+  // Anything else under the API prefix is an unknown endpoint, not an HTML page
+  router.use((req, res, next) => {
+    next(apiError(404, "not_found", `Unknown API endpoint ${req.method} ${req.originalUrl}`));
+  });
+
+  router.use(apiErrorHandler);
+
+  return router;
+};
+
+module.exports = { createApiRouter, apiError, apiErrorHandler };
@@ -0,0 +1,36 @@
+const path = require("path");
+const fs = require("fs");
+
+// Record of every change made to the library through the gallery (uploads, new albums, renames, moves,
+// covers, trash), appended to a file as one JSON object per line:
+//
+//   {"time":"2024-07-01T12:00:00.000Z","user":"alice","address":"::1","action":"rename",
+//    "path":"2024/summer/a.jpg","to":"2024/summer/b.jpg","ok":true}
+//
+// Failed attempts are recorded too, with "ok": false and the error.
+
+const createAuditLog = ({ logFile }) => {
+  // Appends happen one at a time so lines never interleave
+  let writing = Promise.resolve();
+
+  // Record an action taken by the visitor making `req`; resolves once the line is written
+  const record = (req, entry) => {
+    const line = JSON.stringify({
+      time: new Date().toISOString(),
+      user: (req.viewer && req.viewer.user) || null,
+      address: req.ip,
+      ...entry,
+    });
+    writing = writing
+      .then(async () => {
+        await fs.promises.mkdir(path.dirname(logFile), { recursive: true });
+        await fs.promises.appendFile(logFile, line + "\n");
+      })
+      .catch((err) => console.error(`Error writing audit log ${logFile}:`, err.message));
+    return writing;
+  };
+
+  return { record };
+};
+
+module.exports = { createAuditLog };
@@ -0,0 +1,413 @@
+const express = require("express");
+const path = require("path");
+const fs = require("fs");
+const crypto = require("crypto");
+const { escapeHtml } = require("./security");
+
+// Optional access control, configured by a JSON file (GALLERY_AUTH_FILE, default auth.json):
+//
+//   {
+//     "secret": "a long random string",           // signs login sessions and share links
+//     "users": {
+//       "alice": { "password": "scrypt$..." }      // hash from `npm run hash-password`
+//     },
+//     "albums": {
+//       "/": "public",                             // the default for the whole gallery
+//       "family": "authenticated",                 // any logged-in user
+//       "family/private": ["alice"]                // only these users
+//     }
+//   }
+//
+// An album follows the rule of its nearest configured ancestor (or its own). Without the file,
+// everything is public. Share links (/share/<token>) are signed with the secret and give read-only
+// access to one album and everything below it until they expire.
+
+const SESSION_COOKIE = "gallery_session";
+const SHARE_COOKIE = "gallery_shares";
+const SESSION_DAYS = 30;
+// A visitor can hold several share links at once, up to this many
+const MAX_SHARES = 10;
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Failed logins allowed per client address before it has to wait
+const MAX_LOGIN_FAILURES = 5;
+const LOGIN_FAILURE_WINDOW_MS = 15 * 60 * 1000;
+const ACCESS_LEVELS = ["public", "authenticated"];
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 };
+const SCRYPT_KEY_LENGTH = 64;
+
+const base64url = (buffer) => Buffer.from(buffer).toString("base64url");
+
+// Hash a password for the config file, as "scrypt$N$r$p$salt$hash"
+const hashPassword = async (password) => {
+  const salt = crypto.randomBytes(16);
+  const { N, r, p } = SCRYPT_PARAMS;
+  const hash = await new Promise((resolve, reject) =>
+    crypto.scrypt(password, salt, SCRYPT_KEY_LENGTH, { N, r, p }, (err, key) => (err ? reject(err) : resolve(key))),
+  );
+  return ["scrypt", N, r, p, base64url(salt), base64url(hash)].join("$");
+};
+
+// Whether a stored password has the form hashPassword gives it: "scrypt$N$r$p$salt$hash", with N a power
+// of two above 1, r and p whole numbers above 0 and a base64url salt and hash
+const isPasswordHash = (stored) => {
+  const [scheme, N, r, p, salt, hash, ...rest] = String(stored).split("$");
+  const wholeNumber = (value) => /^[1-9][0-9]*$/.test(value || "") && Number.isSafeInteger(Number(value));
+  const base64url = (value) => /^[A-Za-z0-9_-]+$/.test(value || "");
+  return (
+    scheme === "scrypt" &&
+    rest.length === 0 &&
+    wholeNumber(N) &&
+    Number(N) > 1 &&
+    Number.isInteger(Math.log2(Number(N))) &&
+    wholeNumber(r) &&
+    wholeNumber(p) &&
+    base64url(salt) &&
+    base64url(hash)
+  );
+};
+
+const verifyPassword = async (password, stored) => {
+  if (!isPasswordHash(stored)) return false;
+  const [, N, r, p, salt, hash] = stored.split("$");
+  const expected = Buffer.from(hash, "base64url");
+  try {
+    const actual = await new Promise((resolve, reject) =>
+      crypto.scrypt(
+        password,
+        Buffer.from(salt, "base64url"),
+        expected.length,
+        { N: Number(N), r: Number(r), p: Number(p), maxmem: 256 * Number(N) * Number(r) },
+        (err, key) => (err ? reject(err) : resolve(key)),
+      ),
+    );
+    return crypto.timingSafeEqual(actual, expected);
+  } catch (err) {
+    // Parameters scrypt won't take (too large, or more memory than it may use): no password matches
+    console.error("Error checking a password:", err.message);
+    return false;
+  }
+};
+
+// Album paths in the config use "/"; inside the gallery they are relative paths ("" is the root)
+const normalizeAlbumPath = (albumPath) =>
+  albumPath
+    .split("/")
+    .filter((segment) => segment !== "")
+    .join(path.sep);
+
+// Check the parsed config file; returns a list of problems (empty when valid)
+const validateAuthConfig = (config) => {
+  if (config === null || typeof config !== "object" || Array.isArray(config)) {
+    return ["it must contain an object with secret, users and albums"];
+  }
+  const problems = [];
+  for (const key of Object.keys(config)) {
+    if (!["secret", "users", "albums"].includes(key)) problems.push(`unknown setting "${key}"`);
+  }
+  if (config.secret !== undefined && (typeof config.secret !== "string" || config.secret.length < 16)) {
+    problems.push(`"secret" must be text of at least 16 characters`);
+  }
+  const users = config.users || {};
+  if (typeof users !== "object" || Array.isArray(users)) {
+    problems.push(`"users" must map user names to { "password": "..." }`);
+  } else {
+    for (const [name, user] of Object.entries(users)) {
+      if (!user || typeof user.password !== "string" || !isPasswordHash(user.password)) {
+        problems.push(`user "${name}" needs a "password" hash made with npm run hash-password`);
+      }
+    }
+  }
+  const albums = config.albums || {};
+  if (typeof albums !== "object" || Array.isArray(albums)) {
+    problems.push(`"albums" must map album paths to access rules`);
+  } else {
+    for (const [albumPath, rule] of Object.entries(albums)) {
+      if (Array.isArray(rule)) {
+        const unknown = rule.filter((name) => typeof name !== "string" || !Object.hasOwn(users, name));
+        if (unknown.length > 0) problems.push(`album "${albumPath}" names unknown user(s): ${unknown.join(", ")}`);
+      } else if (!ACCESS_LEVELS.includes(rule)) {
+        problems.push(`album "${albumPath}" must be "public", "authenticated" or a list of user names`);
+      }
+    }
+  }
+  return problems;
+};
+
+// Read the config file; null when there is none. An invalid file stops the server rather than
+// silently opening albums that were meant to be private.
+const loadAuthConfig = (configFile) => {
+  let text;
+  try {
+    text = fs.readFileSync(configFile, "utf8");
+  } catch (err) {
+    if (err.code === "ENOENT") return null;
+    throw new Error(`Access control file ${configFile} could not be read: ${err.message}`);
+  }
+  let config;
+  try {
+    config = JSON.parse(text);
+  } catch (err) {
+    throw new Error(`Access control file ${configFile} is not valid JSON: ${err.message}`);
+  }
+  const problems = validateAuthConfig(config);
+  if (problems.length > 0) {
+    throw new Error(`Access control file ${configFile} is invalid: ${problems.join("; ")}`);
+  }
+  return config;
+};
+
+// Read the cookies of a request into an object; malformed ones are skipped
+const parseCookies = (req) => {
+  const cookies = {};
+  for (const cookie of (req.headers.cookie || "").split(";")) {
+    const separator = cookie.indexOf("=");
+    if (separator < 1) continue;
+    try {
+      cookies[cookie.slice(0, separator).trim()] = decodeURIComponent(cookie.slice(separator + 1).trim());
+    } catch (err) {
+      // Not valid percent-encoding; not one of ours
+    }
+  }
+  return cookies;
+};
+
+// Only local paths are followed after logging in, never another site
+const safeRedirectTarget = (target) =>
+  typeof target === "string" && target.startsWith("/") && !target.startsWith("//") && !target.includes("\\")
+    ? target
+    : "/";
+
+const renderLoginPage = ({ title, nonce, next, error }) => `
+      <!DOCTYPE html>
+      <html lang="en">
+      <head>
+          <meta charset="UTF-8">
+          <meta name="viewport" content="width=device-width, initial-scale=1.0">
+          <title>Log in - ${escapeHtml(title)}</title>
+          <style nonce="${escapeHtml(nonce)}">
+              body { font-family: sans-serif; background-color: #f0f2f5; color: #333; display: flex; justify-content: center; padding-top: 10vh; }
+              form { background: #fff; padding: 30px; border-radius: 8px; box-shadow: 0 4px 8px rgba(0,0,0,0.1); display: flex; flex-direction: column; gap: 12px; min-width: 280px; }
+              h1 { margin: 0 0 10px; font-size: 1.4em; text-align: center; }
+              input { padding: 8px 10px; border: 1px solid #ccc; border-radius: 5px; font-size: 1em; }
+              button { padding: 8px; border: none; border-radius: 5px; background-color: #C4A484; color: #fff; font-size: 1em; cursor: pointer; }
+              .error { color: #d9534f; margin: 0; }
+          </style>
+      </head>
+      <body>
+          <form action="/login" method="post">
+            <h1>${escapeHtml(title)}</h1>
+            ${error ? `<p class="error" role="alert">${escapeHtml(error)}</p>` : ""}
+            <input type="text" name="username" placeholder="User name" autocomplete="username" required autofocus>
+            <input type="password" name="password" placeholder="Password" autocomplete="current-password" required>
+            <input type="hidden" name="next" value="${escapeHtml(next)}">
+            <button type="submit">Log in</button>
+          </form>
+      </body>
+      </html>
+`;
+
+const createAuth = ({ configFile, title = "Gallery" }) => {
+  const config = loadAuthConfig(configFile);
+  const users = (config && config.users) || {};
+  const rules = new Map(
+    Object.entries((config && config.albums) || {}).map(([albumPath, rule]) => [normalizeAlbumPath(albumPath), rule]),
+  );
+  let secret = config && config.secret;
+  if (config && !secret) {
+    // Still works, but logins and share links won't survive a restart
+    console.error(`Access control: no "secret" in ${configFile}; using a random one until the server restarts`);
+    secret = crypto.randomBytes(32).toString("hex");
+  }
+  const loginFailures = new Map();
+
+  // Signed, expiring tokens: "<payload>.<signature>", both base64url
+  const sign = (payload) => {
+    const body = base64url(JSON.stringify(payload));
+    return `${body}.${base64url(crypto.createHmac("sha256", secret).update(body).digest())}`;
+  };
+  const verify = (token, type) => {
+    const [body, signature] = String(token).split(".");
+    if (!body || !signature) return null;
+    const expected = crypto.createHmac("sha256", secret).update(body).digest();
+    const actual = Buffer.from(signature, "base64url");
+    if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) return null;
+    let payload;
+    try {
+      payload = JSON.parse(Buffer.from(body, "base64url").toString("utf8"));
+    } catch (err) {
+      return null;
+    }
+    return payload && payload.t === type && payload.exp > Date.now() ? payload : null;
+  };
+
+  // The access rule that applies to a folder: its own, or that of the nearest configured ancestor
+  const ruleFor = (folderRelativePath) => {
+    let current = folderRelativePath;
+    while (!rules.has(current)) {
+      if (current === "") return "public";
+      const parent = path.dirname(current);
+      current = parent === "." ? "" : parent;
+    }
+    return rules.get(current);
+  };
+
+  const isInsideAlbum = (albumPath, folderRelativePath) =>
+    albumPath === "" || folderRelativePath === albumPath || folderRelativePath.startsWith(albumPath + path.sep);
+
+  // Whether a visitor ({ user, shares }) may see the media directly in a folder
+  const canView = (viewer, folderRelativePath) => {
+    if (viewer.shares.some((albumPath) => isInsideAlbum(albumPath, folderRelativePath))) return true;
+    const rule = ruleFor(folderRelativePath);
+    if (rule === "public") return true;
+    if (!viewer.user) return false;
+    return rule === "authenticated" || rule.includes(viewer.user);
+  };
+
+  // Changing an album (uploads, renames, moves, deleting) needs a login (share links are read-only)
+  // and access to the album without any share link
+  const canEdit = (viewer, folderRelativePath) =>
+    Boolean(viewer.user) && canView({ user: viewer.user, shares: [] }, folderRelativePath);
+
+  // Whether access rules are set for a folder or anything below it (they'd stop applying if it moved)
+  const hasRulesWithin = (folderRelativePath) =>
+    [...rules.keys()].some((albumPath) => isInsideAlbum(folderRelativePath, albumPath));
+
+  // A share link for an album, valid until `expiresAt` (milliseconds)
+  const createShareLink = (folderRelativePath, expiresAt) =>
+    `/share/${sign({ t: "share", a: folderRelativePath.split(path.sep).join("/"), exp: expiresAt })}`;
+
+  const setCookie = (req, res, name, value, maxAge) => {
+    res.cookie(name, value, {
+      httpOnly: true,
+      sameSite: "lax",
+      secure: req.secure,
+      path: "/",
+      maxAge: maxAge,
+    });
+  };
+
+  // Who is asking: the logged-in user (if any) and the albums their share links open
+  const viewerFor = (req) => {
+    if (!config) return { user: null, shares: [""] };
+    const cookies = parseCookies(req);
+    const session = cookies[SESSION_COOKIE] && verify(cookies[SESSION_COOKIE], "session");
+    const shares = (cookies[SHARE_COOKIE] || "")
+      .split(",")
+      .map((token) => verify(token, "share"))
+      .filter(Boolean)
+      .map((share) => normalizeAlbumPath(share.a));
+    return { user: session && Object.hasOwn(users, session.u) ? session.u : null, shares };
+  };
+
+  const recentLoginFailures = (address) => {
+    const failures = (loginFailures.get(address) || []).filter((time) => time > Date.now() - LOGIN_FAILURE_WINDOW_MS);
+    if (failures.length === 0) loginFailures.delete(address);
+    return failures;
+  };
+  const recordLoginFailure = (address) => loginFailures.set(address, [...recentLoginFailures(address), Date.now()]);
+
+  const router = express.Router();
+
+  // Every request learns who is asking, as req.viewer
+  router.use((req, res, next) => {
+    req.viewer = viewerFor(req);
+    res.locals.viewer = req.viewer;
+    next();
+  });
+
+  if (config) {
+    router.get("/login", (req, res) => {
+      res.send(renderLoginPage({ title, nonce: res.locals.cspNonce, next: safeRedirectTarget(req.query.next) }));
+    });
+
+    router.post("/login", express.urlencoded({ extended: false, limit: "10kb" }), async (req, res) => {
+      const { username, password } = req.body || {};
+      const next = safeRedirectTarget(req.body && req.body.next);
+      const address = req.ip;
+      const fail = (status, error) =>
+        res.status(status).send(renderLoginPage({ title, nonce: res.locals.cspNonce, next, error }));
+
+      if (recentLoginFailures(address).length >= MAX_LOGIN_FAILURES)
+        return fail(429, "Too many failed attempts. Try again in a few minutes.");
+      const user = typeof username === "string" && Object.hasOwn(users, username) ? users[username] : null;
+      const valid = user && typeof password === "string" && (await verifyPassword(password, user.password));
+      if (!valid) {
+        recordLoginFailure(address);
+        return fail(401, "Wrong user name or password.");
+      }
+      loginFailures.delete(address);
+      setCookie(
+        req,
+        res,
+        SESSION_COOKIE,
+        sign({ t: "session", u: username, exp: Date.now() + SESSION_DAYS * DAY_MS }),
+        SESSION_DAYS * DAY_MS,
+      );
+      res.redirect(303, next);
+    });
+
+    router.post("/logout", (req, res) => {
+      res.clearCookie(SESSION_COOKIE, { path: "/" });
+      res.redirect(303, "/");
+    });
+
+    // Opening a share link remembers it in a cookie (until it expires) and goes to the album
+    router.get("/share/:token", (req, res) => {
+      const share = verify(req.params.token, "share");
+      if (!share) {
+        return res.status(410).send("This share link is invalid or has expired.");
+      }
+      // Keep the visitor's other (still valid) share links, newest first
+      const shares = [{ token: req.params.token, exp: share.exp }];
+      for (const token of (parseCookies(req)[SHARE_COOKIE] || "").split(",")) {
+        const other = token !== req.params.token && verify(token, "share");
+        if (other && shares.length < MAX_SHARES) shares.push({ token, exp: other.exp });
+      }
+      const lastExpiry = Math.max(...shares.map((item) => item.exp));
+      setCookie(req, res, SHARE_COOKIE, shares.map((item) => item.token).join(","), lastExpiry - Date.now());
+      const albumPath = normalizeAlbumPath(share.a);
+      res.redirect(303, "/" + albumPath.split(path.sep).map(encodeURIComponent).join("/"));
+    });
+
+    // Logged-in users can create share links for albums they can see
+    router.post("/auth/share", express.json({ limit: "10kb" }), (req, res) => {
+      const { album, days } = req.body || {};
+      if (!req.viewer.user) return res.status(401).json({ error: "Log in to share albums." });
+      const expiresInDays = Number(days);
+      if (typeof album !== "string" || !Number.isFinite(expiresInDays) || expiresInDays <= 0 || expiresInDays > 365) {
+        return res.status(400).json({ error: "Give an album and a number of days between 1 and 365." });
+      }
+      const folderRelativePath = normalizeAlbumPath(album);
+      if (!canView({ user: req.viewer.user, shares: [] }, folderRelativePath)) {
+        return res.status(403).json({ error: "You can only share albums you can see." });
+      }
+      const expiresAt = Date.now() + expiresInDays * DAY_MS;
+      res.json({ url: createShareLink(folderRelativePath, expiresAt), expiresAt: new Date(expiresAt).toISOString() });
+    });
+  }
+
+  return {
+    enabled: Boolean(config),
+    router,
+    canView,
+    canEdit,
+    hasRulesWithin,
+    createShareLink,
+  };
+};
+
+module.exports = { createAuth, hashPassword, loadAuthConfig };
+
+// `npm run hash-password` prints the hash of a password typed on stdin, for the "users" section
+if (require.main === module) {
+  const readline = require("readline");
+  const prompt = readline.createInterface({ input: process.stdin, output: process.stderr });
+  prompt.question("Password: ", async (password) => {
+    prompt.close();
+    if (!password) {
+      console.error("No password given.");
+      process.exit(1);
+    }
+    console.log(await hashPassword(password));
+  });
+}
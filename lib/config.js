@@ -0,0 +1,369 @@
+const path = require("path");
+const fs = require("fs");
+const { MEDIA_EXTENSIONS } = require("./mediaTypes");
+const { ANNOTATIONS_FILE } = require("./annotations");
+
+// Server settings, from gallery.config.json next to server.js (GALLERY_CONFIG names another file):
+//
+//   {
+//     "title": "VCC Gallery",                    // login page, and the library list when no library is at "/"
+//     "author": "Chance Jiang",                  // default for libraries that don't name one
+//     "host": "0.0.0.0",                         // address to listen on (default: all)
+//     "port": 3000,
+//     "https": { "cert": "certs/gallery.crt", "key": "certs/gallery.key" },
+//     "cache": {
+//       "dir": ".cache",                         // media indexes, thumbnails and duplicate fingerprints
+//       "mediaMaxAge": 0,                        // seconds browsers may reuse an original file
+//       "thumbnailMaxAge": 31536000              // ... and a thumbnail or preview
+//     },
+//     "authFile": "auth.json",                   // see lib/auth.js
+//     "auditLog": "audit.log",                   // see lib/audit.js
+//     "uploadMaxMb": 2048,
+//     "libraries": [
+//       { "path": "/", "root": "photos" },
+//       {
+//         "path": "/alice",                      // URL prefix: one segment
+//         "root": "/srv/photos/alice",
+//         "title": "Alice's photos",
+//         "author": "Alice",
+//         "theme": { "brand": "#6a8caf", "darkBackground": "#202830" },
+//         "extensions": [".jpg", ".jpeg", ".heic", ".mp4"],
+//         "annotationsFile": "/var/lib/gallery/alice-annotations.json"  // default: .annotations.json in "root"
+//       }
+//     ]
+//   }
+//
+// Everything is optional; without the file, the "photos" folder is served at "/". Relative paths are
+// relative to the file's folder. Environment variables override the file: PORT, GALLERY_HOST,
+// GALLERY_HTTPS_CERT, GALLERY_HTTPS_KEY, GALLERY_CACHE_DIR, GALLERY_AUTH_FILE, GALLERY_AUDIT_LOG,
+// GALLERY_UPLOAD_MAX_MB, and for the library at "/" (added if the file has none) GALLERY_ROOT,
+// GALLERY_INDEX_FILE, GALLERY_THUMBS_DIR and GALLERY_ANNOTATIONS_FILE.
+//
+// Access rules in auth.json and share links use the album's path on the site, so with a library at
+// "/alice", "alice/family" is its "family" album.
+
+const DEFAULT_TITLE = "VCC Gallery";
+const DEFAULT_AUTHOR = "Chance Jiang";
+const DEFAULT_LIBRARY_ROOT = "photos";
+
+// CSS variables a library's "theme" can set, with the gallery's own colours
+const THEME_VARIABLES = {
+  brand: "--brand-color",
+  background: "--bg-color",
+  text: "--text-color",
+  card: "--card-bg",
+  border: "--border-color",
+  darkBackground: "--dark-bg-color",
+  darkText: "--dark-text-color",
+  darkCard: "--dark-card-bg",
+  darkBorder: "--dark-border-color",
+};
+const DEFAULT_THEME = {
+  brand: "#C4A484",
+  background: "#f0f2f5",
+  text: "#333",
+  card: "#fff",
+  border: "#ccc",
+  darkBackground: "#3b3b3b",
+  darkText: "#f0f2f5",
+  darkCard: "#4a4a4a",
+  darkBorder: "#666",
+};
+
+// Theme colours end up inside a <style> element, so only plain colour values are accepted
+const isColour = (value) =>
+  typeof value === "string" &&
+  (/^#[0-9a-f]{3,8}$/i.test(value) || /^[a-z]+$/i.test(value) || /^(rgb|rgba|hsl|hsla)\([0-9.,%\s]+\)$/.test(value));
+
+// URL segments the site itself uses at the top level, which a library mounted there would hide
+const RESERVED_SEGMENTS = [
+  "api",
+  "auth",
+  "download",
+  "duplicates",
+  "events",
+  "export",
+  "favorites",
+  "login",
+  "logout",
+  "ratings",
+  "recent",
+  "search",
+  "share",
+  "tags",
+  "thumbs",
+  "timeline",
+  "trash",
+  "upload",
+];
+
+const SETTINGS = [
+  "title",
+  "author",
+  "host",
+  "port",
+  "https",
+  "cache",
+  "authFile",
+  "auditLog",
+  "uploadMaxMb",
+  "libraries",
+];
+const CACHE_SETTINGS = ["dir", "mediaMaxAge", "thumbnailMaxAge"];
+const LIBRARY_SETTINGS = ["path", "root", "title", "author", "theme", "extensions", "annotationsFile"];
+
+const isObject = (value) => value !== null && typeof value === "object" && !Array.isArray(value);
+const isText = (value) => typeof value === "string" && value.trim() !== "";
+const isWholeNumber = (value, max = Infinity) => Number.isInteger(value) && value >= 0 && value <= max;
+
+// A library's URL prefix, "/" or "/<segment>", as a base path for URLs ("" for "/"); null if invalid
+const basePathFrom = (prefix) => {
+  if (prefix === "/") return "";
+  return typeof prefix === "string" && /^\/[A-Za-z0-9_-]+\/?$/.test(prefix) ? prefix.replace(/\/$/, "") : null;
+};
+
+// Check the parsed config file; returns a list of problems (empty when valid)
+const validateConfig = (config) => {
+  if (!isObject(config)) return ["it must contain an object of settings"];
+  const problems = [];
+  const unknown = (settings, known, where) => {
+    for (const key of Object.keys(settings)) {
+      if (!known.includes(key)) problems.push(`unknown setting "${key}"${where}`);
+    }
+  };
+  unknown(config, SETTINGS, "");
+
+  for (const key of ["title", "author", "host", "authFile", "auditLog"]) {
+    if (config[key] !== undefined && !isText(config[key])) problems.push(`"${key}" must be text`);
+  }
+  if (config.port !== undefined && !isWholeNumber(config.port, 65535)) {
+    problems.push(`"port" must be a whole number from 0 to 65535`);
+  }
+  if (config.uploadMaxMb !== undefined && !(typeof config.uploadMaxMb === "number" && config.uploadMaxMb > 0)) {
+    problems.push(`"uploadMaxMb" must be a number above 0`);
+  }
+  if (config.https !== undefined) {
+    if (!isObject(config.https) || !isText(config.https.cert) || !isText(config.https.key)) {
+      problems.push(`"https" must give the paths of a certificate and its key: { "cert": "...", "key": "..." }`);
+    } else {
+      unknown(config.https, ["cert", "key"], ` in "https"`);
+    }
+  }
+  if (config.cache !== undefined) {
+    if (!isObject(config.cache)) {
+      problems.push(`"cache" must be an object with ${CACHE_SETTINGS.join(", ")}`);
+    } else {
+      unknown(config.cache, CACHE_SETTINGS, ` in "cache"`);
+      if (config.cache.dir !== undefined && !isText(config.cache.dir)) problems.push(`"cache.dir" must be text`);
+      for (const key of ["mediaMaxAge", "thumbnailMaxAge"]) {
+        if (config.cache[key] !== undefined && !isWholeNumber(config.cache[key])) {
+          problems.push(`"cache.${key}" must be a whole number of seconds`);
+        }
+      }
+    }
+  }
+
+  if (config.libraries !== undefined && !Array.isArray(config.libraries)) {
+    problems.push(`"libraries" must be a list of { "path": "/...", "root": "..." }`);
+  }
+  const seen = new Set();
+  (Array.isArray(config.libraries) ? config.libraries : []).forEach((library, position) => {
+    const name =
+      isObject(library) && typeof library.path === "string" ? `library "${library.path}"` : `library ${position + 1}`;
+    if (!isObject(library)) return problems.push(`${name} must be an object with "path" and "root"`);
+    unknown(library, LIBRARY_SETTINGS, ` in ${name}`);
+
+    const basePath = basePathFrom(library.path);
+    if (basePath === null) {
+      problems.push(`${name} needs a "path" of "/" or one URL segment like "/alice" (letters, digits, - and _)`);
+    } else if (RESERVED_SEGMENTS.includes(basePath.slice(1).toLowerCase())) {
+      problems.push(`${name} can't use "${library.path}", which the gallery itself uses`);
+    } else if (seen.has(basePath.toLowerCase())) {
+      problems.push(`more than one library uses the path "${library.path}"`);
+    } else {
+      seen.add(basePath.toLowerCase());
+    }
+    if (!isText(library.root)) problems.push(`${name} needs a "root" folder`);
+    for (const key of ["title", "author", "annotationsFile"]) {
+      if (library[key] !== undefined && !isText(library[key])) problems.push(`"${key}" of ${name} must be text`);
+    }
+    if (library.theme !== undefined) {
+      if (!isObject(library.theme)) {
+        problems.push(`"theme" of ${name} must map colour names to colours`);
+      } else {
+        for (const [key, value] of Object.entries(library.theme)) {
+          if (!Object.hasOwn(THEME_VARIABLES, key)) {
+            problems.push(`unknown theme colour "${key}" in ${name} (use ${Object.keys(THEME_VARIABLES).join(", ")})`);
+          } else if (!isColour(value)) {
+            problems.push(`theme colour "${key}" of ${name} must be a colour like "#C4A484" or "rgb(196, 164, 132)"`);
+          }
+        }
+      }
+    }
+    if (library.extensions !== undefined) {
+      const extensions = Array.isArray(library.extensions) ? library.extensions : [];
+      const invalid = extensions.filter(
+        (ext) => typeof ext !== "string" || !MEDIA_EXTENSIONS.includes(ext.toLowerCase()),
+      );
+      if (extensions.length === 0) {
+        problems.push(`"extensions" of ${name} must be a list of file extensions`);
+      } else if (invalid.length > 0) {
+        problems.push(
+          `${name} lists unsupported extension(s) ${invalid.join(", ")}; the gallery shows ${MEDIA_EXTENSIONS.join(", ")}`,
+        );
+      }
+    }
+  });
+  return problems;
+};
+
+// Read the config file; an empty config when there is none
+const readConfigFile = (configFile) => {
+  let text;
+  try {
+    text = fs.readFileSync(configFile, "utf8");
+  } catch (err) {
+    if (err.code === "ENOENT") return {};
+    throw new Error(`Config file ${configFile} could not be read: ${err.message}`);
+  }
+  try {
+    return JSON.parse(text);
+  } catch (err) {
+    throw new Error(`Config file ${configFile} is not valid JSON: ${err.message}`);
+  }
+};
+
+// Environment variables on top of the file's settings; returns a list of problems with them
+const applyEnvironment = (config, env, baseDir) => {
+  const problems = [];
+  if (env.PORT !== undefined) {
+    const port = Number(env.PORT);
+    if (env.PORT.trim() === "" || !isWholeNumber(port, 65535))
+      problems.push(`PORT must be a port number, not "${env.PORT}"`);
+    config.port = port;
+  }
+  if (env.GALLERY_UPLOAD_MAX_MB !== undefined) {
+    const uploadMaxMb = Number(env.GALLERY_UPLOAD_MAX_MB);
+    if (!(uploadMaxMb > 0)) {
+      problems.push(`GALLERY_UPLOAD_MAX_MB must be a number above 0, not "${env.GALLERY_UPLOAD_MAX_MB}"`);
+    }
+    config.uploadMaxMb = uploadMaxMb;
+  }
+  if (env.GALLERY_HOST) config.host = env.GALLERY_HOST;
+  if (env.GALLERY_HTTPS_CERT || env.GALLERY_HTTPS_KEY) {
+    if (!env.GALLERY_HTTPS_CERT || !env.GALLERY_HTTPS_KEY) {
+      problems.push("GALLERY_HTTPS_CERT and GALLERY_HTTPS_KEY must be set together");
+    }
+    config.https = { cert: path.resolve(env.GALLERY_HTTPS_CERT || ""), key: path.resolve(env.GALLERY_HTTPS_KEY || "") };
+  }
+  if (env.GALLERY_CACHE_DIR) config.cache = { ...config.cache, dir: path.resolve(env.GALLERY_CACHE_DIR) };
+  if (env.GALLERY_AUTH_FILE) config.authFile = path.resolve(env.GALLERY_AUTH_FILE);
+  if (env.GALLERY_AUDIT_LOG) config.auditLog = path.resolve(env.GALLERY_AUDIT_LOG);
+  if (env.GALLERY_ROOT) {
+    // Relative to the gallery's own folder, as it always has been
+    const root = path.resolve(baseDir, env.GALLERY_ROOT);
+    const libraries = config.libraries || [];
+    config.libraries = libraries.some((library) => basePathFrom(library.path) === "")
+      ? libraries.map((library) => (basePathFrom(library.path) === "" ? { ...library, root } : library))
+      : [...libraries, { path: "/", root }];
+  }
+  return problems;
+};
+
+// Settings the rest of the server uses, with every path absolute and every default filled in
+const resolveConfig = (config, configDir, env) => {
+  const resolvePath = (value) => path.resolve(configDir, value);
+  const cacheDir = resolvePath((config.cache && config.cache.dir) || ".cache");
+  const title = config.title || DEFAULT_TITLE;
+  const author = config.author || DEFAULT_AUTHOR;
+  const libraries = config.libraries || [{ path: "/", root: DEFAULT_LIBRARY_ROOT }];
+
+  return {
+    title,
+    author,
+    host: config.host || null,
+    port: config.port === undefined ? 3000 : config.port,
+    https: config.https ? { cert: resolvePath(config.https.cert), key: resolvePath(config.https.key) } : null,
+    cache: {
+      mediaMaxAge: (config.cache && config.cache.mediaMaxAge) || 0,
+      thumbnailMaxAge:
+        config.cache && config.cache.thumbnailMaxAge !== undefined ? config.cache.thumbnailMaxAge : 31536000,
+    },
+    authFile: resolvePath(config.authFile || "auth.json"),
+    auditLog: resolvePath(config.auditLog || "audit.log"),
+    uploadMaxMb: config.uploadMaxMb || 2048,
+    // Longest prefix first, so the library at "/" only gets what no other library takes
+    libraries: libraries
+      .map((library) => {
+        const basePath = basePathFrom(library.path);
+        // The library at "/" keeps the cache layout from before there could be several
+        const libraryCacheDir = basePath ? path.join(cacheDir, "libraries", basePath.slice(1)) : cacheDir;
+        const rootDir = resolvePath(library.root);
+        return {
+          basePath,
+          rootDir,
+          indexFile: (!basePath && env.GALLERY_INDEX_FILE) || path.join(libraryCacheDir, "media-index.json"),
+          thumbsDir: (!basePath && env.GALLERY_THUMBS_DIR) || path.join(libraryCacheDir, "thumbs"),
+          fingerprintsFile: path.join(libraryCacheDir, "fingerprints.json"),
+          // Favorites, ratings and tags aren't a cache: by default they stay with the library
+          annotationsFile:
+            (!basePath && env.GALLERY_ANNOTATIONS_FILE) ||
+            (library.annotationsFile ? resolvePath(library.annotationsFile) : path.join(rootDir, ANNOTATIONS_FILE)),
+          title: library.title || title,
+          author: library.author || author,
+          theme: { ...DEFAULT_THEME, ...library.theme },
+          extensions: library.extensions ? library.extensions.map((ext) => ext.toLowerCase()) : MEDIA_EXTENSIONS,
+        };
+      })
+      .sort((a, b) => b.basePath.length - a.basePath.length),
+  };
+};
+
+// Problems only the disk can tell: missing library folders and certificate files
+const checkPaths = (settings) => {
+  const problems = [];
+  const isDirectory = (dirPath) => {
+    try {
+      return fs.statSync(dirPath).isDirectory();
+    } catch (err) {
+      return false;
+    }
+  };
+  for (const library of settings.libraries) {
+    if (!isDirectory(library.rootDir)) {
+      problems.push(`the root of library "${library.basePath || "/"}", ${library.rootDir}, is not a folder`);
+    }
+  }
+  if (settings.https) {
+    for (const key of ["cert", "key"]) {
+      try {
+        fs.accessSync(settings.https[key], fs.constants.R_OK);
+      } catch (err) {
+        problems.push(`the HTTPS ${key === "cert" ? "certificate" : "key"} ${settings.https[key]} can't be read`);
+      }
+    }
+  }
+  return problems;
+};
+
+// Read, check and resolve the settings for this run. Anything wrong stops the server with an error that
+// lists every problem, rather than starting with half of the libraries or the wrong ones.
+const loadConfig = ({ configFile, baseDir, env = process.env }) => {
+  const config = readConfigFile(configFile);
+  const fileProblems = validateConfig(config);
+  if (fileProblems.length > 0) {
+    throw new Error(`Config file ${configFile} is invalid: ${fileProblems.join("; ")}`);
+  }
+  const envProblems = applyEnvironment(config, env, baseDir);
+  if (envProblems.length > 0) {
+    throw new Error(`Invalid environment settings: ${envProblems.join("; ")}`);
+  }
+  const settings = resolveConfig(config, path.dirname(configFile), env);
+  const pathProblems = checkPaths(settings);
+  if (pathProblems.length > 0) {
+    throw new Error(`Gallery settings are invalid: ${pathProblems.join("; ")}`);
+  }
+  return settings;
+};
+
+module.exports = { loadConfig, validateConfig, THEME_VARIABLES, DEFAULT_THEME };
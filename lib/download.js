@@ -0,0 +1,135 @@
+const express = require("express");
+const path = require("path");
+const archiver = require("archiver");
+const { relativePathFromSegments } = require("./gallery");
+
+// ZIP downloads of whole albums and of files picked in the grid.
+//
+//   GET  /download/album            the whole library
+//   GET  /download/album/<path>     one album, with its sub-albums as folders inside the archive
+//   POST /download/selection        the files listed in the form field "files" (one field per path)
+//
+// Archives are streamed while they are written: nothing is buffered in memory or written to a temp
+// file, files are only opened when their turn comes, and the pace follows the client's download
+// speed. Only what the gallery itself shows the visitor goes in (no hidden, restricted, non-media or
+// out-of-library files).
+
+// Most selections are a handful of paths; this still allows several thousand
+const MAX_SELECTION_BODY = "1mb";
+
+// Name of the ZIP for an album, e.g. "beach.zip"
+const archiveNameFor = (folderRelativePath, fallback) => `${path.basename(folderRelativePath) || fallback}.zip`;
+
+// The deepest folder that contains every one of the given files ("" if they only share the root)
+const commonFolder = (relativePaths) => {
+  const [first, ...rest] = relativePaths.map((relativePath) => path.dirname(relativePath).split(path.sep));
+  let length = first.length;
+  for (const segments of rest) {
+    while (length > 0 && segments.slice(0, length).join(path.sep) !== first.slice(0, length).join(path.sep)) length--;
+  }
+  const folder = first.slice(0, length).join(path.sep);
+  return folder === "." ? "" : folder;
+};
+
+// `indexFor(req)` narrows the index to what the requesting visitor may see, as in lib/api.js
+const createDownloadRouter = ({ mediaIndex, indexFor = () => mediaIndex, rootTitle = "gallery" }) => {
+  const router = express.Router();
+
+  // Every visible file in an album and its sub-albums, as { file, name } with `name` relative to the album
+  const albumFiles = (index, folderRelativePath, prefix = "") => {
+    const folder = index.getFolder(folderRelativePath);
+    if (!folder) return [];
+    return [
+      ...folder.files.map((entry) => ({ file: entry.file, name: path.join(prefix, path.basename(entry.file)) })),
+      ...folder.subfolders.flatMap((subfolder) =>
+        albumFiles(index, path.join(folderRelativePath, subfolder), path.join(prefix, subfolder)),
+      ),
+    ];
+  };
+
+  // Stream a ZIP of `files` ([{ file, name }] from `index`) as the response
+  const sendArchive = (res, index, archiveName, files) => {
+    // Photos and videos are already compressed, so entries are stored as-is (ZIP64 kicks in for large archives)
+    const archive = archiver("zip", { store: true });
+    let finished = false;
+
+    archive.on("warning", (err) => console.error(`Warning while writing ${archiveName}:`, err.message));
+    archive.on("error", (err) => {
+      // Headers (and part of the archive) are already out; all that can be done is cut the download short
+      console.error(`Error writing ${archiveName}:`, err.message);
+      res.destroy(err);
+    });
+    archive.on("end", () => {
+      finished = true;
+    });
+    res.on("close", () => {
+      if (!finished) archive.abort(); // The client went away; stop reading files
+    });
+
+    res.attachment(archiveName);
+    res.type("application/zip");
+    archive.pipe(res);
+
+    (async () => {
+      for (const { file, name } of files) {
+        const filePath = await index.getFilePath(file);
+        const entry = index.getFile(file);
+        if (!filePath || !entry) continue; // Removed or hidden since the list was made
+        // Archive names always use "/", whatever the server's platform
+        archive.file(filePath, { name: name.split(path.sep).join("/"), date: new Date(entry.mtime) });
+      }
+      await archive.finalize();
+    })().catch((err) => archive.emit("error", err));
+  };
+
+  // The index may still be doing its first scan right after startup
+  router.use(async (req, res, next) => {
+    await mediaIndex.ready;
+    next();
+  });
+
+  router.get("/album", (req, res, next) => {
+    const index = indexFor(req);
+    if (!index.getFolder("")) return next();
+    sendArchive(res, index, archiveNameFor("", rootTitle), albumFiles(index, ""));
+  });
+
+  router.get("/album/*albumPath", (req, res, next) => {
+    const index = indexFor(req);
+    const folderRelativePath = relativePathFromSegments(req.params.albumPath);
+    if (folderRelativePath === null || !index.getFolder(folderRelativePath)) return next();
+    sendArchive(
+      res,
+      index,
+      archiveNameFor(folderRelativePath, rootTitle),
+      albumFiles(index, folderRelativePath, path.basename(folderRelativePath)),
+    );
+  });
+
+  router.post("/selection", express.urlencoded({ extended: false, limit: MAX_SELECTION_BODY }), (req, res) => {
+    const index = indexFor(req);
+    const requested = [].concat((req.body && req.body.files) || []).filter((file) => typeof file === "string");
+    const relativePaths = [
+      ...new Set(
+        requested
+          .map((file) => relativePathFromSegments(file.split("/")))
+          .filter((relativePath) => relativePath && index.getFile(relativePath)),
+      ),
+    ];
+    if (relativePaths.length === 0) {
+      return res.status(400).send("None of the selected files could be found.");
+    }
+    // Keep the folder structure below the folder the selection was made in
+    const base = commonFolder(relativePaths);
+    sendArchive(
+      res,
+      index,
+      archiveNameFor(base, rootTitle),
+      relativePaths.map((relativePath) => ({ file: relativePath, name: path.relative(base, relativePath) })),
+    );
+  });
+
+  return router;
+};
+
+module.exports = { createDownloadRouter };
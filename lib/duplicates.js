@@ -0,0 +1,258 @@
+const path = require("path");
+const fs = require("fs");
+const sharp = require("sharp");
+const { capturedAt } = require("./gallery");
+const { hashFile } = require("./files");
+
+// Duplicate detection. A background job fingerprints every file in the library: a SHA-256 of its
+// contents, which finds exact copies under any name, and for images a perceptual hash of the picture,
+// which also finds copies that were resized, recompressed or converted to another format.
+//
+// Fingerprints are cached in a JSON file next to the media index, together with the size and mtime of the
+// file they were taken from, so after a restart or a change in the library only new and changed files are
+// read again. Images are hashed from their grid thumbnail (see lib/thumbnails.js), which is far quicker to
+// decode than the original and needed for the duplicates page anyway.
+
+const CACHE_VERSION = 1;
+// Save the fingerprints every so many files, so a restart in the middle of a long job loses little work
+const SAVE_EVERY = 50;
+// Wait for a burst of index changes (e.g. an import) before fingerprinting the new files
+const RESCAN_DELAY_MS = 5000;
+// Bits (out of 64) in which the perceptual hashes of two images may differ for them to count as the same
+// picture. Must stay below 8: similar hashes are found through the bytes they have in common.
+const SIMILAR_DISTANCE = 6;
+
+// Perceptual "difference hash" of an image, as 16 hex digits: the picture is shrunk to 9x8 greys and each
+// bit says whether a pixel is brighter than its right-hand neighbour
+const differenceHash = async (imagePath) => {
+  const pixels = await sharp(imagePath)
+    .flatten({ background: "#fff" })
+    .resize(9, 8, { fit: "fill" })
+    .greyscale()
+    .raw()
+    .toBuffer();
+  let hash = 0n;
+  for (let y = 0; y < 8; y++) {
+    for (let x = 0; x < 8; x++) {
+      hash = (hash << 1n) | (pixels[y * 9 + x] > pixels[y * 9 + x + 1] ? 1n : 0n);
+    }
+  }
+  return hash.toString(16).padStart(16, "0");
+};
+
+const countBits = (bits) => {
+  let count = 0;
+  while (bits > 0n) {
+    count += Number(bits & 1n);
+    bits >>= 1n;
+  }
+  return count;
+};
+
+// Number of bits in which two difference hashes differ
+const hashDistance = (a, b) => countBits(BigInt(`0x${a}`) ^ BigInt(`0x${b}`));
+
+// Pictures with (next to) no detail, such as a plain colour or a smooth gradient, all hash about the same;
+// they are only matched as exact copies
+const hasDetail = (dhash) => {
+  const setBits = countBits(BigInt(`0x${dhash}`));
+  return setBits > SIMILAR_DISTANCE && setBits < 64 - SIMILAR_DISTANCE;
+};
+
+// `cacheFile` is where the fingerprints are kept; `thumbnailer` makes the thumbnails images are hashed from
+const createDuplicateFinder = ({ rootDir, cacheFile, thumbnailer }) => {
+  // relativePath -> { size, mtime, sha256, dhash }, `dhash` being null for videos and undecodable images
+  const fingerprints = new Map();
+  // How far the job is: `done` of the `total` files that needed fingerprinting in the current run
+  const progress = { running: false, done: 0, total: 0 };
+  let rescanTimer = null;
+  let scanning = null;
+  let rescanAfterwards = false;
+  let closed = false;
+
+  const load = async () => {
+    try {
+      const data = JSON.parse(await fs.promises.readFile(cacheFile, "utf8"));
+      if (data.version !== CACHE_VERSION) throw new Error(`unknown version ${data.version}`);
+      for (const [relativePath, fingerprint] of Object.entries(data.files)) {
+        fingerprints.set(relativePath, fingerprint);
+      }
+    } catch (err) {
+      if (err.code !== "ENOENT") console.error(`Ignoring unreadable fingerprints ${cacheFile}:`, err.message);
+    }
+  };
+  const ready = load();
+
+  const save = async () => {
+    const data = { version: CACHE_VERSION, files: Object.fromEntries(fingerprints) };
+    try {
+      await fs.promises.mkdir(path.dirname(cacheFile), { recursive: true });
+      await fs.promises.writeFile(`${cacheFile}.tmp`, JSON.stringify(data));
+      await fs.promises.rename(`${cacheFile}.tmp`, cacheFile);
+    } catch (err) {
+      console.error(`Error saving fingerprints to ${cacheFile}:`, err.message);
+    }
+  };
+
+  // The fingerprint of an index entry, if it was taken from the file as it is now
+  const currentFingerprint = (entry) => {
+    const fingerprint = fingerprints.get(entry.file);
+    return fingerprint && fingerprint.size === entry.size && fingerprint.mtime === entry.mtime ? fingerprint : null;
+  };
+
+  const takeFingerprint = async (entry) => {
+    const sha256 = await hashFile(path.join(rootDir, entry.file));
+    let dhash = null;
+    if (thumbnailer.canResize(entry)) {
+      try {
+        dhash = await differenceHash(await thumbnailer.getThumbnail(entry, "thumb"));
+      } catch (err) {
+        // Can't be decoded; exact copies are still found
+      }
+    }
+    return { size: entry.size, mtime: entry.mtime, sha256, dhash };
+  };
+
+  // Fingerprint the files of `mediaIndex` that are new or changed, one at a time, and forget those that are gone
+  const scan = async (mediaIndex) => {
+    await ready;
+    const entries = mediaIndex.getAllFiles();
+    const indexed = new Set(entries.map((entry) => entry.file));
+    let unsaved = 0;
+    for (const relativePath of fingerprints.keys()) {
+      if (indexed.has(relativePath)) continue;
+      fingerprints.delete(relativePath);
+      unsaved++;
+    }
+
+    const pending = entries.filter((entry) => !currentFingerprint(entry));
+    Object.assign(progress, { running: true, done: 0, total: pending.length });
+    for (const entry of pending) {
+      if (closed) break;
+      try {
+        fingerprints.set(entry.file, await takeFingerprint(entry));
+        unsaved++;
+      } catch (err) {
+        // Gone since the index saw it, or unreadable: tried again on the next run
+        if (err.code !== "ENOENT") console.error(`Error fingerprinting ${entry.file}:`, err.message);
+      }
+      progress.done++;
+      if (unsaved >= SAVE_EVERY) {
+        await save();
+        unsaved = 0;
+      }
+    }
+    progress.running = false;
+    if (unsaved > 0) await save();
+  };
+
+  // Keep the fingerprints in step with `mediaIndex` from now on
+  const follow = (mediaIndex) => {
+    const run = () => {
+      if (scanning) {
+        rescanAfterwards = true;
+        return;
+      }
+      scanning = scan(mediaIndex)
+        .catch((err) => console.error("Error looking for duplicates:", err))
+        .finally(() => {
+          scanning = null;
+          if (rescanAfterwards && !closed) {
+            rescanAfterwards = false;
+            run();
+          }
+        });
+    };
+    mediaIndex.onChange(() => {
+      clearTimeout(rescanTimer);
+      rescanTimer = setTimeout(run, RESCAN_DELAY_MS);
+      rescanTimer.unref();
+    });
+    mediaIndex.ready.then(run);
+  };
+
+  // Groups of two or more of `entries` that are copies of each other: `identical` when all of them have the
+  // same contents, otherwise at least some are only the same picture. Files are in the order they were taken,
+  // and the groups that waste the most space come first. Files not fingerprinted yet are left out.
+  const findGroups = (entries) => {
+    const known = entries
+      .map((entry) => ({ entry, fingerprint: currentFingerprint(entry) }))
+      .filter((item) => item.fingerprint);
+
+    // Union-find over the positions in `known`
+    const parents = known.map((item, position) => position);
+    const root = (position) => {
+      while (parents[position] !== position) {
+        parents[position] = parents[parents[position]];
+        position = parents[position];
+      }
+      return position;
+    };
+    const join = (a, b) => {
+      parents[root(a)] = root(b);
+    };
+
+    const firstWithContents = new Map(); // sha256 -> position
+    // Two hashes at most SIMILAR_DISTANCE bits apart have at least one of their 8 bytes in common, so
+    // each image is only compared to those sharing a byte with it: "<byte number>:<value>" -> positions
+    const byteBuckets = new Map();
+    known.forEach(({ fingerprint }, position) => {
+      if (firstWithContents.has(fingerprint.sha256)) {
+        join(position, firstWithContents.get(fingerprint.sha256));
+      } else {
+        firstWithContents.set(fingerprint.sha256, position);
+      }
+      if (!fingerprint.dhash || !hasDetail(fingerprint.dhash)) return;
+      for (let byte = 0; byte < 8; byte++) {
+        const key = `${byte}:${fingerprint.dhash.slice(byte * 2, byte * 2 + 2)}`;
+        const bucket = byteBuckets.get(key) || [];
+        for (const other of bucket) {
+          if (root(other) === root(position)) continue;
+          if (hashDistance(fingerprint.dhash, known[other].fingerprint.dhash) <= SIMILAR_DISTANCE) {
+            join(position, other);
+          }
+        }
+        bucket.push(position);
+        byteBuckets.set(key, bucket);
+      }
+    });
+
+    const groups = new Map(); // root position -> group
+    known.forEach((item, position) => {
+      const key = root(position);
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(item);
+    });
+    return [...groups.values()]
+      .filter((items) => items.length > 1)
+      .map((items) => ({
+        identical: items.every((item) => item.fingerprint.sha256 === items[0].fingerprint.sha256),
+        entries: items
+          .map((item) => item.entry)
+          .sort((a, b) => capturedAt(a) - capturedAt(b) || a.file.localeCompare(b.file)),
+      }))
+      .map((group) => ({
+        ...group,
+        // What deleting all but the largest copy would free
+        wastedBytes:
+          group.entries.reduce((total, entry) => total + entry.size, 0) -
+          Math.max(...group.entries.map((entry) => entry.size)),
+      }))
+      .sort((a, b) => b.wastedBytes - a.wastedBytes || a.entries[0].file.localeCompare(b.entries[0].file));
+  };
+
+  return {
+    ready,
+    progress,
+    follow,
+    findGroups,
+
+    close: async () => {
+      closed = true;
+      clearTimeout(rescanTimer);
+      await scanning;
+    },
+  };
+};
+
+module.exports = { createDuplicateFinder };
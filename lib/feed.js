@@ -0,0 +1,80 @@
+const express = require("express");
+const path = require("path");
+const { toUrlPath, thumbnailUrlFor, parentFolder } = require("./gallery");
+const { mediaTypeOf } = require("./mediaTypes");
+const { escapeHtml, escapeXml } = require("./security");
+
+// Atom feed of the newest photos and videos, for subscribing in a feed reader:
+//
+//   GET /feed.atom
+//
+// Files are ordered by modification time, so a photo taken years ago that was only just copied into the
+// library is news. Each entry has the file's caption and thumbnail, a link that opens it in its album and
+// the original as an enclosure; links are absolute, as feed readers show them outside the gallery. Like
+// everything else, the feed only holds what the visitor may see: for most feed readers, what guests see.
+
+// Entries in the feed, newest first
+const FEED_SIZE = 50;
+
+const toAtomEntry = (entry, origin, basePath) => {
+  const fileUrl = origin + toUrlPath(entry.file, basePath);
+  // The album page, opened on the file (see the #item= links in lib/pages.js)
+  const pageUrl = `${origin}${toUrlPath(parentFolder(entry.file), basePath)}#item=${encodeURIComponent(
+    entry.file.split(path.sep).join("/"),
+  ).replace(/%2F/g, "/")}`;
+  const thumbnailUrl = origin + thumbnailUrlFor(entry, "thumb", basePath);
+  const content = `<p><a href="${escapeHtml(pageUrl)}"><img src="${escapeHtml(thumbnailUrl)}" alt="${escapeHtml(
+    entry.caption,
+  )}"></a></p><p>${escapeHtml(entry.caption)}</p>`;
+  return [
+    "  <entry>",
+    `    <id>${escapeXml(fileUrl)}</id>`,
+    `    <title>${escapeXml(entry.caption)}</title>`,
+    `    <updated>${new Date(entry.mtime).toISOString()}</updated>`,
+    `    <link rel="alternate" type="text/html" href="${escapeXml(pageUrl)}"/>`,
+    `    <link rel="enclosure" type="${mediaTypeOf(entry).mimeType}" length="${entry.size}" href="${escapeXml(fileUrl)}"/>`,
+    `    <content type="html">${escapeXml(content)}</content>`,
+    "  </entry>",
+  ].join("\n");
+};
+
+// `indexFor(req)` narrows the index to what the requesting visitor may see, as in lib/api.js; `title` and
+// `author` name the feed and `basePath` is where the library is mounted
+const createFeedRouter = ({ mediaIndex, indexFor = () => mediaIndex, title, author, basePath = "" }) => {
+  const router = express.Router();
+
+  // The index may still be doing its first scan right after startup
+  router.use(async (req, res, next) => {
+    await mediaIndex.ready;
+    next();
+  });
+
+  router.get("/", (req, res) => {
+    const origin = `${req.protocol}://${req.get("host")}`;
+    const entries = indexFor(req)
+      .getAllFiles()
+      .sort((a, b) => b.mtime - a.mtime)
+      .slice(0, FEED_SIZE);
+    const updated = entries.length > 0 ? entries[0].mtime : Date.now();
+    res.type("application/atom+xml");
+    res.send(
+      [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<feed xmlns="http://www.w3.org/2005/Atom">',
+        `  <id>${escapeXml(`${origin}${basePath}/feed.atom`)}</id>`,
+        `  <title>${escapeXml(`${title} - Recently added`)}</title>`,
+        `  <author><name>${escapeXml(author)}</name></author>`,
+        `  <updated>${new Date(updated).toISOString()}</updated>`,
+        `  <link rel="self" type="application/atom+xml" href="${escapeXml(`${origin}${basePath}/feed.atom`)}"/>`,
+        `  <link rel="alternate" type="text/html" href="${escapeXml(`${origin}${basePath}/recent`)}"/>`,
+        ...entries.map((entry) => toAtomEntry(entry, origin, basePath)),
+        "</feed>",
+        "",
+      ].join("\n"),
+    );
+  });
+
+  return router;
+};
+
+module.exports = { createFeedRouter };
@@ -0,0 +1,108 @@
+const path = require("path");
+const fs = require("fs");
+const crypto = require("crypto");
+const { isInsideDirectory } = require("./security");
+
+// Filesystem helpers shared by uploads and album management, which are the only parts of the
+// gallery that change the library, and the content hashes annotations and duplicate detection use.
+
+// After this many " (n)" candidates something is wrong with the folder; give up
+const MAX_NAME_ATTEMPTS = 1000;
+
+// The name a file or folder is saved under: no folders, control characters, characters Windows can't
+// store or leading dots (which would make it a dotfile the gallery ignores)
+const safeFileName = (fileName) =>
+  path
+    .basename(String(fileName || "").replace(/\\/g, "/"))
+    .normalize("NFC")
+    .replace(/[\u0000-\u001f\u007f<>:"|?*]/g, "_")
+    .replace(/^[.\s]+/, "")
+    .trim();
+
+// Whether a name typed by a user can be used as it is
+const isValidName = (name) => typeof name === "string" && name !== "" && safeFileName(name) === name;
+
+// Absolute path of a path relative to the library; throws rather than ever pointing outside it
+const resolveInLibrary = (rootDir, relativePath) => {
+  const fullPath = path.resolve(rootDir, relativePath);
+  if (!isInsideDirectory(path.resolve(rootDir), fullPath)) {
+    throw new Error(`${relativePath} is outside the library`);
+  }
+  return fullPath;
+};
+
+// Try `fileName` in `folderPath`, then "name (2).ext", "name (3).ext", ... until `claim(candidatePath)`
+// succeeds; `claim` must fail with EEXIST when the name is taken. Resolves to the name that was used.
+const claimName = async (folderPath, fileName, claim) => {
+  const ext = path.extname(fileName);
+  const stem = path.basename(fileName, ext);
+  for (let attempt = 1; attempt <= MAX_NAME_ATTEMPTS; attempt++) {
+    const candidate = attempt === 1 ? fileName : `${stem} (${attempt})${ext}`;
+    try {
+      await claim(path.join(folderPath, candidate));
+      return candidate;
+    } catch (err) {
+      if (err.code !== "EEXIST") throw err;
+    }
+  }
+  throw new Error("no free file name");
+};
+
+// link() errors of filesystems without hard links (exFAT, FAT32, many network shares) or across two of them
+const NO_HARD_LINKS = ["EPERM", "ENOTSUP", "EOPNOTSUPP", "ENOSYS", "EXDEV"];
+
+// Give the file at `sourcePath` a second name, `targetPath`, failing with EEXIST instead of replacing
+// anything there, even when two requests race for the name. That is a hard link where the filesystem has
+// them, and otherwise a copy that is only made if the name is free.
+const linkWithoutReplacing = async (sourcePath, targetPath) => {
+  try {
+    await fs.promises.link(sourcePath, targetPath);
+  } catch (err) {
+    if (!NO_HARD_LINKS.includes(err.code)) throw err;
+    try {
+      await fs.promises.copyFile(sourcePath, targetPath, fs.constants.COPYFILE_EXCL);
+    } catch (copyErr) {
+      // Don't leave half a copy behind (but never remove a file that was already there)
+      if (copyErr.code !== "EEXIST") await fs.promises.unlink(targetPath).catch(() => {});
+      throw copyErr;
+    }
+  }
+};
+
+// Move a file or folder to `targetPath`, failing with EEXIST instead of replacing anything there.
+// Files get their new name first (see linkWithoutReplacing) and lose the old one afterwards.
+const moveWithoutReplacing = async (sourcePath, targetPath) => {
+  const stat = await fs.promises.lstat(sourcePath);
+  if (!stat.isDirectory()) {
+    await linkWithoutReplacing(sourcePath, targetPath);
+    await fs.promises.unlink(sourcePath);
+    return;
+  }
+  // rename() would quietly replace an empty folder
+  const existing = await fs.promises.lstat(targetPath).catch((err) => {
+    if (err.code === "ENOENT") return null;
+    throw err;
+  });
+  if (existing) throw Object.assign(new Error(`${targetPath} already exists`), { code: "EEXIST" });
+  await fs.promises.rename(sourcePath, targetPath);
+};
+
+// SHA-256 of a file's contents, read as a stream so large videos don't have to fit in memory
+const hashFile = (filePath) =>
+  new Promise((resolve, reject) => {
+    const hash = crypto.createHash("sha256");
+    fs.createReadStream(filePath)
+      .on("error", reject)
+      .on("data", (chunk) => hash.update(chunk))
+      .on("end", () => resolve(hash.digest("hex")));
+  });
+
+module.exports = {
+  safeFileName,
+  isValidName,
+  resolveInLibrary,
+  claimName,
+  linkWithoutReplacing,
+  moveWithoutReplacing,
+  hashFile,
+};
@@ -0,0 +1,242 @@
+const path = require("path");
+const { mediaTypeOf } = require("./mediaTypes");
+
+// Album and media data shared by the HTML pages and the JSON API. Everything here reads
+// from the media index; nothing touches the filesystem.
+
+// Sort orders understood by sortMediaEntries; "date" is the EXIF capture date, falling back to mtime,
+// and "album" is the order listed in the album's sidecar (unlisted files last, by name)
+const SORT_FIELDS = ["name", "date", "mtime", "size", "album"];
+const SORT_ORDERS = ["asc", "desc"];
+
+// Turn a folder or file name like "summer_trip-2024" into a caption like "summer trip 2024"
+const captionFromName = (name) => name.split(/[-_]+/).join(" ").trim();
+
+// Build a URL path from a path relative to photosDirectory, encoding each segment. `basePath` is where
+// the library is mounted (e.g. "/alice"; "" for a library at the top of the site).
+const toUrlPath = (relativePath, basePath = "") =>
+  basePath +
+  "/" +
+  relativePath
+    .split(path.sep)
+    .filter((segment) => segment !== "")
+    .map(encodeURIComponent)
+    .join("/");
+
+// Turn route wildcard segments (e.g. ["2024", "summer"]) into a path relative to photosDirectory.
+// Returns null for anything that could climb out of photosDirectory (e.g. an encoded "..").
+const relativePathFromSegments = (segments) => {
+  const parts = segments.filter((segment) => segment !== "");
+  if (parts.some((segment) => segment === "." || segment === ".." || /[\\/\0]/.test(segment))) {
+    return null;
+  }
+  return path.join("", ...parts);
+};
+
+// The album a file or folder is in ("" for the top level)
+const parentFolder = (relativePath) => {
+  const parent = path.dirname(relativePath);
+  return parent === "." ? "" : parent;
+};
+
+// URL of a generated thumbnail ("thumb") or preview ("screen") for a media index entry
+const thumbnailUrlFor = (entry, sizeName = "thumb", basePath = "") =>
+  `${basePath}/thumbs/${sizeName}${toUrlPath(entry.file)}?v=${Math.round(entry.mtime)}`;
+
+// When a file was taken, in milliseconds: EXIF DateTimeOriginal if present, otherwise its mtime
+const capturedAt = (entry) =>
+  entry.exif && entry.exif.DateTimeOriginal ? entry.exif.DateTimeOriginal * 1000 : entry.mtime;
+
+// Where a photo was taken, from its EXIF GPS tags: { latitude, longitude, altitude } in decimal degrees
+// (south and west negative) and metres (null when not recorded), or null for files without a position
+const gpsPosition = (entry) => {
+  const exifData = entry.exif || {};
+  const { GPSLatitude: latitude, GPSLongitude: longitude } = exifData;
+  if (!Number.isFinite(latitude) || !Number.isFinite(longitude)) return null;
+  if (Math.abs(latitude) > 90 || Math.abs(longitude) > 180) return null;
+  let altitude = Number.isFinite(exifData.GPSAltitude) ? exifData.GPSAltitude : null;
+  if (altitude !== null && exifData.GPSAltitudeRef === 1) altitude = -altitude; // Below sea level
+  return { latitude, longitude, altitude };
+};
+
+// Camera settings a photo was taken with, from EXIF: exposure time in seconds, focal lengths in mm.
+// Unrecorded values are null; null altogether when none are recorded (videos, scans, edited copies).
+const cameraSettings = (entry) => {
+  const exifData = entry.exif || {};
+  const text = (value) => (typeof value === "string" && value !== "" ? value : null);
+  const number = (value) => (Number.isFinite(value) && value > 0 ? value : null);
+  const settings = {
+    make: text(exifData.Make),
+    model: text(exifData.Model),
+    lens: text(exifData.LensModel),
+    exposureTime: number(exifData.ExposureTime),
+    fNumber: number(exifData.FNumber),
+    iso: number(exifData.ISO),
+    focalLength: number(exifData.FocalLength),
+    focalLength35mm: number(exifData.FocalLengthIn35mmFormat),
+  };
+  return Object.values(settings).some((value) => value !== null) ? settings : null;
+};
+
+// What the viewer's info panel and the JSON API tell about a file beyond its name and caption
+const mediaDetails = (entry) => {
+  const exifData = entry.exif || {};
+  const storedWidth = exifData.ImageWidth || exifData.ExifImageWidth || null;
+  const storedHeight = exifData.ImageHeight || exifData.ExifImageHeight || null;
+  // Orientations 5 to 8 turn the picture on its side, so it is displayed the other way round from how it is stored
+  const turned = exifData.Orientation >= 5 && exifData.Orientation <= 8;
+  return {
+    takenAt: exifData.DateTimeOriginal ? new Date(capturedAt(entry)).toISOString() : null,
+    width: turned ? storedHeight : storedWidth,
+    height: turned ? storedWidth : storedHeight,
+    camera: cameraSettings(entry),
+    location: gpsPosition(entry),
+  };
+};
+
+// Month a file was taken, e.g. "July 2024", for grouping the timeline.
+// EXIF dates carry no time zone (exif-parser reads them as UTC), so they are formatted as UTC too.
+const formatCaptureMonth = (entry) =>
+  new Date(capturedAt(entry)).toLocaleDateString("en-US", {
+    year: "numeric",
+    month: "long",
+    timeZone: entry.exif && entry.exif.DateTimeOriginal ? "UTC" : undefined,
+  });
+
+const compareNames = (a, b) => path.basename(a.file).localeCompare(path.basename(b.file), undefined, { numeric: true });
+const albumPosition = (entry) => (entry.position === undefined ? Infinity : entry.position);
+
+// Sort index entries by one of SORT_FIELDS; ties fall back to the path so the order is stable
+const sortMediaEntries = (entries, sort = "name", order = "asc") => {
+  const compareBy = {
+    name: compareNames,
+    date: (a, b) => capturedAt(a) - capturedAt(b),
+    mtime: (a, b) => a.mtime - b.mtime,
+    size: (a, b) => a.size - b.size,
+    album: (a, b) => albumPosition(a) - albumPosition(b) || compareNames(a, b),
+  }[sort];
+  const direction = order === "desc" ? -1 : 1;
+  return [...entries].sort((a, b) => direction * compareBy(a, b) || a.file.localeCompare(b.file));
+};
+
+// Links point into the library mounted at `basePath`. `albumUrl(folderRelativePath)`, `mediaUrl(entry)` and
+// `thumbnailUrl(entry, sizeName)` replace them where the pages aren't served by the gallery (see lib/staticExport.js).
+const createGallery = ({
+  mediaIndex,
+  thumbnailer,
+  basePath = "",
+  albumUrl = (folderRelativePath) => toUrlPath(folderRelativePath, basePath),
+  mediaUrl = (entry) => toUrlPath(entry.file, basePath),
+  thumbnailUrl = (entry, sizeName) => thumbnailUrlFor(entry, sizeName, basePath),
+}) => {
+  // Title of an album: the one set in its sidecar, or one made from the folder name
+  const albumTitle = (folderRelativePath) => {
+    const folder = mediaIndex.getFolder(folderRelativePath);
+    return (folder && folder.album.title) || captionFromName(path.basename(folderRelativePath));
+  };
+
+  // Helper function to find a cover image for a folder
+  const findFolderCover = (folderRelativePath) => {
+    const folder = mediaIndex.getFolder(folderRelativePath);
+    if (!folder) return null;
+    const mediaFiles = folder.files;
+
+    let coverFile = null;
+    // A cover chosen in the album's sidecar wins, then files named 'cover.*' (case-insensitive and prefix match)
+    const sidecarCover =
+      folder.album.cover && mediaFiles.find((file) => path.basename(file.file) === folder.album.cover);
+    const potentialCovers = mediaFiles.filter((file) => path.parse(file.file).name.toLowerCase().startsWith("cover"));
+    if (sidecarCover) {
+      coverFile = sidecarCover;
+    } else if (potentialCovers.length > 0) {
+      // Pick the first cover file found
+      coverFile = potentialCovers[0];
+    } else if (mediaFiles.length > 0) {
+      // If no 'cover' file, use the first media file
+      coverFile = mediaFiles[0];
+    }
+
+    if (coverFile) {
+      let caption = albumTitle(folderRelativePath); // Default caption from the album title
+
+      // Prefer the cover's EXIF description when it has one, unless the sidecar names the album
+      if (!folder.album.title && coverFile.exif && coverFile.exif.ImageDescription) {
+        caption = coverFile.exif.ImageDescription;
+      }
+
+      return {
+        file: coverFile.file,
+        url: thumbnailUrl(coverFile, "thumb"),
+        caption: caption,
+        ext: coverFile.ext,
+      };
+    }
+
+    // No media directly in this folder (e.g. a "2024" folder that only holds event folders):
+    // borrow the cover of the first sub-folder that has one, but keep this folder's own caption.
+    for (const subfolder of folder.subfolders) {
+      const nestedCover = findFolderCover(path.join(folderRelativePath, subfolder));
+      if (nestedCover) {
+        return { ...nestedCover, caption: albumTitle(folderRelativePath) };
+      }
+    }
+    return null; // No suitable cover found
+  };
+
+  // Helper to build the card data for a folder (album) shown in a gallery grid
+  const buildFolderItem = (folderRelativePath) => {
+    const coverData = findFolderCover(folderRelativePath);
+    return {
+      type: "folder",
+      name: path.basename(folderRelativePath),
+      caption: coverData ? coverData.caption : albumTitle(folderRelativePath),
+      thumbnailUrl: coverData ? coverData.url : "/folder_icon.png", // Use a generic folder icon if no media (make sure '/folder_icon.png' exists if used)
+      link: albumUrl(folderRelativePath),
+    };
+  };
+
+  // Helper to turn a media index entry into the data the modal needs.
+  // Images open as a screen-size preview; the original is only fetched through "view original", which
+  // opens a full-size conversion instead for formats browsers can't display. An image in such a format that
+  // can't be converted either has no preview or full size (null): the modal offers it for download.
+  const processMediaFileForModal = (entry) => {
+    const mediaType = mediaTypeOf(entry);
+    const isVideo = mediaType.kind === "video";
+    const canResize = thumbnailer.canResize(entry);
+    // Videos are never converted; players that can't handle one offer it for download (see lib/pages.js)
+    const showable = isVideo || mediaType.native;
+    return {
+      file: entry.file,
+      caption: entry.caption,
+      ext: entry.ext,
+      isVideo: isVideo,
+      previewUrl: canResize ? thumbnailUrl(entry, "screen") : showable ? mediaUrl(entry) : null,
+      originalUrl: mediaUrl(entry),
+      fullSizeUrl: showable ? mediaUrl(entry) : canResize ? thumbnailUrl(entry, "full") : null,
+      thumbnailUrl: thumbnailUrl(entry, "thumb"),
+      ...mediaDetails(entry),
+      favorite: entry.favorite,
+      rating: entry.rating,
+      tags: entry.tags,
+      embeddedTags: entry.keywords,
+    };
+  };
+
+  return { albumTitle, findFolderCover, buildFolderItem, processMediaFileForModal };
+};
+
+module.exports = {
+  createGallery,
+  captionFromName,
+  toUrlPath,
+  relativePathFromSegments,
+  parentFolder,
+  thumbnailUrlFor,
+  capturedAt,
+  gpsPosition,
+  mediaDetails,
+  formatCaptureMonth,
+  sortMediaEntries,
+  SORT_FIELDS,
+  SORT_ORDERS,
+};
@@ -0,0 +1,138 @@
+const express = require("express");
+const path = require("path");
+const {
+  captionFromName,
+  relativePathFromSegments,
+  toUrlPath,
+  thumbnailUrlFor,
+  gpsPosition,
+  mediaDetails,
+} = require("./gallery");
+const { escapeXml } = require("./security");
+
+// Map exports of the geotagged photos in an album and its sub-albums, for opening in mapping tools.
+//
+//   GET /export/geojson[/<album path>]     a GeoJSON FeatureCollection of points
+//   GET /export/kml[/<album path>]         a KML document of placemarks
+//
+// Each point carries the photo's caption, when it was taken and absolute links to the photo and its
+// thumbnail (mapping tools open the file on their own, so relative links would go nowhere). Files
+// without EXIF GPS tags are left out; only what the gallery shows the visitor goes in.
+
+const FORMATS = {
+  geojson: { ext: "geojson", type: "application/geo+json" },
+  kml: { ext: "kml", type: "application/vnd.google-earth.kml+xml" },
+};
+
+const toGeoJson = (title, points) => ({
+  type: "FeatureCollection",
+  name: title,
+  features: points.map((point) => ({
+    type: "Feature",
+    geometry: {
+      type: "Point",
+      // GeoJSON puts longitude first
+      coordinates: [point.location.longitude, point.location.latitude].concat(
+        point.location.altitude === null ? [] : [point.location.altitude],
+      ),
+    },
+    properties: {
+      name: point.name,
+      caption: point.caption,
+      album: point.album,
+      takenAt: point.takenAt,
+      url: point.url,
+      thumbnailUrl: point.thumbnailUrl,
+    },
+  })),
+});
+
+const kmlPlacemark = (point) => {
+  const { longitude, latitude, altitude } = point.location;
+  // The description is HTML, shown in the placemark's balloon
+  const description = `<a href="${escapeXml(point.url)}"><img src="${escapeXml(point.thumbnailUrl)}" alt=""></a><br>${escapeXml(point.name)}`;
+  return [
+    "    <Placemark>",
+    `      <name>${escapeXml(point.caption)}</name>`,
+    `      <description>${escapeXml(description)}</description>`,
+    ...(point.takenAt ? [`      <TimeStamp><when>${point.takenAt}</when></TimeStamp>`] : []),
+    `      <Point><coordinates>${[longitude, latitude, altitude].filter((value) => value !== null).join(",")}</coordinates></Point>`,
+    "    </Placemark>",
+  ].join("\n");
+};
+
+const toKml = (title, points) =>
+  [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<kml xmlns="http://www.opengis.net/kml/2.2">',
+    "  <Document>",
+    `    <name>${escapeXml(title)}</name>`,
+    ...points.map(kmlPlacemark),
+    "  </Document>",
+    "</kml>",
+    "",
+  ].join("\n");
+
+// Every geotagged file in an album and its sub-albums that `index` shows
+const geotaggedFiles = (index, folderRelativePath) => {
+  const folder = index.getFolder(folderRelativePath);
+  if (!folder) return [];
+  return [
+    ...folder.files.filter((entry) => gpsPosition(entry)),
+    ...folder.subfolders.flatMap((subfolder) => geotaggedFiles(index, path.join(folderRelativePath, subfolder))),
+  ];
+};
+
+// `indexFor(req)` narrows the index to what the requesting visitor may see, as in lib/api.js;
+// `basePath` is where the library is mounted
+const createGeoExportRouter = ({ mediaIndex, indexFor = () => mediaIndex, rootTitle = "gallery", basePath = "" }) => {
+  const router = express.Router();
+
+  const sendExport = (req, res, index, folderRelativePath, format) => {
+    const folder = index.getFolder(folderRelativePath);
+    const title = folder.album.title || captionFromName(path.basename(folderRelativePath)) || rootTitle;
+    const origin = `${req.protocol}://${req.get("host")}`;
+    const points = geotaggedFiles(index, folderRelativePath).map((entry) => {
+      const { takenAt, location } = mediaDetails(entry);
+      const album = path.dirname(entry.file);
+      return {
+        name: path.basename(entry.file),
+        caption: entry.caption,
+        album: album === "." ? "" : album.split(path.sep).join("/"),
+        takenAt,
+        location,
+        url: origin + toUrlPath(entry.file, basePath),
+        thumbnailUrl: origin + thumbnailUrlFor(entry, "thumb", basePath),
+      };
+    });
+
+    const { ext, type } = FORMATS[format];
+    res.attachment(`${path.basename(folderRelativePath) || rootTitle}.${ext}`);
+    res.type(type);
+    res.send(format === "kml" ? toKml(title, points) : JSON.stringify(toGeoJson(title, points), null, 2));
+  };
+
+  // The index may still be doing its first scan right after startup
+  router.use(async (req, res, next) => {
+    await mediaIndex.ready;
+    next();
+  });
+
+  router.get("/:format", (req, res, next) => {
+    const index = indexFor(req);
+    if (!Object.hasOwn(FORMATS, req.params.format) || !index.getFolder("")) return next();
+    sendExport(req, res, index, "", req.params.format);
+  });
+
+  router.get("/:format/*albumPath", (req, res, next) => {
+    const index = indexFor(req);
+    const folderRelativePath = relativePathFromSegments(req.params.albumPath);
+    if (!Object.hasOwn(FORMATS, req.params.format)) return next();
+    if (folderRelativePath === null || !index.getFolder(folderRelativePath)) return next();
+    sendExport(req, res, index, folderRelativePath, req.params.format);
+  });
+
+  return router;
+};
+
+module.exports = { createGeoExportRouter, geotaggedFiles };
@@ -0,0 +1,68 @@
+const sharp = require("sharp");
+const { MEDIA_TYPES } = require("./mediaTypes");
+
+// Keywords that photo managers (Lightroom, digiKam, Apple Photos, ...) embed in image files: the IPTC
+// "Keywords" dataset and the XMP dc:subject list. The media index reads them along with the EXIF tags, and
+// they are shown as the file's tags next to the ones set in the gallery (see lib/annotations.js).
+
+// Longest tag kept; anything beyond is cut off
+const MAX_TAG_LENGTH = 64;
+
+// Tags as the gallery keeps them: trimmed, inner whitespace collapsed, without empty ones, and each only
+// once regardless of case (the first spelling wins)
+const normalizeTags = (tags) => {
+  const seen = new Set();
+  const normalized = [];
+  for (const tag of tags) {
+    const text = String(tag).replace(/\s+/g, " ").trim().slice(0, MAX_TAG_LENGTH);
+    if (text === "" || seen.has(text.toLowerCase())) continue;
+    seen.add(text.toLowerCase());
+    normalized.push(text);
+  }
+  return normalized;
+};
+
+// IPTC IIM records: 0x1C, record number, dataset number, a 2-byte length and the value.
+// Keywords are dataset 2:25, repeated once per keyword.
+const iptcKeywords = (iptc) => {
+  const keywords = [];
+  if (!iptc) return keywords;
+  for (let offset = 0; offset + 5 <= iptc.length; offset++) {
+    if (iptc[offset] !== 0x1c || iptc[offset + 1] !== 2 || iptc[offset + 2] !== 25) continue;
+    const length = iptc.readUInt16BE(offset + 3);
+    if (length & 0x8000) continue; // Extended-length values aren't used for keywords
+    keywords.push(iptc.toString("utf8", offset + 5, offset + 5 + length));
+    offset += 4 + length;
+  }
+  return keywords;
+};
+
+const XML_ENTITIES = { amp: "&", lt: "<", gt: ">", quot: '"', apos: "'" };
+
+const decodeXmlText = (text) =>
+  text.replace(/&(#x[0-9a-f]+|#[0-9]+|[a-z]+);/gi, (match, name) => {
+    if (name[0] !== "#") return XML_ENTITIES[name] || match;
+    const code = name[1] === "x" || name[1] === "X" ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+    return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : match;
+  });
+
+// The items of the XMP dc:subject bag
+const xmpKeywords = (xmp) => {
+  if (!xmp) return [];
+  const subject = /<dc:subject>([\s\S]*?)<\/dc:subject>/.exec(xmp.toString("utf8"));
+  if (!subject) return [];
+  return [...subject[1].matchAll(/<rdf:li(?:\s[^>]*)?>([^<]*)<\/rdf:li>/g)].map((match) => decodeXmlText(match[1]));
+};
+
+// Keywords embedded in a file of a given media type; none for videos and files sharp can't read
+const readKeywords = async (filePath, type) => {
+  if (MEDIA_TYPES[type].kind !== "image") return [];
+  try {
+    const { iptc, xmp } = await sharp(filePath).metadata();
+    return normalizeTags([...iptcKeywords(iptc), ...xmpKeywords(xmp)]);
+  } catch (err) {
+    return [];
+  }
+};
+
+module.exports = { readKeywords, normalizeTags };
@@ -0,0 +1,81 @@
+const express = require("express");
+const path = require("path");
+const { parentFolder } = require("./gallery");
+
+// Live updates for open pages, as Server-Sent Events:
+//
+//   GET /events     a text/event-stream that stays open
+//
+// Whenever the media index changes (files added, changed or removed, through the gallery or straight in the
+// library folder), each open page gets a "change" event once things have settled: { "albums": [...] } lists
+// the albums whose files, sub-albums or settings changed, or is null when any of them may have (a full
+// rescan). Visitors only hear about albums they may see; an album that is gone is reported as the nearest
+// album above it that is still there. Pages reload their grid in place when the change concerns them.
+
+// Wait this long after a change for more to come, so copying a folder of photos is one event and not hundreds
+const BATCH_DELAY_MS = 1000;
+// Proxies close connections that stay silent for too long; a comment line now and then keeps them open
+const KEEPALIVE_INTERVAL_MS = 30 * 1000;
+
+// `indexFor(req)` is the part of the index the visitor may see (see lib/api.js)
+const createLiveUpdatesRouter = ({ mediaIndex, indexFor = () => mediaIndex }) => {
+  const router = express.Router();
+  const clients = new Set(); // { req, res }
+  let changedAlbums = new Set();
+  let anythingChanged = false;
+  let batchTimer = null;
+
+  // The album itself if it is still in the library, otherwise the nearest one above it
+  const nearestAlbum = (folderRelativePath) => {
+    let album = folderRelativePath;
+    while (album !== "" && !mediaIndex.getFolder(album)) album = parentFolder(album);
+    return album;
+  };
+
+  const sendChanges = () => {
+    batchTimer = null;
+    const albums = anythingChanged ? null : [...new Set([...changedAlbums].map(nearestAlbum))];
+    changedAlbums = new Set();
+    anythingChanged = false;
+    for (const { req, res } of clients) {
+      const index = indexFor(req);
+      const visible = albums && albums.filter((album) => index.getFolder(album));
+      if (visible && visible.length === 0) continue;
+      const data = { albums: visible && visible.map((album) => album.split(path.sep).join("/")) };
+      res.write(`event: change\ndata: ${JSON.stringify(data)}\n\n`);
+    }
+  };
+
+  mediaIndex.onChange((folderRelativePath) => {
+    if (clients.size === 0) return;
+    if (folderRelativePath === null) {
+      anythingChanged = true;
+    } else {
+      changedAlbums.add(folderRelativePath);
+    }
+    if (!batchTimer) batchTimer = setTimeout(sendChanges, BATCH_DELAY_MS);
+  });
+
+  router.get("/", (req, res) => {
+    res.set({
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      "X-Accel-Buffering": "no", // Don't let nginx hold the events back
+    });
+    res.flushHeaders();
+    // If the connection drops, the browser reconnects after this many milliseconds
+    res.write("retry: 5000\n\n");
+
+    const client = { req, res };
+    clients.add(client);
+    const keepalive = setInterval(() => res.write(": keepalive\n\n"), KEEPALIVE_INTERVAL_MS);
+    req.on("close", () => {
+      clearInterval(keepalive);
+      clients.delete(client);
+    });
+  });
+
+  return router;
+};
+
+module.exports = { createLiveUpdatesRouter };
@@ -0,0 +1,360 @@
+const express = require("express");
+const path = require("path");
+const fs = require("fs");
+const { toUrlPath, relativePathFromSegments, parentFolder } = require("./gallery");
+const { editSidecar, SIDECAR_FILE_NAMES } = require("./sidecar");
+const { isValidName, resolveInLibrary, claimName, moveWithoutReplacing } = require("./files");
+const { apiError, apiErrorHandler } = require("./api");
+
+// Album management for logged-in users, as part of the JSON API (mounted under /api/v1/manage).
+// Paths are relative to the library and use "/", as everywhere else in the API; "" is the top level.
+//
+//   POST   /albums              { parent, name }   create an empty album
+//   POST   /rename              { path, name }     rename a file or album where it is
+//   POST   /move                { paths, to }      move files and albums into another album
+//   POST   /cover               { album, file }    make one of an album's files its cover (in its sidecar)
+//   POST   /trash               { paths }          move files and albums to the trash
+//   GET    /trash                                  what is in the trash
+//   POST   /trash/<id>/restore                     put a trash item back where it was
+//   DELETE /trash/<id>                             delete a trash item for good
+//
+// Files keep their extension when renamed. Moves and restores never replace anything: a name that is
+// taken gets " (2)", " (3)", ... added. Album sidecars follow along: a renamed file keeps its caption,
+// place in the order and cover status, and a moved file takes its caption with it. Albums with access
+// rules in auth.json (or containing some) can't be renamed, moved or deleted, since their rules would stop
+// applying (and a restricted sub-album would go to the trash of someone who may not see it).
+// Every action is recorded in the audit log (see lib/audit.js).
+
+const MAX_BODY = "1mb";
+
+// Paths in responses always use "/" and are relative to the library root
+const toApiPath = (relativePath) => relativePath.split(path.sep).join("/");
+
+// An album path from a request ("" is the top level); null if it isn't a valid path
+const albumPathFrom = (value) => {
+  if (value === undefined || value === "") return "";
+  return typeof value === "string" ? relativePathFromSegments(value.split("/")) : null;
+};
+
+// Sidecar settings with every mention of a file or sub-album renamed (or removed, when `toName` is null)
+const renameInSettings = (settings, fromName, toName) => {
+  const rename = (name) => (name === fromName ? toName : name);
+  const updated = { ...settings };
+  if (updated.cover === fromName) {
+    if (toName) updated.cover = toName;
+    else delete updated.cover;
+  }
+  for (const key of ["order", "hidden"]) {
+    if (updated[key]) updated[key] = updated[key].map(rename).filter((name) => name !== null);
+  }
+  if (updated.captions && Object.hasOwn(updated.captions, fromName)) {
+    updated.captions = Object.fromEntries(
+      Object.entries(updated.captions)
+        .map(([name, caption]) => [rename(name), caption])
+        .filter(([name]) => name !== null),
+    );
+  }
+  return updated;
+};
+
+// `canEdit(req, folderRelativePath)` decides who may change an album, `hasAccessRules(folderRelativePath)`
+// whether auth.json has rules for a folder or anything below it. `trash` comes from lib/trash.js and
+// `audit` from lib/audit.js; `indexFor(req)` is the part of the index the visitor may see (see lib/api.js).
+// `basePath` is where the library is mounted, for the URLs in responses.
+const createManageRouter = ({
+  mediaIndex,
+  indexFor = () => mediaIndex,
+  rootDir,
+  basePath = "",
+  canEdit,
+  hasAccessRules = () => false,
+  trash,
+  audit,
+}) => {
+  const router = express.Router();
+
+  const itemJson = (relativePath) => ({ path: toApiPath(relativePath), url: toUrlPath(relativePath, basePath) });
+
+  // Run one change to the library and record it, whether it worked or not
+  const audited = async (req, entry, action) => {
+    try {
+      const result = await action();
+      audit.record(req, { ...entry, ok: true });
+      return result;
+    } catch (err) {
+      audit.record(req, { ...entry, ok: false, error: err.message });
+      throw err;
+    }
+  };
+
+  const requireEditableAlbum = (req, index, folderRelativePath, label) => {
+    if (folderRelativePath === null || !index.getFolder(folderRelativePath)) {
+      throw apiError(404, "album_not_found", `No album at "${label}"`);
+    }
+    if (!canEdit(req, folderRelativePath)) {
+      throw apiError(403, "forbidden", `You can't change the album "${label}"`);
+    }
+  };
+
+  // The file or album at an API path, as { relativePath, type: "file" | "album" }, if the visitor may change it.
+  // Changing an album also changes the one it is in, so both need to be editable.
+  const findEditableItem = (req, index, itemPath) => {
+    const relativePath = typeof itemPath === "string" ? relativePathFromSegments(itemPath.split("/")) : null;
+    let type = null;
+    if (relativePath && relativePath !== "." && index.getFile(relativePath)) type = "file";
+    else if (relativePath && relativePath !== "." && index.getFolder(relativePath)) type = "album";
+    if (!type) throw apiError(404, "not_found", `No photo, video or album at "${itemPath}"`);
+    if (!canEdit(req, parentFolder(relativePath)) || (type === "album" && !canEdit(req, relativePath))) {
+      throw apiError(403, "forbidden", `You can't change "${itemPath}"`);
+    }
+    return { relativePath, type };
+  };
+
+  const refreshSidecar = (folderRelativePath) =>
+    mediaIndex.refresh(path.join(folderRelativePath, SIDECAR_FILE_NAMES[0]));
+
+  // Apply `edit` to an album's sidecar. A broken sidecar is left alone (and the album page keeps saying
+  // what is wrong with it) rather than holding up a rename or move.
+  const updateSidecar = async (folderRelativePath, edit) => {
+    try {
+      if (await editSidecar(resolveInLibrary(rootDir, folderRelativePath), edit)) {
+        await refreshSidecar(folderRelativePath);
+      }
+    } catch (err) {
+      console.error(`Album settings of /${folderRelativePath} not updated:`, err.message);
+    }
+  };
+
+  // Handle a list of paths one by one; the answer says which ones worked and why the others didn't
+  const forEachPath = async (paths, handle) => {
+    if (!Array.isArray(paths) || paths.length === 0 || !paths.every((item) => typeof item === "string")) {
+      throw apiError(400, "invalid_parameter", `"paths" must be a list of file or album paths`);
+    }
+    const done = [];
+    const failed = [];
+    for (const itemPath of new Set(paths)) {
+      try {
+        done.push(await handle(itemPath));
+      } catch (err) {
+        if (!err.status) console.error(`Error managing ${itemPath}:`, err);
+        failed.push({ path: itemPath, error: err.status ? err.message : "An internal error occurred." });
+      }
+    }
+    return { done, failed };
+  };
+
+  // Only logged-in users manage albums; share links are read-only
+  router.use((req, res, next) => {
+    if (!req.viewer || !req.viewer.user) {
+      throw apiError(401, "login_required", "Log in to manage albums.");
+    }
+    next();
+  });
+
+  // The index may still be doing its first scan right after startup
+  router.use(async (req, res, next) => {
+    await mediaIndex.ready;
+    next();
+  });
+
+  router.use(express.json({ limit: MAX_BODY }));
+
+  router.post("/albums", async (req, res) => {
+    const index = indexFor(req);
+    const { parent, name } = req.body || {};
+    const parentRelativePath = albumPathFrom(parent);
+    requireEditableAlbum(req, index, parentRelativePath, parent || "");
+    if (!isValidName(name)) {
+      throw apiError(400, "invalid_name", `"name" must be a folder name without "/" or a leading "."`);
+    }
+    const relativePath = path.join(parentRelativePath, name);
+    await audited(req, { action: "create_album", path: toApiPath(relativePath) }, async () => {
+      try {
+        await fs.promises.mkdir(resolveInLibrary(rootDir, relativePath));
+      } catch (err) {
+        if (err.code === "EEXIST") throw apiError(409, "already_exists", `"${name}" already exists there`);
+        throw err;
+      }
+      await mediaIndex.refresh(relativePath);
+    });
+    res.status(201).json({ album: itemJson(relativePath) });
+  });
+
+  router.post("/rename", async (req, res) => {
+    const index = indexFor(req);
+    const { path: itemPath, name } = req.body || {};
+    const { relativePath, type } = findEditableItem(req, index, itemPath);
+    if (!isValidName(name)) {
+      throw apiError(400, "invalid_name", `"name" must be a file or folder name without "/" or a leading "."`);
+    }
+    let newName = name;
+    if (type === "file") {
+      // The extension decides how the gallery treats the file, so it stays
+      const ext = path.extname(relativePath);
+      if (path.extname(name) === "") newName = name + ext;
+      else if (path.extname(name).toLowerCase() !== ext.toLowerCase()) {
+        throw apiError(400, "invalid_name", `The new name must keep the ${ext} extension`);
+      }
+    } else if (hasAccessRules(relativePath)) {
+      throw apiError(409, "has_access_rules", "This album has access rules in auth.json; rename it there first");
+    }
+
+    const folderRelativePath = parentFolder(relativePath);
+    const newRelativePath = path.join(folderRelativePath, newName);
+    if (newRelativePath !== relativePath) {
+      await audited(
+        req,
+        { action: "rename", path: toApiPath(relativePath), to: toApiPath(newRelativePath) },
+        async () => {
+          try {
+            await moveWithoutReplacing(
+              resolveInLibrary(rootDir, relativePath),
+              resolveInLibrary(rootDir, newRelativePath),
+            );
+          } catch (err) {
+            if (err.code === "EEXIST") throw apiError(409, "already_exists", `"${newName}" already exists there`);
+            throw err;
+          }
+          await updateSidecar(folderRelativePath, (settings) =>
+            renameInSettings(settings, path.basename(relativePath), newName),
+          );
+          await mediaIndex.refresh(relativePath);
+          await mediaIndex.refresh(newRelativePath);
+        },
+      );
+    }
+    res.json({ item: itemJson(newRelativePath) });
+  });
+
+  router.post("/move", async (req, res) => {
+    const index = indexFor(req);
+    const { paths, to } = req.body || {};
+    const targetRelativePath = albumPathFrom(to);
+    requireEditableAlbum(req, index, targetRelativePath, to || "");
+    const targetPath = resolveInLibrary(rootDir, targetRelativePath);
+
+    const { done, failed } = await forEachPath(paths, async (itemPath) => {
+      const { relativePath, type } = findEditableItem(req, index, itemPath);
+      const fromFolder = parentFolder(relativePath);
+      if (fromFolder === targetRelativePath) {
+        throw apiError(400, "invalid_parameter", "It is already in that album");
+      }
+      if (type === "album") {
+        if (targetRelativePath === relativePath || targetRelativePath.startsWith(relativePath + path.sep)) {
+          throw apiError(400, "invalid_parameter", "An album can't be moved into itself");
+        }
+        if (hasAccessRules(relativePath)) {
+          throw apiError(409, "has_access_rules", "This album has access rules in auth.json; move it there first");
+        }
+      }
+
+      return audited(
+        req,
+        { action: "move", path: toApiPath(relativePath), to: toApiPath(targetRelativePath) },
+        async () => {
+          const name = path.basename(relativePath);
+          const newName = await claimName(targetPath, name, (candidatePath) =>
+            moveWithoutReplacing(resolveInLibrary(rootDir, relativePath), candidatePath),
+          );
+          const newRelativePath = path.join(targetRelativePath, newName);
+          // The file's caption goes with it; its place in the old album's order and cover status don't
+          let caption = null;
+          await updateSidecar(fromFolder, (settings) => {
+            caption = (settings.captions && settings.captions[name]) || null;
+            return renameInSettings(settings, name, null);
+          });
+          if (caption) {
+            await updateSidecar(targetRelativePath, (settings) => ({
+              ...settings,
+              captions: { ...settings.captions, [newName]: caption },
+            }));
+          }
+          await mediaIndex.refresh(relativePath);
+          await mediaIndex.refresh(newRelativePath);
+          return { from: toApiPath(relativePath), ...itemJson(newRelativePath) };
+        },
+      );
+    });
+    res.status(done.length > 0 || failed.length === 0 ? 200 : 400).json({ moved: done, failed });
+  });
+
+  router.post("/cover", async (req, res) => {
+    const index = indexFor(req);
+    const { album, file } = req.body || {};
+    const folderRelativePath = albumPathFrom(album);
+    requireEditableAlbum(req, index, folderRelativePath, album || "");
+    const fileRelativePath = typeof file === "string" ? relativePathFromSegments(file.split("/")) : null;
+    if (
+      !fileRelativePath ||
+      !index.getFile(fileRelativePath) ||
+      parentFolder(fileRelativePath) !== folderRelativePath
+    ) {
+      throw apiError(400, "invalid_parameter", `"file" must be a photo or video in the album itself`);
+    }
+    const cover = path.basename(fileRelativePath);
+    await audited(req, { action: "set_cover", album: toApiPath(folderRelativePath), cover }, async () => {
+      try {
+        await editSidecar(resolveInLibrary(rootDir, folderRelativePath), (settings) => ({ ...settings, cover }));
+      } catch (err) {
+        throw apiError(409, "invalid_album_settings", `The album's settings can't be changed: ${err.message}`);
+      }
+      await refreshSidecar(folderRelativePath);
+    });
+    res.json({ album: { ...itemJson(folderRelativePath), cover } });
+  });
+
+  router.post("/trash", async (req, res) => {
+    const index = indexFor(req);
+    const { done, failed } = await forEachPath((req.body || {}).paths, async (itemPath) => {
+      const { relativePath, type } = findEditableItem(req, index, itemPath);
+      if (type === "album" && hasAccessRules(relativePath)) {
+        throw apiError(409, "has_access_rules", "This album has access rules in auth.json; remove them there first");
+      }
+      return audited(req, { action: "trash", path: toApiPath(relativePath) }, async () => {
+        const item = await trash.put(relativePath, { type, user: req.viewer.user });
+        await mediaIndex.refresh(relativePath);
+        return { id: item.id, path: item.path };
+      });
+    });
+    res.status(done.length > 0 || failed.length === 0 ? 200 : 400).json({ trashed: done, failed });
+  });
+
+  // Visitors only see (and can restore) what they could change where it came from
+  const canEditTrashItem = (req, item) => {
+    const relativePath = relativePathFromSegments(item.path.split("/"));
+    return Boolean(relativePath) && canEdit(req, parentFolder(relativePath));
+  };
+
+  const findTrashItem = async (req, id) => {
+    const item = await trash.get(id);
+    if (!item || !canEditTrashItem(req, item)) throw apiError(404, "not_found", `No trash item "${id}"`);
+    return item;
+  };
+
+  router.get("/trash", async (req, res) => {
+    const items = await trash.list();
+    res.json({ items: items.filter((item) => canEditTrashItem(req, item)) });
+  });
+
+  router.post("/trash/:id/restore", async (req, res) => {
+    const item = await findTrashItem(req, req.params.id);
+    const restored = await audited(req, { action: "restore", id: item.id, path: item.path }, async () => {
+      const relativePath = await trash.restore(item);
+      await mediaIndex.refresh(relativePath);
+      return relativePath;
+    });
+    res.json({ item: itemJson(restored) });
+  });
+
+  router.delete("/trash/:id", async (req, res) => {
+    const item = await findTrashItem(req, req.params.id);
+    await audited(req, { action: "purge", id: item.id, path: item.path }, () => trash.purge(item));
+    res.json({ purged: item.id });
+  });
+
+  router.use(apiErrorHandler);
+
+  return router;
+};
+
+module.exports = { createManageRouter };
@@ -0,0 +1,663 @@
+const path = require("path");
+const fs = require("fs");
+const exif = require("exif-parser");
+const sharp = require("sharp");
+const { SNIFF_BYTES, MEDIA_EXTENSIONS, detectMediaType, MEDIA_TYPES } = require("./mediaTypes");
+const { readSidecar, isSidecarFile } = require("./sidecar");
+const { readKeywords } = require("./keywords");
+const { isInsideDirectory } = require("./security");
+const { parentFolder } = require("./gallery");
+
+// The media index keeps every media file's size, mtime, extension, caption and EXIF tags in memory,
+// so the gallery routes never have to walk the library or open full-size files on a request.
+// It is built once at startup, kept current by a file watcher (or by periodic mtime checks where
+// recursive watching isn't available) and persisted to disk so a restart only re-reads changed files.
+// Album sidecar files (see sidecar.js) are read alongside, and their captions, ordering and hidden
+// files are applied to everything the index hands out, as are the favorites, ratings and tags kept by
+// `annotationsOf(entry)` (see annotations.js; without it, a file's tags are the keywords embedded in it).
+//
+// Only media files are indexed (files with one of the extensions in mediaTypes.js, or the subset given
+// as `extensions`, whose contents are of a type listed there), and only what the index holds is ever served. Dotfiles and dot-folders
+// are skipped entirely. Symlinked files are indexed only if they resolve inside the library; symlinked
+// folders are never followed (they can loop, or lead anywhere on the disk).
+
+// Bump when the shape of a stored entry (or what gets indexed) changes, so stale index files are thrown away
+const INDEX_VERSION = 5;
+// EXIF lives in the APP1 segment near the start of a JPEG, which is at most 64 KB
+const EXIF_READ_BYTES = 128 * 1024;
+// How many files to read metadata from at once during a scan
+const SCAN_CONCURRENCY = 8;
+// Wait for a burst of watcher events (e.g. a file still being copied) to settle before re-reading
+const WATCH_DEBOUNCE_MS = 300;
+const SAVE_DEBOUNCE_MS = 2000;
+
+// Whether any segment of a relative path is a dotfile or dot-folder (e.g. ".git/config", "a/.thumbs/b.jpg")
+const isDotPath = (relativePath) => relativePath.split(path.sep).some((segment) => segment.startsWith("."));
+
+// The first bytes of a file, to tell its type (fewer if the file is shorter)
+const readFileHeader = async (filePath) => {
+  const handle = await fs.promises.open(filePath, "r");
+  try {
+    const buffer = Buffer.alloc(SNIFF_BYTES);
+    const { bytesRead } = await handle.read(buffer, 0, SNIFF_BYTES, 0);
+    return buffer.subarray(0, bytesRead);
+  } finally {
+    await handle.close();
+  }
+};
+
+// Only keep plain values; they are persisted as JSON
+const plainTags = (tags) => {
+  const plain = {};
+  for (const [tag, value] of Object.entries(tags || {})) {
+    if (typeof value === "string" || typeof value === "number") {
+      plain[tag] = typeof value === "string" ? value.trim() : value;
+    }
+  }
+  return plain;
+};
+
+// Read EXIF tags from a JPEG without loading the whole file
+const readJpegExifData = async (filePath) => {
+  let handle;
+  try {
+    handle = await fs.promises.open(filePath, "r");
+    const { size } = await handle.stat();
+    const buffer = Buffer.alloc(Math.min(size, EXIF_READ_BYTES));
+    await handle.read(buffer, 0, buffer.length, 0);
+    let result;
+    try {
+      result = exif.create(buffer).parse();
+    } catch (err) {
+      // Unusually large headers: fall back to the whole file
+      if (size <= EXIF_READ_BYTES) throw err;
+      result = exif.create(await fs.promises.readFile(filePath)).parse();
+    }
+    const tags = plainTags(result.tags);
+    if (result.imageSize) {
+      tags.ImageWidth = tags.ImageWidth || result.imageSize.width;
+      tags.ImageHeight = tags.ImageHeight || result.imageSize.height;
+    }
+    return tags;
+  } catch (err) {
+    // Not every JPEG carries EXIF; treat unparsable files as having none
+    return null;
+  } finally {
+    if (handle) await handle.close();
+  }
+};
+
+const EXIF_BLOCK_HEADER = Buffer.from("Exif\0\0", "latin1");
+
+// Parse a raw EXIF block, as other formats embed it, by wrapping it in the APP1 segment of an otherwise
+// empty JPEG (the only container exif-parser reads). Null if it can't be parsed.
+const parseExifBlock = (block) => {
+  const payload = block.subarray(0, 6).equals(EXIF_BLOCK_HEADER) ? block : Buffer.concat([EXIF_BLOCK_HEADER, block]);
+  // A JPEG segment holds at most 64 KB; blocks with big embedded previews don't fit
+  if (payload.length + 2 > 0xffff) return null;
+  const segmentStart = Buffer.from([0xff, 0xd8, 0xff, 0xe1, 0, 0]);
+  segmentStart.writeUInt16BE(payload.length + 2, 4);
+  try {
+    return plainTags(exif.create(Buffer.concat([segmentStart, payload])).parse().tags);
+  } catch (err) {
+    return null;
+  }
+};
+
+// Read EXIF tags and the size of other images through sharp, which only looks at the file's header
+const readImageExifData = async (filePath) => {
+  try {
+    const metadata = await sharp(filePath).metadata();
+    const tags = (metadata.exif && parseExifBlock(metadata.exif)) || {};
+    if (metadata.width && metadata.height) {
+      tags.ImageWidth = tags.ImageWidth || metadata.width;
+      tags.ImageHeight = tags.ImageHeight || metadata.height;
+    }
+    // TIFF files keep their orientation as a tag of their own rather than in an EXIF block
+    if (metadata.orientation && !tags.Orientation) tags.Orientation = metadata.orientation;
+    return Object.keys(tags).length > 0 ? tags : null;
+  } catch (err) {
+    // Formats this build of sharp can't read (e.g. HEIC without an HEVC decoder) just have no EXIF data
+    return null;
+  }
+};
+
+// EXIF tags of a file of a given media type; null for videos, GIFs and images without any
+const readExifData = (filePath, type) => {
+  if (type === "jpeg") return readJpegExifData(filePath);
+  if (MEDIA_TYPES[type].kind === "image" && type !== "gif") return readImageExifData(filePath);
+  return Promise.resolve(null);
+};
+
+// Work out the caption shown under a file: EXIF description/title, then capture date or camera, then the file name
+const captionForFile = (relativePath, type, exifData) => {
+  let caption = "";
+  if (exifData) {
+    const captionTags = ["ImageDescription", "Title", "ObjectName"];
+    for (const tag of captionTags) {
+      if (exifData[tag]) {
+        caption = String(exifData[tag]).trim();
+        break;
+      }
+    }
+    if (!caption) {
+      if (exifData.DateTimeOriginal) {
+        const date = new Date(exifData.DateTimeOriginal * 1000);
+        caption = date.toLocaleDateString("en-US", { year: "numeric", month: "long", day: "numeric" });
+      } else if (exifData.Model) {
+        caption = exifData.Model;
+      }
+    }
+  }
+  if (!caption) {
+    if (MEDIA_TYPES[type].kind === "video") {
+      caption = "Video";
+    } else {
+      caption = path.parse(relativePath).name.split(/[-_]+/).join(" ").trim();
+    }
+  }
+  return caption;
+};
+
+// Run `worker` over `items` with at most `limit` running at once
+const runWithConcurrency = async (items, limit, worker) => {
+  let next = 0;
+  const runners = Array.from({ length: Math.min(limit, items.length) }, async () => {
+    while (next < items.length) {
+      await worker(items[next++]);
+    }
+  });
+  await Promise.all(runners);
+};
+
+const createFolder = () => ({
+  subfolders: new Set(),
+  files: new Set(),
+  sidecar: null,
+  sidecarError: null,
+  // Lookups derived from the sidecar
+  hidden: new Set(),
+  positions: new Map(),
+});
+
+const createMediaIndex = ({
+  rootDir,
+  indexFile,
+  extensions = MEDIA_EXTENSIONS,
+  pollInterval = 60 * 1000,
+  annotationsOf = (entry) => ({ favorite: false, rating: null, tags: entry.keywords }),
+}) => {
+  const isMediaFile = (fileName) => extensions.includes(path.extname(fileName).toLowerCase());
+  // relativePath -> { file, size, mtime, ext, type, caption, exif, keywords }, `type` being a key of MEDIA_TYPES
+  let files = new Map();
+  // relative folder path ("" is the root) -> { subfolders: Set<name>, files: Set<name>, sidecar, sidecarError }
+  let folders = new Map([["", createFolder()]]);
+
+  let watcher = null;
+  let pollTimer = null;
+  let saveTimer = null;
+  let scanning = null;
+  let realRootDir = null;
+  const pendingPaths = new Map();
+  const changeListeners = [];
+
+  // Absolute path a library path really points to (symlinks resolved), or null if that is outside the library or gone
+  const resolveInsideRoot = async (relativePath) => {
+    try {
+      realRootDir = realRootDir || (await fs.promises.realpath(rootDir));
+      const target = await fs.promises.realpath(path.join(rootDir, relativePath));
+      return isInsideDirectory(realRootDir, target) ? target : null;
+    } catch (err) {
+      return null;
+    }
+  };
+
+  // Stats of what a symlink in the library points to, or null if that is outside the library (or gone)
+  const statLinkTarget = async (relativePath) => {
+    const target = await resolveInsideRoot(relativePath);
+    return target ? fs.promises.stat(target).catch(() => null) : null;
+  };
+
+  const ensureFolder = (folderRelativePath) => {
+    if (folders.has(folderRelativePath)) return folders.get(folderRelativePath);
+    const folder = createFolder();
+    folders.set(folderRelativePath, folder);
+    if (folderRelativePath !== "") {
+      ensureFolder(parentFolder(folderRelativePath)).subfolders.add(path.basename(folderRelativePath));
+    }
+    return folder;
+  };
+
+  const addEntry = (entry) => {
+    files.set(entry.file, entry);
+    ensureFolder(parentFolder(entry.file)).files.add(path.basename(entry.file));
+  };
+
+  const removeFile = (relativePath) => {
+    if (!files.delete(relativePath)) return false;
+    const folder = folders.get(parentFolder(relativePath));
+    if (folder) folder.files.delete(path.basename(relativePath));
+    return true;
+  };
+
+  const removeFolder = (folderRelativePath) => {
+    if (!folders.has(folderRelativePath) || folderRelativePath === "") return false;
+    const prefix = folderRelativePath + path.sep;
+    for (const key of [...files.keys()]) {
+      if (key.startsWith(prefix)) files.delete(key);
+    }
+    for (const key of [...folders.keys()]) {
+      if (key === folderRelativePath || key.startsWith(prefix)) folders.delete(key);
+    }
+    const parent = folders.get(parentFolder(folderRelativePath));
+    if (parent) parent.subfolders.delete(path.basename(folderRelativePath));
+    return true;
+  };
+
+  // Attach a folder's sidecar (or the reason it couldn't be used), returning whether it differs from
+  // `previous` (by default the folder's current state). Problems are only logged when they are new.
+  const setSidecar = (folderRelativePath, { sidecar, error }, previous = folders.get(folderRelativePath)) => {
+    const folder = ensureFolder(folderRelativePath);
+    const before = previous ? [previous.sidecar, previous.sidecarError] : [null, null];
+    const changed = JSON.stringify(before) !== JSON.stringify([sidecar, error]);
+    folder.sidecar = sidecar;
+    folder.sidecarError = error;
+    folder.hidden = new Set(sidecar ? sidecar.hidden : []);
+    folder.positions = new Map(sidecar ? sidecar.order.map((name, position) => [name, position]) : []);
+    if (error && changed) {
+      console.error(`Album settings for "${folderRelativePath || "/"}" ignored: ${error}`);
+    }
+    return changed;
+  };
+
+  // Whether a file or folder is hidden by the sidecar of any folder above it
+  const isHidden = (relativePath) => {
+    let current = relativePath;
+    while (current !== "" && current !== ".") {
+      const parent = path.dirname(current);
+      const folder = folders.get(parent === "." ? "" : parent);
+      if (folder && folder.hidden.has(path.basename(current))) return true;
+      current = parent;
+    }
+    return false;
+  };
+
+  // The entry as the gallery should see it: sidecar caption and position applied
+  const applySidecar = (entry) => {
+    const folder = folders.get(parentFolder(entry.file));
+    if (!folder || !folder.sidecar) return entry;
+    const name = path.basename(entry.file);
+    return {
+      ...entry,
+      caption: folder.sidecar.captions[name] || entry.caption,
+      position: folder.positions.get(name),
+    };
+  };
+
+  // The entry as the gallery should see it, with its sidecar settings and annotations
+  const present = (entry) => ({ ...applySidecar(entry), ...annotationsOf(entry) });
+
+  // Build an index entry for a file, reusing `previous` if the file hasn't changed since it was read.
+  // Null if its contents aren't a media type the gallery knows (whatever the extension says).
+  const readEntry = async (relativePath, stat, previous) => {
+    const mtime = stat.mtimeMs;
+    if (previous && previous.size === stat.size && previous.mtime === mtime) {
+      return previous;
+    }
+    const filePath = path.join(rootDir, relativePath);
+    const ext = path.extname(relativePath).toLowerCase();
+    let type;
+    try {
+      type = detectMediaType(await readFileHeader(filePath), ext);
+    } catch (err) {
+      return null; // Gone or unreadable; the watcher will catch up
+    }
+    if (!type) return null;
+    const exifData = await readExifData(filePath, type);
+    const keywords = await readKeywords(filePath, type);
+    return {
+      file: relativePath,
+      size: stat.size,
+      mtime: mtime,
+      ext: ext,
+      type: type,
+      caption: captionForFile(relativePath, type, exifData),
+      exif: exifData,
+      keywords: keywords,
+    };
+  };
+
+  // Walk a folder tree, returning the folders and media files (with their stats) found under it
+  const walk = async (folderRelativePath, found = { folders: [], files: [], sidecarFolders: [] }) => {
+    let entries;
+    try {
+      entries = await fs.promises.readdir(path.join(rootDir, folderRelativePath), { withFileTypes: true });
+    } catch (error) {
+      console.error(`Error reading ${path.join(rootDir, folderRelativePath)}:`, error.message);
+      return found;
+    }
+    found.folders.push(folderRelativePath);
+    if (entries.some((entry) => entry.isFile() && isSidecarFile(entry.name))) {
+      found.sidecarFolders.push(folderRelativePath);
+    }
+    for (const entry of entries) {
+      if (entry.name.startsWith(".")) continue;
+      const relativePath = path.join(folderRelativePath, entry.name);
+      if (entry.isDirectory()) {
+        await walk(relativePath, found);
+      } else if (entry.isFile() && isMediaFile(entry.name)) {
+        try {
+          found.files.push({ relativePath, stat: await fs.promises.stat(path.join(rootDir, relativePath)) });
+        } catch (error) {
+          // The file disappeared between readdir and stat; the watcher will catch up
+        }
+      } else if (entry.isSymbolicLink() && isMediaFile(entry.name)) {
+        const stat = await statLinkTarget(relativePath);
+        if (stat && stat.isFile()) found.files.push({ relativePath, stat });
+      }
+    }
+    return found;
+  };
+
+  // (Re)scan the whole library; unchanged files keep their existing metadata
+  const scan = () => {
+    if (scanning) return scanning;
+    scanning = (async () => {
+      const started = Date.now();
+      const found = await walk("");
+      const nextFiles = new Map();
+      await runWithConcurrency(found.files, SCAN_CONCURRENCY, async ({ relativePath, stat }) => {
+        const entry = await readEntry(relativePath, stat, files.get(relativePath));
+        if (entry) nextFiles.set(relativePath, entry);
+      });
+      const sidecars = new Map();
+      for (const folderRelativePath of found.sidecarFolders) {
+        sidecars.set(folderRelativePath, await readSidecar(path.join(rootDir, folderRelativePath)));
+      }
+
+      const changed =
+        nextFiles.size !== files.size ||
+        [...nextFiles].some(([key, entry]) => files.get(key) !== entry) ||
+        found.folders.length !== folders.size ||
+        found.folders.some((key) => !folders.has(key));
+
+      const previousFolders = folders;
+      files = new Map();
+      folders = new Map([["", createFolder()]]);
+      found.folders.forEach(ensureFolder);
+      [...nextFiles.keys()].sort().forEach((key) => addEntry(nextFiles.get(key)));
+      let sidecarsChanged = [...previousFolders].some(
+        ([key, folder]) => (folder.sidecar || folder.sidecarError) && !sidecars.has(key),
+      );
+      for (const [folderRelativePath, result] of sidecars) {
+        if (setSidecar(folderRelativePath, result, previousFolders.get(folderRelativePath))) sidecarsChanged = true;
+      }
+
+      if (changed || sidecarsChanged) indexChanged();
+      console.log(
+        `Media index: ${files.size} files in ${folders.size} folders (scanned in ${Date.now() - started} ms)`,
+      );
+    })().finally(() => {
+      scanning = null;
+    });
+    return scanning;
+  };
+
+  // Bring a single path (file or folder) reported by the watcher up to date
+  const refreshPath = async (relativePath) => {
+    if (isDotPath(relativePath)) return;
+    if (isSidecarFile(path.basename(relativePath))) {
+      // Created, edited or deleted album settings: re-read whichever sidecar now applies
+      const folderRelativePath = parentFolder(relativePath);
+      if (folders.has(folderRelativePath)) {
+        if (setSidecar(folderRelativePath, await readSidecar(path.join(rootDir, folderRelativePath)))) {
+          indexChanged(folderRelativePath);
+        }
+      }
+      return;
+    }
+
+    let stat;
+    try {
+      stat = await fs.promises.lstat(path.join(rootDir, relativePath));
+    } catch (err) {
+      if (err.code !== "ENOENT" && err.code !== "ENOTDIR") throw err;
+      if (removeFile(relativePath) || removeFolder(relativePath)) indexChanged(parentFolder(relativePath));
+      return;
+    }
+    if (stat.isSymbolicLink()) {
+      stat = await statLinkTarget(relativePath);
+      if (!stat || !stat.isFile()) {
+        // Points outside the library, at a folder, or nowhere: not part of the gallery
+        if (removeFile(relativePath)) indexChanged(parentFolder(relativePath));
+        return;
+      }
+    }
+
+    if (stat.isDirectory()) {
+      // A new or renamed folder: index everything below it
+      const found = await walk(relativePath);
+      found.folders.forEach(ensureFolder);
+      for (const folderRelativePath of found.sidecarFolders) {
+        setSidecar(folderRelativePath, await readSidecar(path.join(rootDir, folderRelativePath)));
+      }
+      await runWithConcurrency(found.files, SCAN_CONCURRENCY, async (item) => {
+        const entry = await readEntry(item.relativePath, item.stat, files.get(item.relativePath));
+        if (entry) addEntry(entry);
+      });
+      indexChanged(parentFolder(relativePath));
+    } else if (stat.isFile() && isMediaFile(relativePath)) {
+      const previous = files.get(relativePath);
+      const entry = await readEntry(relativePath, stat, previous);
+      if (!entry) {
+        // No longer (or not yet) something the gallery can show
+        if (removeFile(relativePath)) indexChanged(parentFolder(relativePath));
+      } else if (entry !== previous) {
+        addEntry(entry);
+        indexChanged(parentFolder(relativePath));
+      }
+    }
+  };
+
+  const queueRefresh = (relativePath) => {
+    clearTimeout(pendingPaths.get(relativePath));
+    pendingPaths.set(
+      relativePath,
+      setTimeout(() => {
+        pendingPaths.delete(relativePath);
+        refreshPath(relativePath).catch((err) => console.error(`Error updating media index for ${relativePath}:`, err));
+      }, WATCH_DEBOUNCE_MS),
+    );
+  };
+
+  const startPolling = () => {
+    if (pollTimer) return;
+    console.log(`Media index: watching unavailable, checking for changes every ${pollInterval / 1000}s`);
+    pollTimer = setInterval(() => {
+      scan().catch((err) => console.error("Error rescanning media library:", err));
+    }, pollInterval);
+    pollTimer.unref();
+  };
+
+  const startWatching = () => {
+    try {
+      watcher = fs.watch(rootDir, { recursive: true, persistent: false }, (eventType, fileName) => {
+        if (fileName) {
+          queueRefresh(path.normalize(fileName.toString()));
+        } else {
+          // Some platforms don't say what changed; fall back to a full (cheap, mtime-based) rescan
+          scan().catch((err) => console.error("Error rescanning media library:", err));
+        }
+      });
+      watcher.on("error", (err) => {
+        console.error("Media index watcher failed:", err.message);
+        watcher.close();
+        watcher = null;
+        startPolling();
+      });
+    } catch (err) {
+      startPolling();
+    }
+  };
+
+  const save = async () => {
+    if (!indexFile) return;
+    const data = {
+      version: INDEX_VERSION,
+      rootDir: rootDir,
+      folders: [...folders].map(([key, folder]) => ({
+        path: key,
+        sidecar: folder.sidecar,
+        sidecarError: folder.sidecarError,
+      })),
+      files: [...files.values()],
+    };
+    try {
+      await fs.promises.mkdir(path.dirname(indexFile), { recursive: true });
+      // Write to a temp file first so a crash never leaves a half-written index behind
+      await fs.promises.writeFile(`${indexFile}.tmp`, JSON.stringify(data));
+      await fs.promises.rename(`${indexFile}.tmp`, indexFile);
+    } catch (err) {
+      console.error(`Error saving media index to ${indexFile}:`, err.message);
+    }
+  };
+
+  // Something in the index changed: save it soon and tell whoever follows it (see onChange below).
+  // `folderRelativePath` is the album whose contents changed, or null when it could be any of them.
+  const indexChanged = (folderRelativePath = null) => {
+    scheduleSave();
+    changeListeners.forEach((listener) => listener(folderRelativePath));
+  };
+
+  const scheduleSave = () => {
+    if (!indexFile || saveTimer) return;
+    saveTimer = setTimeout(() => {
+      saveTimer = null;
+      save();
+    }, SAVE_DEBOUNCE_MS);
+    saveTimer.unref();
+  };
+
+  // Load a previously saved index; returns false if there is none or it doesn't match this library
+  const load = async () => {
+    if (!indexFile) return false;
+    try {
+      const data = JSON.parse(await fs.promises.readFile(indexFile, "utf8"));
+      if (data.version !== INDEX_VERSION || data.rootDir !== rootDir) return false;
+      data.folders.forEach((folder) => {
+        ensureFolder(folder.path);
+        setSidecar(folder.path, { sidecar: folder.sidecar, error: folder.sidecarError });
+      });
+      // The allowed extensions may have changed since it was saved
+      data.files.filter((entry) => isMediaFile(entry.file)).forEach(addEntry);
+      return true;
+    } catch (err) {
+      if (err.code !== "ENOENT") console.error(`Ignoring unreadable media index ${indexFile}:`, err.message);
+      return false;
+    }
+  };
+
+  // Resolves once the index can answer queries: immediately after loading a saved index
+  // (which is then reconciled with the disk in the background), or after the first full scan.
+  const ready = (async () => {
+    const loaded = await load();
+    startWatching();
+    const initialScan = scan();
+    if (loaded) {
+      initialScan.catch((err) => console.error("Error scanning media library:", err));
+    } else {
+      await initialScan;
+    }
+  })();
+
+  const sortedNames = (names) => [...names].sort((a, b) => a.localeCompare(b));
+
+  // The query functions, limited to the folders `canViewFolder(folderRelativePath)` allows
+  // (on top of whatever the sidecars hide). The index itself exposes the unrestricted view.
+  const createView = (canViewFolder) => {
+    // Rules are looked up once per folder per view
+    const allowed = new Map();
+    const isVisibleFolder = (folderRelativePath) => {
+      if (!allowed.has(folderRelativePath)) allowed.set(folderRelativePath, canViewFolder(folderRelativePath));
+      return allowed.get(folderRelativePath);
+    };
+    const isVisibleFile = (relativePath) => {
+      return !isHidden(relativePath) && isVisibleFolder(parentFolder(relativePath));
+    };
+
+    return {
+      ready,
+
+      // Contents of a folder, or null if it isn't in the library (or is hidden, or not viewable).
+      // `album` holds the sidecar's title, description and cover; `sidecarError` why the sidecar was ignored.
+      getFolder: (folderRelativePath) => {
+        const folder = folders.get(folderRelativePath);
+        if (!folder || isHidden(folderRelativePath) || !isVisibleFolder(folderRelativePath)) return null;
+        const sidecar = folder.sidecar;
+        return {
+          subfolders: sortedNames(folder.subfolders).filter(
+            (name) => !folder.hidden.has(name) && isVisibleFolder(path.join(folderRelativePath, name)),
+          ),
+          files: sortedNames(folder.files)
+            .filter((name) => !folder.hidden.has(name))
+            .map((name) => present(files.get(path.join(folderRelativePath, name)))),
+          album: {
+            title: sidecar ? sidecar.title : null,
+            description: sidecar ? sidecar.description : null,
+            cover: sidecar ? sidecar.cover : null,
+            hasOrder: Boolean(sidecar && sidecar.order.length > 0),
+          },
+          sidecarError: folder.sidecarError,
+        };
+      },
+
+      getFile: (relativePath) => {
+        const entry = files.get(relativePath);
+        return entry && isVisibleFile(relativePath) ? present(entry) : null;
+      },
+
+      // Absolute path to send for a visible media file, or null if it isn't one or now resolves outside the library
+      getFilePath: async (relativePath) =>
+        files.has(relativePath) && isVisibleFile(relativePath) ? resolveInsideRoot(relativePath) : null,
+
+      // Every visible media file in the library, ordered by path
+      getAllFiles: () =>
+        [...files.values()]
+          .filter((entry) => isVisibleFile(entry.file))
+          .map(present)
+          .sort((a, b) => a.file.localeCompare(b.file)),
+    };
+  };
+
+  return {
+    ...createView(() => true),
+
+    // The same queries for one visitor, e.g. mediaIndex.forViewer((folder) => canView(user, folder))
+    forViewer: (canViewFolder) => createView(canViewFolder),
+
+    // Bring a path up to date right away, e.g. after the gallery wrote the file itself, without waiting for the watcher
+    refresh: (relativePath) => refreshPath(relativePath),
+
+    // Call `listener(folderRelativePath)` whenever files or albums are added, changed or removed, e.g. to keep other
+    // data in step; it gets the album whose files, sub-albums or settings changed, or null after a full rescan
+    onChange: (listener) => {
+      changeListeners.push(listener);
+    },
+
+    // Bring the whole library up to date, e.g. before a one-off job that must not miss changes made while it was off
+    scan: () => scan(),
+
+    close: async () => {
+      if (watcher) watcher.close();
+      clearInterval(pollTimer);
+      pendingPaths.forEach((timer) => clearTimeout(timer));
+      if (saveTimer) {
+        clearTimeout(saveTimer);
+        saveTimer = null;
+        await save();
+      }
+    },
+  };
+};
+
+module.exports = { createMediaIndex };
@@ -0,0 +1,127 @@
+const path = require("path");
+
+// Every kind of file the gallery shows, in one place. A type lists its extensions, whether it is an
+// image or a video, the Content-Type it is served with, what the start of such a file looks like and
+// whether browsers can display it as it is (`native`). Images that aren't native (HEIC, TIFF) are shown
+// through converted derivatives (see thumbnails.js); videos are always served as they are.
+//
+// A file's type comes from its contents: the extension only decides between types that look the same
+// (an MP4 and a MOV) and which files are looked at in the first place. A HEIC photo saved as ".jpg" is
+// treated as HEIC, and a ".jpg" that isn't any kind of image is not shown at all.
+
+// Enough leading bytes to recognise every type below (ISO media files list their brands in the first box)
+const SNIFF_BYTES = 64;
+
+const startsWith =
+  (bytes, offset = 0) =>
+  (header) =>
+    header.length >= offset + bytes.length && header.subarray(offset, offset + bytes.length).equals(Buffer.from(bytes));
+
+// Brands of an ISO base media file (MP4, MOV, HEIF, AVIF): the major brand and the compatible ones in its
+// "ftyp" box; none for anything else
+const isoBrands = (header) => {
+  if (header.length < 12 || !startsWith(Buffer.from("ftyp"), 4)(header)) return [];
+  const boxEnd = Math.min(header.readUInt32BE(0), header.length);
+  const brands = [header.toString("latin1", 8, 12)];
+  for (let offset = 16; offset + 4 <= boxEnd; offset += 4) {
+    brands.push(header.toString("latin1", offset, offset + 4));
+  }
+  return brands;
+};
+const hasBrand = (brands) => (header) => isoBrands(header).some((brand) => brands.includes(brand));
+// AVIF files often list the generic HEIF brands as well, so they are told apart by their own ones
+const isAvif = hasBrand(["avif", "avis"]);
+const isHeic = (header) =>
+  hasBrand(["heic", "heix", "heim", "heis", "hevc", "hevx", "hevm", "hevs", "mif1", "msf1"])(header) && !isAvif(header);
+const isIsoVideo = (header) => isoBrands(header).length > 0 && !isAvif(header) && !isHeic(header);
+// Matroska and WebM (a subset of it) share the EBML header
+const isEbml = startsWith([0x1a, 0x45, 0xdf, 0xa3]);
+
+const MEDIA_TYPES = {
+  jpeg: {
+    extensions: [".jpg", ".jpeg"],
+    kind: "image",
+    mimeType: "image/jpeg",
+    native: true,
+    matches: startsWith([0xff, 0xd8, 0xff]),
+  },
+  png: {
+    extensions: [".png"],
+    kind: "image",
+    mimeType: "image/png",
+    native: true,
+    matches: startsWith([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+  },
+  gif: {
+    extensions: [".gif"],
+    kind: "image",
+    mimeType: "image/gif",
+    native: true,
+    matches: (header) => startsWith(Buffer.from("GIF87a"))(header) || startsWith(Buffer.from("GIF89a"))(header),
+  },
+  webp: {
+    extensions: [".webp"],
+    kind: "image",
+    mimeType: "image/webp",
+    native: true,
+    matches: (header) => startsWith(Buffer.from("RIFF"))(header) && startsWith(Buffer.from("WEBP"), 8)(header),
+  },
+  avif: { extensions: [".avif"], kind: "image", mimeType: "image/avif", native: true, matches: isAvif },
+  heic: { extensions: [".heic", ".heif"], kind: "image", mimeType: "image/heic", native: false, matches: isHeic },
+  tiff: {
+    extensions: [".tif", ".tiff"],
+    kind: "image",
+    mimeType: "image/tiff",
+    native: false,
+    matches: (header) => startsWith(Buffer.from("II*\0"))(header) || startsWith(Buffer.from("MM\0*"))(header),
+  },
+  mp4: { extensions: [".mp4"], kind: "video", mimeType: "video/mp4", native: true, matches: isIsoVideo },
+  // Apple's name for MP4; browsers only play it when it is called that
+  m4v: { extensions: [".m4v"], kind: "video", mimeType: "video/mp4", native: true, matches: isIsoVideo },
+  mov: {
+    extensions: [".mov"],
+    kind: "video",
+    mimeType: "video/quicktime",
+    native: true,
+    // Older QuickTime files start straight with an atom other than "ftyp"
+    matches: (header) =>
+      isIsoVideo(header) ||
+      ["moov", "mdat", "wide", "free", "skip"].some((atom) => startsWith(Buffer.from(atom), 4)(header)),
+  },
+  webm: { extensions: [".webm"], kind: "video", mimeType: "video/webm", native: true, matches: isEbml },
+  // Chrome and Firefox play most MKV files; Safari plays none
+  mkv: { extensions: [".mkv"], kind: "video", mimeType: "video/x-matroska", native: false, matches: isEbml },
+};
+
+// Every extension the gallery looks at, e.g. [".jpg", ".jpeg", ".png", ...]
+const MEDIA_EXTENSIONS = Object.values(MEDIA_TYPES).flatMap((type) => type.extensions);
+
+const isMediaFile = (fileName) => MEDIA_EXTENSIONS.includes(path.extname(fileName).toLowerCase());
+
+// The type an extension (e.g. ".jpg") stands for, or null
+const mediaTypeForExtension = (ext) =>
+  Object.keys(MEDIA_TYPES).find((type) => MEDIA_TYPES[type].extensions.includes(ext.toLowerCase())) || null;
+
+// The type of a file from its first SNIFF_BYTES bytes; `ext` breaks ties between types that look alike.
+// Null when the contents aren't any type the gallery knows.
+const detectMediaType = (header, ext) => {
+  const expected = mediaTypeForExtension(ext);
+  if (expected && MEDIA_TYPES[expected].matches(header)) return expected;
+  return Object.keys(MEDIA_TYPES).find((type) => MEDIA_TYPES[type].matches(header)) || null;
+};
+
+// The registry record of a media index entry
+const mediaTypeOf = (entry) => MEDIA_TYPES[entry.type];
+
+const isVideo = (entry) => mediaTypeOf(entry).kind === "video";
+
+module.exports = {
+  MEDIA_TYPES,
+  MEDIA_EXTENSIONS,
+  SNIFF_BYTES,
+  isMediaFile,
+  mediaTypeForExtension,
+  detectMediaType,
+  mediaTypeOf,
+  isVideo,
+};
@@ -0,0 +1,1454 @@
+const path = require("path");
+const { DEFAULT_THEME, THEME_VARIABLES } = require("./config");
+const { escapeHtml, serializeForScript } = require("./security");
+
+// The HTML of the gallery's pages: album, timeline, search, trash and duplicates views, their tiles and breadcrumbs.
+// Shared by the server and the static export (see lib/staticExport.js), so both produce the same pages;
+// anything that depends on the request (who is asking, the URLs of the library) is passed in.
+
+// Helper to render an album's sidecar description, and why its sidecar was ignored if it was invalid
+const renderAlbumHeader = (album, sidecarError) => `
+          ${album.description ? `<p class="album-description">${escapeHtml(album.description)}</p>` : ""}
+          ${sidecarError ? `<p class="album-warning" role="alert">Album settings ignored: ${escapeHtml(sidecarError)}</p>` : ""}
+        `;
+
+// Helper to render a folder card; the entire container is a link to the album.
+// `linkQuery` (e.g. "?sort=date&order=desc") carries the current sort order into the album.
+const renderFolderCard = (data, linkQuery = "") => `
+                <a href="${escapeHtml(data.link + linkQuery)}" class="media-container folder-container media-link">
+                    <img src="${escapeHtml(data.thumbnailUrl)}" alt="${escapeHtml(data.caption)}">
+                    <p>${escapeHtml(data.caption)}</p>
+                </a>
+            `;
+
+// Helper to render a tile's favorite, rating and tag badges; kept (hidden) when there are none, so the page
+// script can fill it in when they are set from the viewer
+const renderBadges = (data) => {
+  const badges = [
+    data.favorite ? '<span class="badge badge-favorite" title="Favorite">&#9829;</span>' : "",
+    data.rating
+      ? `<span class="badge badge-rating" title="${data.rating} stars">${"&#9733;".repeat(data.rating)}</span>`
+      : "",
+    ...(data.tags || []).map((tag) => `<span class="badge badge-tag">${escapeHtml(tag)}</span>`),
+  ].join("");
+  return `<p class="tile-badges"${badges ? "" : " hidden"}>${badges}</p>`;
+};
+
+// Helper to render a file tile; `index` is the file's position in the page's modal list,
+// `data-file` its path for selecting it
+const renderFileCard = (data, index) => `
+                <div class="media-container file-container" data-index="${index}" data-file="${escapeHtml(data.file)}">
+                    <a href="#" class="media-link">
+                        <img src="${escapeHtml(data.thumbnailUrl)}" alt="${escapeHtml(data.caption)}" loading="lazy">
+                    </a>
+                    <p>${escapeHtml(data.caption)}</p>
+                    ${renderBadges(data)}
+                </div>
+            `;
+
+// Helper to list the albums from the top of the library down to a folder, labelled with their
+// sidecar title when they have one and their folder name otherwise (also for albums the visitor can't see)
+const albumTrail = (index, folderRelativePath) => {
+  const segments = folderRelativePath.split(path.sep).filter((segment) => segment !== "");
+  return segments.map((segment, level) => {
+    const levelPath = path.join(...segments.slice(0, level + 1));
+    const folder = index.getFolder(levelPath);
+    return { path: levelPath, label: (folder && folder.album.title) || segment };
+  });
+};
+
+// Helper to render the breadcrumb trail for a folder, e.g. Gallery › 2024 › summer › beach.
+// Every level except the current one links back up the tree; `albumUrl(folderRelativePath)` is where
+// an album's page is ("" for the top of the library).
+const renderBreadcrumbs = (index, currentFolder, albumUrl) => {
+  const trail = albumTrail(index, currentFolder);
+  const crumbs = [`<a href="${escapeHtml(albumUrl(""))}" class="breadcrumb-link">&#8962; Gallery</a>`];
+  trail.forEach((level, index) => {
+    if (index === trail.length - 1) {
+      crumbs.push(`<span class="breadcrumb-current">${escapeHtml(level.label)}</span>`);
+    } else {
+      crumbs.push(
+        `<a href="${escapeHtml(albumUrl(level.path))}" class="breadcrumb-link">${escapeHtml(level.label)}</a>`,
+      );
+    }
+  });
+  return `<nav class="breadcrumbs" aria-label="Breadcrumb">${crumbs.join('<span class="breadcrumb-separator">&#8250;</span>')}</nav>`;
+};
+
+// Helper to turn a library's theme colours into CSS variable declarations (see lib/config.js)
+const renderThemeVariables = (theme) =>
+  Object.entries(THEME_VARIABLES)
+    .map(([name, variable]) => `${variable}: ${theme[name]};`)
+    .join("\n                ");
+
+// Function to render the full HTML page (to avoid duplication).
+// `title` and `author` are plain text; `fileListHtml`, `toolbarHtml`, `accountHtml` and `breadcrumbsHtml`
+// must already be escaped markup.
+// `nonce` is the response's Content-Security-Policy nonce, without which the inline script and style won't run.
+// `basePath` is where the page's library is mounted and `theme` its colours. `navigation` shows the links to
+// the albums, timeline and search, which the list of libraries at the top of the site and static exports
+// (no server to search with) leave out.
+// `canManage` adds the rename, cover, move and delete actions to the selection bar (logged-in users), and
+// `canAnnotate` lets the viewer change favorites, ratings and tags (otherwise it only shows them).
+// `liveUpdatesUrl` is the library's event stream (see lib/liveUpdates.js); with it the grid reloads in place when
+// files are added or removed. `feedUrl` is advertised to browsers and feed readers as the page's Atom feed.
+const renderHtmlPage = (
+  title,
+  author,
+  fileListHtml,
+  mediaSource,
+  viewType,
+  currentFolder = "",
+  {
+    nonce = "",
+    basePath = "",
+    theme = DEFAULT_THEME,
+    navigation = true,
+    toolbarHtml = "",
+    accountHtml = "",
+    breadcrumbsHtml = "",
+    linkQuery = "",
+    searchQuery = "",
+    canManage = false,
+    canAnnotate = false,
+    liveUpdatesUrl = null,
+    feedUrl = null,
+  } = {},
+) => `
+      <!DOCTYPE html>
+      <html lang="en">
+      <head>
+          <meta charset="UTF-8">
+          <meta name="viewport" content="width=device-width, initial-scale=1.0">
+          <title>${escapeHtml(title)}</title>
+          ${feedUrl ? `<link rel="alternate" type="application/atom+xml" title="Recently added" href="${escapeHtml(feedUrl)}">` : ""}
+          <style nonce="${escapeHtml(nonce)}">
+              /* Light/Dark Theme Variables */
+              :root {
+                ${renderThemeVariables(theme)}
+                --shadow-color: rgba(0,0,0,0.1);
+              }
+              body.dark-mode {
+                --bg-color: var(--dark-bg-color);
+                --text-color: var(--dark-text-color);
+                --card-bg: var(--dark-card-bg);
+                --border-color: var(--dark-border-color);
+                --shadow-color: rgba(0,0,0,0.3);
+              }
+
+              body { font-family: sans-serif; display: flex; flex-wrap: wrap; gap: 20px; padding: 20px; background-color: var(--bg-color); color: var(--text-color); transition: background-color 0.3s, color 0.3s; }
+              .header { width: 100%; text-align: center; padding-bottom: 20px; border-bottom: 2px solid var(--border-color); margin-bottom: 20px; }
+              .media-container {
+                width: 250px;
+                text-align: center;
+                border: 1px solid var(--border-color);
+                padding: 10px;
+                border-radius: 8px;
+                box-shadow: 0 4px 6px var(--shadow-color);
+                background-color: var(--card-bg); /* Default background for file containers */
+                cursor: pointer;
+                transition: background-color 0.3s, box-shadow 0.3s;
+                /* Added for folder links to behave as blocks */
+                display: flex;
+                flex-direction: column;
+                text-decoration: none; /* Ensure no underline on folder links */
+                color: inherit; /* Inherit text color for folder links */
+              }
+              /* Styling for sub-folders on main page, using brand color */
+              a.media-container.folder-container {
+                background-color: var(--brand-color);
+                border: 1px solid var(--border-color); /* Keep existing border for consistency */
+                box-shadow: 0 6px 12px var(--shadow-color); /* Slightly more prominent shadow */
+              }
+              /* Text color for paragraphs inside folder containers */
+              a.media-container.folder-container p {
+                color: #ffffff; /* White text for readability on brand background */
+              }
+
+
+              .media-container img, .media-container video { max-width: 100%; height: auto; display: block; margin: 0 auto 10px; border-radius: 4px; }
+              a.media-link { text-decoration: none; color: inherit; } /* Specific for internal modal links */
+              p { margin: 0; padding: 0; word-wrap: break-word; font-size: 0.9em; color: var(--text-color); } /* Default for other paragraphs */
+
+              /* Folder specific styling */
+              .folder-container img {
+                max-height: 200px; /* Limit height for folder covers */
+                object-fit: cover; /* Ensure covers fill space nicely */
+              }
+
+              /* Modal Styles */
+              .modal { display: none; position: fixed; z-index: 100; left: 0; top: 0; width: 100%; height: 100%; overflow: auto; background-color: rgba(0,0,0,0.9); }
+              /* Originals are turned upright by their EXIF orientation (generated previews already are) */
+              .modal-content { margin: auto; display: block; max-width: 90%; max-height: 90vh; image-orientation: from-image; }
+              .modal-unplayable { padding: 40px 10px; text-align: center; color: #ccc; }
+              .modal-unplayable a { color: var(--brand-color); }
+              .modal-caption { margin: auto; display: block; width: 80%; max-width: 700px; text-align: center; color: #ccc; padding: 10px 0; }
+              .modal-original { text-align: center; padding-bottom: 10px; }
+              .modal-original a { color: var(--brand-color); font-size: 0.9em; }
+              .modal-info { margin: 0 auto; padding-bottom: 10px; color: #ccc; font-size: 0.9em; text-align: center; }
+              .modal-info p { color: #ccc; }
+              .modal-info dl { display: inline-grid; grid-template-columns: max-content auto; gap: 3px 15px; margin: 0; text-align: left; }
+              .modal-info dt { color: #999; }
+              .modal-info dd { margin: 0; }
+              .modal-info a { color: var(--brand-color); }
+              .modal-controls button.active { border-color: var(--brand-color); }
+              /* Favorite, rating and tags of the open item */
+              .modal-annotations { display: flex; justify-content: center; align-items: center; flex-wrap: wrap; gap: 10px; color: #ccc; font-size: 0.9em; padding-bottom: 10px; }
+              .modal-annotations[hidden] { display: none; }
+              .modal-annotations button { background: none; border: none; color: #777; font-size: 1.4em; padding: 0 2px; cursor: pointer; }
+              .modal-annotations button:disabled { cursor: default; }
+              .modal-annotations .favorite-toggle.active { color: #e05a5a; }
+              .rating-stars button.active { color: #e0a800; }
+              .tag-chip { display: inline-flex; align-items: center; gap: 4px; margin: 0 3px; padding: 2px 8px; border: 1px solid #555; border-radius: 10px; }
+              .modal-annotations .tag-chip button { font-size: 1em; }
+              .tag-form input { padding: 3px 6px; border-radius: 5px; }
+              .close { position: absolute; top: 15px; right: 35px; color: #f1f1f1; font-size: 40px; font-weight: bold; transition: 0.3s; cursor: pointer; }
+              .modal-nav { position: absolute; top: 50%; width: auto; padding: 16px; margin-top: -50px; color: #fff; font-size: 40px; font-weight: bold; cursor: pointer; user-select: none; }
+              .prev { left: 0; }
+              .next { right: 0; }
+              .modal:fullscreen { overflow: hidden; }
+              .modal:fullscreen .modal-content { max-width: 100%; max-height: calc(100vh - 110px); }
+
+              /* Slideshow and fullscreen controls under the caption */
+              .modal-controls { display: flex; justify-content: center; align-items: center; flex-wrap: wrap; gap: 15px; color: #ccc; font-size: 0.9em; padding-bottom: 10px; }
+              .modal-controls button, .toolbar-button, .selection-bar button {
+                padding: 5px 12px;
+                border-radius: 5px;
+                border: 1px solid var(--border-color);
+                background-color: var(--card-bg);
+                color: var(--text-color);
+                cursor: pointer;
+              }
+              .modal-controls select { padding: 3px 6px; border-radius: 5px; }
+              .toolbar-button { display: inline-block; margin-right: 15px; font-size: 1em; text-decoration: none; }
+              .selection-bar button:disabled { opacity: 0.5; cursor: default; }
+              #upload-status { margin-right: 15px; }
+              .map-export { display: inline-block; margin-right: 15px; }
+              .map-export .toolbar-button { margin-right: 0; }
+              /* Manage menu in the toolbar */
+              .manage-menu { display: inline-block; position: relative; margin-right: 15px; text-align: left; }
+              .manage-menu summary { cursor: pointer; list-style: none; margin-right: 0; }
+              .manage-actions {
+                position: absolute;
+                z-index: 20;
+                display: flex;
+                flex-direction: column;
+                gap: 5px;
+                padding: 8px;
+                background-color: var(--card-bg);
+                border: 1px solid var(--border-color);
+                border-radius: 5px;
+                box-shadow: 0 4px 8px var(--shadow-color);
+                white-space: nowrap;
+              }
+
+              /* Trash page */
+              .trash-list { width: 100%; display: flex; flex-direction: column; gap: 10px; }
+              .trash-item { display: flex; flex-wrap: wrap; align-items: center; gap: 10px; padding: 10px; background-color: var(--card-bg); border: 1px solid var(--border-color); border-radius: 5px; }
+              .trash-path { flex: 1; font-weight: bold; word-break: break-all; }
+              .trash-info { font-size: 0.9em; }
+              .trash-empty { width: 100%; text-align: center; }
+
+              /* Duplicates page */
+              .duplicates-summary { width: 100%; text-align: center; }
+              .duplicate-list { width: 100%; display: flex; flex-direction: column; gap: 20px; }
+              .duplicate-group { padding: 10px; background-color: var(--card-bg); border: 1px solid var(--border-color); border-radius: 5px; }
+              .duplicate-group .group-heading { margin-top: 0; }
+              .duplicate-files { display: flex; flex-wrap: wrap; gap: 10px; margin-bottom: 10px; }
+              .duplicate-file { display: flex; flex-direction: column; gap: 5px; width: 200px; word-break: break-all; font-size: 0.9em; cursor: pointer; }
+              .duplicate-file img { width: 200px; height: 150px; object-fit: cover; border-radius: 5px; }
+              .duplicate-file:has(input:checked) img { outline: 3px solid var(--brand-color); }
+
+              /* Files dragged over an album that takes uploads */
+              body.drag-over { outline: 4px dashed var(--brand-color); outline-offset: -8px; }
+
+              /* Multi-select mode: clicking a tile marks it, and a bar at the bottom offers the download */
+              .file-container.selected { outline: 4px solid var(--brand-color); }
+
+              /* Favorite, rating and tag badges under a tile's caption */
+              .tile-badges { display: flex; flex-wrap: wrap; justify-content: center; gap: 4px; margin-top: 6px; }
+              .tile-badges[hidden] { display: none; }
+              .badge { padding: 1px 6px; border: 1px solid var(--border-color); border-radius: 10px; font-size: 0.8em; }
+              .badge-favorite { color: #e05a5a; }
+              .badge-rating { color: #e0a800; }
+              .selection-bar {
+                position: fixed;
+                left: 0;
+                right: 0;
+                bottom: 0;
+                z-index: 50;
+                display: flex;
+                justify-content: center;
+                align-items: center;
+                gap: 15px;
+                padding: 12px;
+                background-color: var(--card-bg);
+                border-top: 1px solid var(--border-color);
+                box-shadow: 0 -2px 8px var(--shadow-color);
+              }
+              .selection-bar[hidden] { display: none; }
+
+              /* Login link, or the logged-in user and a logout button */
+              .account { display: block; margin-top: 10px; font-size: 0.9em; color: var(--text-color); }
+              .account button { margin-left: 8px; padding: 3px 10px; border-radius: 5px; border: 1px solid var(--border-color); background-color: var(--card-bg); color: var(--text-color); cursor: pointer; }
+
+              /* Dropdown for Theme Switching */
+              .theme-select-wrapper { position: fixed; top: 20px; right: 20px; }
+              #theme-select {
+                padding: 5px 10px;
+                border-radius: 5px;
+                font-size: 1em;
+                background-color: var(--card-bg);
+                color: var(--text-color);
+                border: 1px solid var(--border-color);
+                cursor: pointer;
+              }
+              #theme-select option {
+                background-color: var(--card-bg);
+                color: var(--text-color);
+              }
+              /* Breadcrumb trail for folder pages */
+              .breadcrumbs { width: 100%; text-align: left; margin-bottom: 20px; font-size: 0.9em; }
+              .breadcrumb-link {
+                display: inline-block;
+                padding: 10px 15px;
+                background-color: var(--card-bg);
+                color: var(--text-color);
+                border: 1px solid var(--border-color);
+                border-radius: 5px;
+                text-decoration: none;
+                transition: background-color 0.3s;
+              }
+              .breadcrumb-link:hover {
+                background-color: var(--border-color);
+              }
+              .breadcrumb-separator { margin: 0 8px; color: var(--border-color); }
+              .breadcrumb-current { font-weight: bold; }
+
+              /* Albums / Timeline switch in the header */
+              .view-nav { margin-top: 10px; }
+              .view-nav a { color: var(--text-color); margin: 0 10px; text-decoration: none; padding-bottom: 2px; }
+              .view-nav a.active { border-bottom: 2px solid var(--brand-color); font-weight: bold; }
+
+              /* Search box in the header and filters on the search page */
+              .search-box { margin-top: 10px; }
+              .search-box input, .search-filters input, .search-filters select {
+                padding: 5px 10px;
+                border-radius: 5px;
+                font-size: 1em;
+                background-color: var(--card-bg);
+                color: var(--text-color);
+                border: 1px solid var(--border-color);
+              }
+              .search-box input { width: 280px; max-width: 100%; }
+              .search-filters { width: 100%; display: flex; flex-wrap: wrap; gap: 10px; align-items: flex-end; font-size: 0.9em; }
+              .search-filters label { display: flex; flex-direction: column; gap: 4px; }
+              .search-filters button { padding: 6px 14px; border-radius: 5px; border: none; background-color: var(--brand-color); color: #fff; cursor: pointer; }
+              .search-summary { width: 100%; font-size: 0.9em; }
+
+              /* Album description and sidecar problems, above the grid */
+              .album-description { width: 100%; text-align: center; margin: 0 0 10px; }
+              .album-warning {
+                width: 100%;
+                margin: 0 0 10px;
+                padding: 8px 12px;
+                border-radius: 5px;
+                border: 1px solid #d9534f;
+                color: #d9534f;
+                font-size: 0.9em;
+              }
+
+              /* Sort selector above the grid */
+              .toolbar { width: 100%; text-align: right; font-size: 0.9em; }
+              #sort-select {
+                margin-left: 8px;
+                padding: 5px 10px;
+                border-radius: 5px;
+                background-color: var(--card-bg);
+                color: var(--text-color);
+                border: 1px solid var(--border-color);
+              }
+
+              /* Month headings in the timeline */
+              .group-heading { width: 100%; margin: 20px 0 0; padding-bottom: 5px; border-bottom: 1px solid var(--border-color); font-size: 1.3em; }
+
+              /* Infinite scroll trigger after the last tile */
+              .load-more-wrapper { width: 100%; text-align: center; padding: 20px 0; }
+              .feed-link { text-align: center; margin: 0 0 10px; }
+              .feed-link a { color: var(--text-color); }
+              .load-more {
+                display: inline-block;
+                padding: 10px 15px;
+                background-color: var(--card-bg);
+                color: var(--text-color);
+                border: 1px solid var(--border-color);
+                border-radius: 5px;
+                text-decoration: none;
+              }
+          </style>
+      </head>
+      <body>
+          <div class="header">
+            <h1>${escapeHtml(title)}</h1>
+            <p>A gallery by ${escapeHtml(author)}</p>
+            ${
+              !navigation
+                ? ""
+                : `<nav class="view-nav">
+              <a href="${escapeHtml(basePath)}/"${["main", "folder", "virtual"].includes(viewType) ? ' class="active"' : ""}>Albums</a>
+              <a href="${escapeHtml(basePath)}/timeline"${viewType === "timeline" ? ' class="active"' : ""}>Timeline</a>
+              <a href="${escapeHtml(basePath)}/recent"${viewType === "recent" ? ' class="active"' : ""}>Recent</a>
+              <a href="${escapeHtml(basePath)}/search"${viewType === "search" ? ' class="active"' : ""}>Search</a>
+            </nav>
+            <form class="search-box" action="${escapeHtml(basePath)}/search" method="get" role="search">
+              <input type="search" name="q" placeholder="Search captions and file names" value="${escapeHtml(searchQuery)}" aria-label="Search">
+            </form>`
+            }
+            ${accountHtml}
+          </div>
+
+          <div class="theme-select-wrapper">
+            <select id="theme-select">
+              <option value="system">System</option>
+              <option value="light">Light</option>
+              <option value="dark">Dark</option>
+            </select>
+          </div>
+
+          ${breadcrumbsHtml}
+
+          ${toolbarHtml}
+
+          ${fileListHtml}
+
+          <div class="selection-bar" id="selection-bar" hidden>
+            <span id="selection-count">0 selected</span>
+            <button type="button" id="selection-download" disabled>&#8681; Download selected</button>
+            ${
+              canManage
+                ? `<button type="button" data-selection-action="rename" disabled>Rename</button>
+            <button type="button" data-selection-action="cover" disabled>Make album cover</button>
+            <button type="button" data-selection-action="move" disabled>Move to&hellip;</button>
+            <button type="button" data-selection-action="trash" disabled>Delete</button>`
+                : ""
+            }
+            <button type="button" id="selection-cancel">Cancel</button>
+          </div>
+          <form id="selection-form" action="${escapeHtml(basePath)}/download/selection" method="post" hidden></form>
+
+          <div id="myModal" class="modal">
+            <span class="close">&times;</span>
+            <div class="modal-nav prev">&#10094;</div>
+            <div class="modal-nav next">&#10095;</div>
+            <div class="modal-media-wrapper">
+              </div>
+            <div id="caption" class="modal-caption"></div>
+            <div class="modal-original"><a id="view-original" href="#" target="_blank" rel="noopener">View original</a></div>
+            <div id="media-info" class="modal-info" hidden></div>
+            <div id="media-annotations" class="modal-annotations" data-editable="${canAnnotate}" hidden>
+              <button type="button" id="favorite-toggle" class="favorite-toggle" aria-pressed="false" title="Favorite"${canAnnotate ? "" : " disabled"}>&#9825;</button>
+              <span class="rating-stars" role="group" aria-label="Rating">
+                ${[1, 2, 3, 4, 5]
+                  .map(
+                    (stars) =>
+                      `<button type="button" data-rating="${stars}" title="${stars} star${stars === 1 ? "" : "s"}${canAnnotate ? " (" + stars + ")" : ""}"${canAnnotate ? "" : " disabled"}>&#9733;</button>`,
+                  )
+                  .join("")}
+              </span>
+              <span id="tag-list"></span>
+              ${canAnnotate ? '<form id="tag-form" class="tag-form"><input type="text" id="tag-input" placeholder="Add a tag" aria-label="Add a tag" maxlength="64"></form>' : ""}
+            </div>
+            <div class="modal-controls">
+              <button type="button" id="slideshow-toggle" title="Play or pause the slideshow (Space)">&#9654; Play</button>
+              <label>Every
+                <select id="slideshow-interval">
+                  <option value="3">3 s</option>
+                  <option value="5">5 s</option>
+                  <option value="10">10 s</option>
+                  <option value="20">20 s</option>
+                  <option value="60">1 min</option>
+                </select>
+              </label>
+              <label><input type="checkbox" id="slideshow-shuffle"> Shuffle</label>
+              <label><input type="checkbox" id="slideshow-loop"> Loop</label>
+              <button type="button" id="info-toggle" title="Details (I)">&#9432; Info</button>
+              <button type="button" id="fullscreen-toggle" title="Fullscreen (F)">&#x26F6; Fullscreen</button>
+            </div>
+          </div>
+
+          <script nonce="${escapeHtml(nonce)}">
+            // The modal's list: { url, total, pageSize, pages: { [page]: [file, ...] } }.
+            // Only the page for the visible tiles comes with the HTML; other pages are fetched when needed.
+            const mediaSource = ${serializeForScript(mediaSource)};
+            // Where this page's library is mounted ("" at the top of the site), for the API requests made from here
+            const basePath = ${serializeForScript(basePath)};
+            const pageRequests = {};
+            let currentIndex = 0;
+            const modal = document.getElementById("myModal");
+            const modalMediaWrapper = document.querySelector(".modal-media-wrapper");
+            const captionText = document.getElementById("caption");
+            const viewOriginalLink = document.getElementById("view-original");
+            const prevBtn = document.querySelector(".prev");
+            const nextBtn = document.querySelector(".next");
+            const themeSelect = document.getElementById('theme-select');
+            const body = document.body;
+
+            // Turn an item from the JSON API into the shape the modal uses
+            const toModalFile = (item) => ({
+              file: item.path,
+              caption: item.caption,
+              ext: item.ext,
+              isVideo: item.type === 'video',
+              previewUrl: item.urls.preview,
+              originalUrl: item.urls.original,
+              fullSizeUrl: item.urls.fullSize,
+              thumbnailUrl: item.urls.thumbnail,
+              takenAt: item.takenAt,
+              width: item.width,
+              height: item.height,
+              camera: item.camera,
+              location: item.location,
+              favorite: item.favorite,
+              rating: item.rating,
+              tags: item.tags,
+              embeddedTags: item.embeddedTags,
+            });
+
+            // Fetch a page of the modal list (once, even if several callers ask for it at the same time)
+            const loadMediaPage = (page) => {
+              if (mediaSource.pages[page]) return Promise.resolve(mediaSource.pages[page]);
+              if (!pageRequests[page]) {
+                const separator = mediaSource.url.includes('?') ? '&' : '?';
+                pageRequests[page] = fetch(mediaSource.url + separator + 'page=' + page + '&pageSize=' + mediaSource.pageSize)
+                  .then((response) => {
+                    if (!response.ok) throw new Error('Failed to load page ' + page + ' (' + response.status + ')');
+                    return response.json();
+                  })
+                  .then((data) => {
+                    mediaSource.pages[page] = data.items.map(toModalFile);
+                    return mediaSource.pages[page];
+                  })
+                  .finally(() => {
+                    delete pageRequests[page];
+                  });
+              }
+              return pageRequests[page];
+            };
+
+            const getMediaFile = async (index) => {
+              const items = await loadMediaPage(Math.floor(index / mediaSource.pageSize) + 1);
+              return items[index % mediaSource.pageSize];
+            };
+
+            // Find where a file (by path) is in the modal list, fetching the page that holds it if needed.
+            // Resolves to -1 if the file isn't in this view's list.
+            const locateMediaFile = async (filePath) => {
+              for (const [page, items] of Object.entries(mediaSource.pages)) {
+                const position = items.findIndex((item) => item.file === filePath);
+                if (position >= 0) return (page - 1) * mediaSource.pageSize + position;
+              }
+              if (!mediaSource.url) return -1; // Every page came with the HTML
+              const separator = mediaSource.url.includes('?') ? '&' : '?';
+              const response = await fetch(mediaSource.url + separator + 'item=' + encodeURIComponent(filePath) + '&pageSize=' + mediaSource.pageSize);
+              if (!response.ok) throw new Error('Failed to find ' + filePath + ' (' + response.status + ')');
+              const data = await response.json();
+              const page = data.pagination.page;
+              mediaSource.pages[page] = data.items.map(toModalFile);
+              const position = mediaSource.pages[page].findIndex((item) => item.file === filePath);
+              return position >= 0 ? (page - 1) * mediaSource.pageSize + position : -1;
+            };
+
+            // Slideshow state; order is the sequence of indexes while shuffling.
+            // The interval, shuffle and loop settings are remembered between visits, like the theme.
+            const slideshow = { playing: false, timer: null, order: null };
+            const loadSlideshowSettings = () => {
+              try {
+                return JSON.parse(localStorage.getItem('slideshow')) || {};
+              } catch (err) {
+                return {};
+              }
+            };
+            const slideshowSettings = Object.assign({ interval: 5, shuffle: false, loop: true }, loadSlideshowSettings());
+
+            // Every index of the modal list in random order, starting with the one given
+            const shuffledIndexes = (first) => {
+              const indexes = Array.from({ length: mediaSource.total }, (_, index) => index);
+              for (let i = indexes.length - 1; i > 0; i--) {
+                const j = Math.floor(Math.random() * (i + 1));
+                [indexes[i], indexes[j]] = [indexes[j], indexes[i]];
+              }
+              indexes.splice(indexes.indexOf(first), 1);
+              indexes.unshift(first);
+              return indexes;
+            };
+
+            // The index the slideshow shows after the current one, or -1 at the end when it doesn't loop
+            const nextSlideIndex = () => {
+              if (slideshowSettings.shuffle) {
+                if (!slideshow.order) slideshow.order = shuffledIndexes(currentIndex);
+                const position = slideshow.order.indexOf(currentIndex);
+                if (position + 1 < slideshow.order.length) return slideshow.order[position + 1];
+                return slideshowSettings.loop ? slideshow.order[0] : -1;
+              }
+              if (currentIndex + 1 < mediaSource.total) return currentIndex + 1;
+              return slideshowSettings.loop ? 0 : -1;
+            };
+
+            const advanceSlideshow = () => {
+              if (!slideshow.playing) return;
+              const next = nextSlideIndex();
+              if (next < 0) {
+                stopSlideshow();
+              } else {
+                showModal(next);
+              }
+            };
+
+            const startSlideTimer = () => {
+              clearTimeout(slideshow.timer);
+              slideshow.timer = setTimeout(advanceSlideshow, slideshowSettings.interval * 1000);
+            };
+
+            // Photos stay up for the interval; videos play to the end first
+            const scheduleNextSlide = (mediaElement) => {
+              clearTimeout(slideshow.timer);
+              if (!slideshow.playing || !mediaElement) return;
+              if (mediaElement.tagName === 'VIDEO') {
+                mediaElement.loop = false;
+                mediaElement.addEventListener('ended', advanceSlideshow);
+                mediaElement.addEventListener('error', startSlideTimer); // Don't get stuck on a video that won't play
+              } else {
+                startSlideTimer();
+              }
+            };
+
+            // Warm the browser cache with the image shown next, so stepping through doesn't wait on it
+            const preloadNext = () => {
+              const next = slideshow.playing ? nextSlideIndex() : (currentIndex + 1) % mediaSource.total;
+              if (next < 0) return;
+              getMediaFile(next)
+                .then((file) => {
+                  if (file && !file.isVideo && file.previewUrl) new Image().src = file.previewUrl;
+                })
+                .catch(() => {});
+            };
+
+            // Function to show the modal with the selected media
+            const showModal = async (index) => {
+              if (index < 0 || index >= mediaSource.total) return; // Boundary check
+              currentIndex = index;
+              clearTimeout(slideshow.timer);
+
+              let file;
+              try {
+                file = await getMediaFile(index);
+              } catch (err) {
+                console.error(err);
+                return;
+              }
+              if (!file || index !== currentIndex) return; // Navigated elsewhere while this was loading
+
+              modalMediaWrapper.innerHTML = ''; // Clear previous content
+              // What can't be shown in this browser (nor converted on the server) is offered for download
+              const downloadNote = (text) => {
+                  const note = document.createElement('p');
+                  note.className = 'modal-unplayable';
+                  note.textContent = text + ' ';
+                  const downloadLink = document.createElement('a');
+                  downloadLink.href = file.originalUrl;
+                  downloadLink.download = '';
+                  downloadLink.textContent = 'Download it';
+                  note.append(downloadLink);
+                  return note;
+              };
+              const mediaElement = document.createElement(file.isVideo ? 'video' : 'img');
+              // Screen-size preview for images (the placeholder tile if there is none), the file itself for videos
+              mediaElement.src = file.previewUrl || file.thumbnailUrl;
+              mediaElement.alt = file.caption;
+
+              if (mediaElement.tagName === 'VIDEO') {
+                  mediaElement.controls = true;
+                  mediaElement.preload = "metadata";
+                  mediaElement.autoplay = true; // Autoplay videos when opened in modal
+                  mediaElement.loop = !slideshow.playing; // Loop videos, unless the slideshow should move on
+                  // Not every browser plays every format (e.g. MKV in Safari); offer the file instead
+                  mediaElement.addEventListener('error', () => {
+                      mediaElement.replaceWith(downloadNote("This video can't be played in this browser."));
+                  });
+              }
+              mediaElement.classList.add('modal-content');
+              modalMediaWrapper.appendChild(mediaElement);
+              if (!file.isVideo && !file.previewUrl) {
+                  modalMediaWrapper.appendChild(downloadNote("This photo can't be shown in the browser."));
+              }
+
+              captionText.textContent = file.caption; // Captions are plain text, never markup
+              renderMediaInfo(file);
+              renderAnnotations(file);
+              viewOriginalLink.href = file.fullSizeUrl || file.originalUrl; // A full-size conversion for formats browsers can't show
+              modal.style.display = "block";
+              // Deep link to this item; survives a reload and can be shared
+              history.replaceState(null, '', '#item=' + encodeURIComponent(file.file).replace(/%2F/g, '/'));
+
+              scheduleNextSlide(mediaElement);
+              preloadNext();
+              // Fetch the previous page ahead of time too, so prev doesn't have to wait
+              getMediaFile((index - 1 + mediaSource.total) % mediaSource.total).catch(() => {});
+            };
+
+            const closeModal = () => {
+              stopSlideshow();
+              modal.style.display = "none";
+              const video = modalMediaWrapper.querySelector('video');
+              if (video) video.pause(); // Pause video when modal closes
+              if (document.fullscreenElement) document.exitFullscreen().catch(() => {});
+              history.replaceState(null, '', window.location.pathname + window.location.search);
+              if (gridOutdated) refreshGrid();
+            };
+
+            // Multi-select mode: tiles are marked instead of opened, and the marked files are downloaded as one ZIP
+            const selectToggle = document.getElementById('select-toggle');
+            const selectionBar = document.getElementById('selection-bar');
+            const selectionCount = document.getElementById('selection-count');
+            const selectionDownload = document.getElementById('selection-download');
+            const selectionForm = document.getElementById('selection-form');
+            const selectedFiles = new Set();
+            let selecting = false;
+
+            const updateSelection = () => {
+                selectionCount.textContent = selectedFiles.size + ' selected';
+                selectionDownload.disabled = selectedFiles.size === 0;
+                // Renaming and picking a cover work on exactly one item
+                document.querySelectorAll('[data-selection-action]').forEach((button) => {
+                    const single = button.dataset.selectionAction === 'rename' || button.dataset.selectionAction === 'cover';
+                    button.disabled = single ? selectedFiles.size !== 1 : selectedFiles.size === 0;
+                });
+            };
+
+            const setSelecting = (on) => {
+                selecting = on;
+                selectionBar.hidden = !on;
+                if (!on) {
+                    selectedFiles.clear();
+                    document.querySelectorAll('.file-container.selected').forEach((tile) => tile.classList.remove('selected'));
+                    if (gridOutdated) refreshGrid();
+                }
+                updateSelection();
+            };
+
+            const toggleTileSelection = (tile) => {
+                if (selectedFiles.has(tile.dataset.file)) {
+                    selectedFiles.delete(tile.dataset.file);
+                } else {
+                    selectedFiles.add(tile.dataset.file);
+                }
+                tile.classList.toggle('selected', selectedFiles.has(tile.dataset.file));
+                updateSelection();
+            };
+
+            if (selectToggle) selectToggle.addEventListener('click', () => setSelecting(!selecting));
+            document.getElementById('selection-cancel').addEventListener('click', () => setSelecting(false));
+
+            // A plain form post, so the browser streams the archive straight to disk
+            selectionDownload.addEventListener('click', () => {
+                selectionForm.replaceChildren(...[...selectedFiles].map((file) => {
+                    const input = document.createElement('input');
+                    input.type = 'hidden';
+                    input.name = 'files';
+                    input.value = file;
+                    return input;
+                }));
+                selectionForm.submit();
+            });
+
+            // Event listener for file thumbnails (opens modal); delegated so tiles added while scrolling work too
+            document.addEventListener('click', (e) => {
+                const container = e.target.closest('.media-container.file-container');
+                if (!container) return;
+                e.preventDefault(); // Prevent default navigation to open modal
+                if (selecting) {
+                    toggleTileSelection(container);
+                    return;
+                }
+                const index = parseInt(container.dataset.index);
+                showModal(index);
+            });
+
+            // Close the modal
+            document.querySelector('.close').addEventListener('click', closeModal);
+
+            // Navigation functions for modal
+            const showNext = () => {
+              showModal((currentIndex + 1) % mediaSource.total);
+            };
+
+            const showPrev = () => {
+              showModal((currentIndex - 1 + mediaSource.total) % mediaSource.total);
+            };
+
+            prevBtn.addEventListener('click', showPrev);
+            nextBtn.addEventListener('click', showNext);
+
+            // Slideshow controls: the toolbar button starts from the first item (a random one when shuffling),
+            // the play button in the modal carries on from the item on screen
+            const slideshowStartBtn = document.getElementById('slideshow-start');
+            const slideshowToggle = document.getElementById('slideshow-toggle');
+            const slideshowInterval = document.getElementById('slideshow-interval');
+            const slideshowShuffle = document.getElementById('slideshow-shuffle');
+            const slideshowLoop = document.getElementById('slideshow-loop');
+            const fullscreenToggle = document.getElementById('fullscreen-toggle');
+
+            const updateSlideshowToggle = () => {
+              slideshowToggle.textContent = slideshow.playing ? '❚❚ Pause' : '▶ Play';
+            };
+
+            const startSlideshow = () => {
+              if (mediaSource.total === 0) return;
+              slideshow.playing = true;
+              slideshow.order = null;
+              updateSlideshowToggle();
+              if (modal.style.display !== 'block') {
+                showModal(slideshowSettings.shuffle ? Math.floor(Math.random() * mediaSource.total) : 0);
+              } else {
+                scheduleNextSlide(modalMediaWrapper.querySelector('.modal-content'));
+                preloadNext();
+              }
+            };
+
+            const stopSlideshow = () => {
+              slideshow.playing = false;
+              clearTimeout(slideshow.timer);
+              const video = modalMediaWrapper.querySelector('video');
+              if (video) video.loop = true;
+              updateSlideshowToggle();
+            };
+
+            const toggleSlideshow = () => (slideshow.playing ? stopSlideshow() : startSlideshow());
+
+            if (slideshowStartBtn) slideshowStartBtn.addEventListener('click', startSlideshow);
+            slideshowToggle.addEventListener('click', toggleSlideshow);
+
+            slideshowInterval.value = String(slideshowSettings.interval);
+            if (!slideshowInterval.value) slideshowInterval.value = '5'; // A saved interval that is no longer offered
+            slideshowShuffle.checked = slideshowSettings.shuffle;
+            slideshowLoop.checked = slideshowSettings.loop;
+            [slideshowInterval, slideshowShuffle, slideshowLoop].forEach((control) => {
+              control.addEventListener('change', () => {
+                slideshowSettings.interval = Number(slideshowInterval.value);
+                slideshowSettings.shuffle = slideshowShuffle.checked;
+                slideshowSettings.loop = slideshowLoop.checked;
+                localStorage.setItem('slideshow', JSON.stringify(slideshowSettings));
+                slideshow.order = null;
+                // Restart the countdown on a photo with the new interval (a video still plays to its end)
+                const current = modalMediaWrapper.querySelector('.modal-content');
+                if (slideshow.playing && current && current.tagName !== 'VIDEO') startSlideTimer();
+                control.blur(); // Give the arrow keys back to the viewer
+              });
+            });
+
+            // Fullscreen shows the modal alone on the screen
+            const toggleFullscreen = () => {
+              if (document.fullscreenElement) {
+                document.exitFullscreen().catch(() => {});
+              } else if (modal.requestFullscreen) {
+                modal.requestFullscreen().catch(() => {});
+              }
+            };
+            fullscreenToggle.addEventListener('click', toggleFullscreen);
+            fullscreenToggle.hidden = !document.fullscreenEnabled;
+            document.addEventListener('fullscreenchange', () => {
+              fullscreenToggle.textContent = document.fullscreenElement ? '⛶ Exit fullscreen' : '⛶ Fullscreen';
+            });
+
+            // Info panel under the caption: when and with what the item was taken, and where for geotagged photos.
+            // Whether it is open is remembered between visits.
+            const infoToggle = document.getElementById('info-toggle');
+            const mediaInfo = document.getElementById('media-info');
+            let infoOpen = localStorage.getItem('mediaInfo') === 'open';
+
+            const roundTo = (value, digits) => Number(value.toFixed(digits));
+            const formatExposure = (seconds) => (seconds < 1 ? '1/' + Math.round(1 / seconds) : roundTo(seconds, 1)) + ' s';
+            const formatCoordinate = (value, positive, negative) => roundTo(Math.abs(value), 5) + '° ' + (value < 0 ? negative : positive);
+
+            const renderMediaInfo = (file) => {
+              const camera = file.camera || {};
+              const rows = [
+                // EXIF dates carry no time zone, so they are shown as recorded
+                ['Taken', file.takenAt && new Date(file.takenAt).toLocaleString(undefined, { dateStyle: 'long', timeStyle: 'short', timeZone: 'UTC' })],
+                // Most cameras repeat the make in the model name ("Canon" + "Canon EOS R6")
+                ['Camera', camera.model && camera.make && !camera.model.startsWith(camera.make) ? camera.make + ' ' + camera.model : camera.model || camera.make],
+                ['Lens', camera.lens],
+                ['Exposure', camera.exposureTime && formatExposure(camera.exposureTime)],
+                ['Aperture', camera.fNumber && 'f/' + roundTo(camera.fNumber, 1)],
+                ['ISO', camera.iso && String(camera.iso)],
+                ['Focal length', camera.focalLength && roundTo(camera.focalLength, 1) + ' mm' + (camera.focalLength35mm ? ' (' + camera.focalLength35mm + ' mm in 35 mm terms)' : '')],
+                ['Dimensions', file.width && file.height && file.width + ' × ' + file.height],
+              ].filter(([, value]) => value);
+
+              if (rows.length === 0 && !file.location) {
+                const note = document.createElement('p');
+                note.textContent = 'No details recorded for this item.';
+                mediaInfo.replaceChildren(note);
+                return;
+              }
+              const list = document.createElement('dl');
+              const addRow = (label, ...values) => {
+                const term = document.createElement('dt');
+                const detail = document.createElement('dd');
+                term.textContent = label;
+                detail.append(...values); // Strings become text, never markup
+                list.append(term, detail);
+              };
+              rows.forEach(([label, value]) => addRow(label, value));
+              if (file.location) {
+                const { latitude, longitude, altitude } = file.location;
+                const mapLink = document.createElement('a');
+                mapLink.href = 'https://www.openstreetmap.org/?mlat=' + latitude + '&mlon=' + longitude + '#map=15/' + latitude + '/' + longitude;
+                mapLink.target = '_blank';
+                mapLink.rel = 'noopener';
+                mapLink.textContent = 'map';
+                addRow('Location',
+                  formatCoordinate(latitude, 'N', 'S') + ', ' + formatCoordinate(longitude, 'E', 'W') +
+                    (altitude === null ? '' : ', ' + Math.round(altitude) + ' m') + ' (',
+                  mapLink, ')');
+              }
+              mediaInfo.replaceChildren(list);
+            };
+
+            const updateInfoPanel = () => {
+              mediaInfo.hidden = !infoOpen;
+              infoToggle.classList.toggle('active', infoOpen);
+            };
+            const toggleInfo = () => {
+              infoOpen = !infoOpen;
+              localStorage.setItem('mediaInfo', infoOpen ? 'open' : 'closed');
+              updateInfoPanel();
+            };
+            infoToggle.addEventListener('click', () => {
+              toggleInfo();
+              infoToggle.blur(); // Give the arrow keys back to the viewer
+            });
+            updateInfoPanel();
+
+            // Favorite, rating and tags of the open item, under the info panel. Where the page allows it they can be
+            // changed (clicking the current rating again clears it); the item's tile in the grid shows the same badges.
+            const mediaAnnotations = document.getElementById('media-annotations');
+            const annotationsEditable = mediaAnnotations.dataset.editable === 'true';
+            const favoriteToggle = document.getElementById('favorite-toggle');
+            const ratingButtons = mediaAnnotations.querySelectorAll('[data-rating]');
+            const tagList = document.getElementById('tag-list');
+            const tagForm = document.getElementById('tag-form');
+            const tagInput = document.getElementById('tag-input');
+            let annotatedFile = null;
+
+            const renderAnnotations = (file) => {
+              annotatedFile = file;
+              const tags = file.tags || [];
+              // Keywords embedded in the file can only be removed in the program that wrote them
+              const embedded = (file.embeddedTags || []).map((tag) => tag.toLowerCase());
+              mediaAnnotations.hidden = !annotationsEditable && !file.favorite && !file.rating && tags.length === 0;
+              favoriteToggle.textContent = file.favorite ? '♥' : '♡';
+              favoriteToggle.classList.toggle('active', Boolean(file.favorite));
+              favoriteToggle.setAttribute('aria-pressed', String(Boolean(file.favorite)));
+              ratingButtons.forEach((button) => {
+                button.classList.toggle('active', Number(button.dataset.rating) <= (file.rating || 0));
+              });
+              tagList.replaceChildren(...tags.map((tag) => {
+                const chip = document.createElement('span');
+                chip.className = 'tag-chip';
+                chip.textContent = tag; // Tags are plain text, never markup
+                if (annotationsEditable && !embedded.includes(tag.toLowerCase())) {
+                  const removeButton = document.createElement('button');
+                  removeButton.type = 'button';
+                  removeButton.title = 'Remove this tag';
+                  removeButton.textContent = '×';
+                  removeButton.addEventListener('click', () => saveAnnotations({ tags: tags.filter((other) => other !== tag) }));
+                  chip.append(removeButton);
+                }
+                return chip;
+              }));
+            };
+
+            // Redraw the badges of the item's tile, as renderBadges does on the server
+            const updateTileBadges = (file) => {
+              document.querySelectorAll('.file-container').forEach((tile) => {
+                if (tile.dataset.file !== file.file) return;
+                const badges = [];
+                const addBadge = (className, text, title) => {
+                  const badge = document.createElement('span');
+                  badge.className = 'badge ' + className;
+                  badge.textContent = text;
+                  if (title) badge.title = title;
+                  badges.push(badge);
+                };
+                if (file.favorite) addBadge('badge-favorite', '♥', 'Favorite');
+                if (file.rating) addBadge('badge-rating', '★'.repeat(file.rating), file.rating + ' stars');
+                (file.tags || []).forEach((tag) => addBadge('badge-tag', tag));
+                const container = tile.querySelector('.tile-badges');
+                container.replaceChildren(...badges);
+                container.hidden = badges.length === 0;
+              });
+            };
+
+            const saveAnnotations = async (changes) => {
+              const file = annotatedFile;
+              if (!file || !annotationsEditable) return;
+              const response = await fetch(basePath + '/api/v1/annotations/' + file.file.split('/').map(encodeURIComponent).join('/'), {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(changes),
+              });
+              const result = await response.json().catch(() => null);
+              if (!response.ok) {
+                window.alert(result ? result.error.message : 'Not saved (' + response.status + ')');
+                return;
+              }
+              file.favorite = result.item.favorite;
+              file.rating = result.item.rating;
+              file.tags = result.item.tags;
+              file.embeddedTags = result.item.embeddedTags;
+              if (annotatedFile === file) renderAnnotations(file);
+              updateTileBadges(file);
+            };
+
+            if (annotationsEditable) {
+              favoriteToggle.addEventListener('click', () => {
+                saveAnnotations({ favorite: !annotatedFile.favorite });
+                favoriteToggle.blur(); // Give the arrow keys back to the viewer
+              });
+              ratingButtons.forEach((button) => {
+                button.addEventListener('click', () => {
+                  const rating = Number(button.dataset.rating);
+                  saveAnnotations({ rating: annotatedFile.rating === rating ? null : rating });
+                  button.blur();
+                });
+              });
+              tagForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                const tag = tagInput.value.trim();
+                tagInput.value = '';
+                tagInput.blur();
+                if (tag) saveAnnotations({ tags: (annotatedFile.tags || []).concat([tag]) });
+              });
+            }
+
+            // Keyboard controls while the modal is open
+            document.addEventListener('keydown', (e) => {
+                const focused = e.target instanceof Element ? e.target : document.body;
+                if (modal.style.display !== 'block' || focused.matches('select, input')) return;
+                if (e.key === 'Escape') {
+                    closeModal();
+                } else if (e.key === 'ArrowRight') {
+                    showNext();
+                } else if (e.key === 'ArrowLeft') {
+                    showPrev();
+                } else if (e.key === ' ' && !focused.matches('button, video')) { // Focused buttons and videos handle Space themselves
+                    e.preventDefault();
+                    toggleSlideshow();
+                } else if (e.key === 'f' || e.key === 'F') {
+                    toggleFullscreen();
+                } else if (e.key === 'i' || e.key === 'I') {
+                    toggleInfo();
+                } else if (annotationsEditable && ['0', '1', '2', '3', '4', '5'].includes(e.key)) {
+                    saveAnnotations({ rating: Number(e.key) || null }); // 0 clears the rating
+                }
+            });
+
+            // Swipe left or right on touch screens to step through the modal
+            let touchStart = null;
+            modal.addEventListener('touchstart', (e) => {
+                touchStart = e.touches.length === 1 ? { x: e.touches[0].clientX, y: e.touches[0].clientY } : null;
+            }, { passive: true });
+            modal.addEventListener('touchend', (e) => {
+                if (!touchStart) return;
+                const dx = e.changedTouches[0].clientX - touchStart.x;
+                const dy = e.changedTouches[0].clientY - touchStart.y;
+                touchStart = null;
+                if (Math.abs(dx) > 50 && Math.abs(dx) > Math.abs(dy)) {
+                    if (dx < 0) {
+                        showNext();
+                    } else {
+                        showPrev();
+                    }
+                }
+            });
+
+            // Open the item named in the URL fragment (#item=<path>), e.g. after a reload or from a shared link
+            const openItemFromHash = async () => {
+                const match = /^#item=(.+)$/.exec(window.location.hash);
+                if (!match) return;
+                try {
+                    const index = await locateMediaFile(decodeURIComponent(match[1]));
+                    if (index >= 0) showModal(index);
+                } catch (err) {
+                    console.error(err);
+                }
+            };
+            window.addEventListener('hashchange', openItemFromHash);
+            openItemFromHash();
+
+            // Infinite scroll: load the next page of tiles when the "Load more" link comes into view
+            let loadMoreLink = document.querySelector('.load-more');
+            let loadingMore = false;
+            // Grid pages shown so far, so a live update brings back as many tiles as there were
+            let loadedPages = loadMoreLink ? Number(loadMoreLink.dataset.nextPage) - 1 : Number(new URL(window.location.href).searchParams.get('page')) || 1;
+
+            const loadMoreTiles = async () => {
+                if (!loadMoreLink || loadingMore) return;
+                loadingMore = true;
+                try {
+                    const url = new URL(loadMoreLink.href);
+                    url.searchParams.set('partial', '1');
+                    const response = await fetch(url);
+                    if (!response.ok) throw new Error('Failed to load more items (' + response.status + ')');
+                    const data = await response.json();
+                    loadMoreLink.parentElement.insertAdjacentHTML('beforebegin', data.html);
+                    loadedPages++;
+                    if (data.nextPage) {
+                        url.searchParams.delete('partial');
+                        url.searchParams.set('page', data.nextPage);
+                        loadMoreLink.href = url.pathname + url.search;
+                        loadMoreLink.dataset.nextPage = data.nextPage;
+                    } else {
+                        loadMoreObserver.disconnect();
+                        loadMoreLink.parentElement.remove();
+                    }
+                } catch (err) {
+                    console.error(err);
+                    return; // Leave the link in place so the user can retry
+                } finally {
+                    loadingMore = false;
+                }
+                // Still in view (short pages or a tall window): keep going
+                if (loadMoreLink.isConnected && loadMoreLink.getBoundingClientRect().top < window.innerHeight + 800) {
+                    loadMoreTiles();
+                }
+            };
+
+            const loadMoreObserver = new IntersectionObserver((entries) => {
+                if (entries.some((entry) => entry.isIntersecting)) loadMoreTiles();
+            }, { rootMargin: '800px' });
+
+            const watchLoadMore = () => {
+                if (!loadMoreLink) return;
+                loadMoreLink.addEventListener('click', (e) => {
+                    e.preventDefault();
+                    loadMoreTiles();
+                });
+                loadMoreObserver.observe(loadMoreLink);
+            };
+            watchLoadMore();
+
+            // Live updates: the server says which albums changed (or null for "maybe all of them"), and the grid is
+            // reloaded in place when this page shows any of their files. Not while the modal is open or tiles are
+            // being selected, as that would pull the tiles from under the user; it happens when they are done.
+            const liveUpdates = ${serializeForScript({
+              url: liveUpdatesUrl,
+              // Album pages only show their own files and sub-albums; other views can show files from anywhere
+              album: viewType === "folder" ? currentFolder.split(path.sep).join("/") : viewType === "main" ? "" : null,
+            })};
+            let gridOutdated = false;
+            let refreshing = false;
+
+            const concernsThisPage = (albums) =>
+                albums === null || liveUpdates.album === null || liveUpdates.album === '' ||
+                albums.some((album) => album === liveUpdates.album || album.startsWith(liveUpdates.album + '/'));
+
+            const refreshGrid = async () => {
+                if (modal.style.display === 'block' || selecting || refreshing) {
+                    gridOutdated = true;
+                    return;
+                }
+                gridOutdated = false;
+                refreshing = true;
+                try {
+                    const url = new URL(window.location.href);
+                    url.hash = '';
+                    url.searchParams.set('partial', '1');
+                    url.searchParams.set('refresh', '1');
+                    url.searchParams.set('page', loadedPages);
+                    const response = await fetch(url);
+                    if (!response.ok) throw new Error('Failed to refresh the grid (' + response.status + ')');
+                    const data = await response.json();
+                    loadMoreObserver.disconnect();
+                    document.querySelectorAll('body > .media-container, body > .group-heading, body > .load-more-wrapper').forEach((element) => element.remove());
+                    selectionBar.insertAdjacentHTML('beforebegin', data.html);
+                    // The modal's list has moved too: fetch it again as it is needed
+                    mediaSource.total = data.total;
+                    mediaSource.pages = {};
+                    Object.keys(pageRequests).forEach((page) => delete pageRequests[page]);
+                    loadMoreLink = document.querySelector('.load-more');
+                    watchLoadMore();
+                } catch (err) {
+                    console.error(err);
+                } finally {
+                    refreshing = false;
+                }
+                if (gridOutdated) refreshGrid();
+            };
+
+            if (liveUpdates.url && window.EventSource) {
+                const events = new EventSource(liveUpdates.url);
+                events.addEventListener('change', (e) => {
+                    if (concernsThisPage(JSON.parse(e.data).albums)) refreshGrid();
+                });
+            }
+
+            // Share button (logged-in users, album pages): asks how long the link should work, then shows it to copy
+            const shareButton = document.getElementById('share-album');
+            if (shareButton) {
+                shareButton.addEventListener('click', async () => {
+                    const days = window.prompt('Anyone with the link will be able to see this album. For how many days?', '7');
+                    if (days === null) return;
+                    const response = await fetch('/auth/share', {
+                        method: 'POST',
+                        headers: { 'Content-Type': 'application/json' },
+                        body: JSON.stringify({ album: shareButton.dataset.album, days: Number(days) }),
+                    });
+                    const result = await response.json();
+                    if (!response.ok) {
+                        window.alert(result.error);
+                        return;
+                    }
+                    window.prompt('Share link, valid until ' + new Date(result.expiresAt).toLocaleString() + ':', window.location.origin + result.url);
+                });
+            }
+
+            // Upload (albums the visitor may add to): pick files with the button or drop them anywhere on the page.
+            // They go up in one request; afterwards the page reloads to show them and lists anything refused.
+            const uploadButton = document.getElementById('upload-start');
+            const uploadInput = document.getElementById('upload-input');
+            const uploadStatus = document.getElementById('upload-status');
+
+            const uploadFiles = (files) => {
+                if (files.length === 0 || uploadButton.disabled) return;
+                const formData = new FormData();
+                [...files].forEach((file) => formData.append('files', file));
+                const request = new XMLHttpRequest(); // Unlike fetch, reports upload progress
+                request.open('POST', uploadButton.dataset.uploadUrl);
+                request.responseType = 'json';
+                request.upload.addEventListener('progress', (e) => {
+                    if (e.lengthComputable) uploadStatus.textContent = 'Uploading ' + Math.round((e.loaded / e.total) * 100) + '%';
+                });
+                request.addEventListener('load', () => {
+                    uploadButton.disabled = false;
+                    const result = request.response || {};
+                    if (!result.uploaded) {
+                        uploadStatus.textContent = result.error || 'Upload failed.';
+                        return;
+                    }
+                    uploadStatus.textContent = '';
+                    if (result.rejected.length > 0) {
+                        window.alert('Not uploaded: ' + result.rejected.map((item) => (item.name ? item.name + ' (' + item.error + ')' : item.error)).join(', '));
+                    }
+                    if (result.uploaded.length > 0) window.location.reload();
+                });
+                request.addEventListener('error', () => {
+                    uploadButton.disabled = false;
+                    uploadStatus.textContent = 'Upload failed.';
+                });
+                uploadButton.disabled = true;
+                uploadStatus.textContent = 'Uploading';
+                request.send(formData);
+            };
+
+            if (uploadButton) {
+                uploadButton.addEventListener('click', () => uploadInput.click());
+                uploadInput.addEventListener('change', () => {
+                    uploadFiles(uploadInput.files);
+                    uploadInput.value = '';
+                });
+                document.addEventListener('dragover', (e) => {
+                    if (!e.dataTransfer.types.includes('Files')) return;
+                    e.preventDefault(); // Allows the drop
+                    body.classList.add('drag-over');
+                });
+                document.addEventListener('dragleave', (e) => {
+                    if (!e.relatedTarget) body.classList.remove('drag-over'); // Left the window
+                });
+                document.addEventListener('drop', (e) => {
+                    body.classList.remove('drag-over');
+                    if (e.dataTransfer.files.length === 0) return;
+                    e.preventDefault();
+                    uploadFiles(e.dataTransfer.files);
+                });
+            }
+
+            // Album management (logged-in users): the Manage menu, the selection bar's actions and the trash page.
+            // Every action is a request to the JSON API; if it fails, its error message is shown.
+            const manageRequest = async (method, action, body) => {
+                const response = await fetch(basePath + '/api/v1/manage/' + action, {
+                    method: method,
+                    headers: { 'Content-Type': 'application/json' },
+                    body: body ? JSON.stringify(body) : undefined,
+                });
+                const result = await response.json();
+                if (result.failed && result.failed.length > 0) {
+                    window.alert('Not done: ' + result.failed.map((item) => item.path + ' (' + item.error + ')').join(', '));
+                } else if (!response.ok) {
+                    window.alert(result.error.message);
+                    return null;
+                }
+                return result;
+            };
+
+            // Album paths are typed as "2024/summer"; stray slashes are ignored
+            const askForAlbum = (question, suggestion) => {
+                const answer = window.prompt(question + ' (a path like 2024/summer; leave empty for the top level)', suggestion);
+                return answer === null ? null : answer.split('/').filter(Boolean).join('/');
+            };
+
+            const manageMenu = document.getElementById('manage-menu');
+            const managedAlbum = manageMenu ? manageMenu.dataset.album : '';
+            const managedParent = managedAlbum.split('/').slice(0, -1).join('/');
+            const manageActions = {
+                'new-album': async () => {
+                    const name = window.prompt('Name of the new album:');
+                    if (!name) return;
+                    const result = await manageRequest('POST', 'albums', { parent: managedAlbum, name: name });
+                    if (result) window.location.href = result.album.url;
+                },
+                'rename-album': async () => {
+                    const name = window.prompt('New name for this album:', managedAlbum.split('/').pop());
+                    if (!name) return;
+                    const result = await manageRequest('POST', 'rename', { path: managedAlbum, name: name });
+                    if (result) window.location.href = result.item.url;
+                },
+                'move-album': async () => {
+                    const to = askForAlbum('Move this album into which album?', managedParent);
+                    if (to === null) return;
+                    const result = await manageRequest('POST', 'move', { paths: [managedAlbum], to: to });
+                    if (result && result.moved.length > 0) window.location.href = result.moved[0].url;
+                },
+                'delete-album': async () => {
+                    if (!window.confirm('Move this album and everything in it to the trash?')) return;
+                    const result = await manageRequest('POST', 'trash', { paths: [managedAlbum] });
+                    if (result && result.trashed.length > 0) {
+                        window.location.href = basePath + '/' + managedParent.split('/').filter(Boolean).map(encodeURIComponent).join('/');
+                    }
+                },
+            };
+            document.querySelectorAll('[data-manage]').forEach((button) => {
+                button.addEventListener('click', () => {
+                    manageMenu.open = false;
+                    manageActions[button.dataset.manage]();
+                });
+            });
+
+            const selectionActions = {
+                rename: async () => {
+                    const [file] = selectedFiles;
+                    const name = window.prompt('New name:', file.split('/').pop());
+                    if (!name) return;
+                    if (await manageRequest('POST', 'rename', { path: file, name: name })) window.location.reload();
+                },
+                cover: async () => {
+                    const [file] = selectedFiles;
+                    const album = file.split('/').slice(0, -1).join('/');
+                    if (await manageRequest('POST', 'cover', { album: album, file: file })) window.location.reload();
+                },
+                move: async () => {
+                    const to = askForAlbum('Move the selected items into which album?', managedAlbum);
+                    if (to === null) return;
+                    const result = await manageRequest('POST', 'move', { paths: [...selectedFiles], to: to });
+                    if (result && result.moved.length > 0) window.location.reload();
+                },
+                trash: async () => {
+                    if (!window.confirm('Move the ' + selectedFiles.size + ' selected item(s) to the trash?')) return;
+                    const result = await manageRequest('POST', 'trash', { paths: [...selectedFiles] });
+                    if (result && result.trashed.length > 0) window.location.reload();
+                },
+            };
+            document.querySelectorAll('[data-selection-action]').forEach((button) => {
+                button.addEventListener('click', () => selectionActions[button.dataset.selectionAction]());
+            });
+
+            // Trash page: put items back, or delete them for good
+            document.querySelectorAll('[data-trash-restore]').forEach((button) => {
+                button.addEventListener('click', async () => {
+                    const result = await manageRequest('POST', 'trash/' + button.dataset.trashRestore + '/restore');
+                    if (result) window.location.reload();
+                });
+            });
+            document.querySelectorAll('[data-trash-purge]').forEach((button) => {
+                button.addEventListener('click', async () => {
+                    if (!window.confirm('Delete this for good? It cannot be restored afterwards.')) return;
+                    if (await manageRequest('DELETE', 'trash/' + button.dataset.trashPurge)) window.location.reload();
+                });
+            });
+
+            // Duplicates page: keep the chosen file of a group and move the others to the trash
+            document.querySelectorAll('[data-duplicates-keep]').forEach((button) => {
+                button.addEventListener('click', async () => {
+                    const choices = [...button.closest('.duplicate-group').querySelectorAll('input[type="radio"]')];
+                    const others = choices.filter((choice) => !choice.checked).map((choice) => choice.value);
+                    if (!window.confirm('Move ' + others.length + ' other cop' + (others.length === 1 ? 'y' : 'ies') + ' to the trash?')) return;
+                    const result = await manageRequest('POST', 'trash', { paths: others });
+                    if (result && result.trashed.length > 0) window.location.reload();
+                });
+            });
+
+            // Sort selector: reload the view in the chosen order (starting again from the first page)
+            const sortSelect = document.getElementById('sort-select');
+            if (sortSelect) {
+                sortSelect.addEventListener('change', () => {
+                    const [sort, order] = sortSelect.value.split(':');
+                    const params = new URLSearchParams(window.location.search);
+                    params.set('sort', sort);
+                    params.set('order', order);
+                    params.delete('page');
+                    window.location.search = params.toString();
+                });
+            }
+
+            // Theme management
+            const applyTheme = (theme) => {
+                if (theme === 'dark') {
+                    body.classList.add('dark-mode');
+                    localStorage.setItem('theme', 'dark');
+                } else if (theme === 'light') {
+                    body.classList.remove('dark-mode');
+                    localStorage.setItem('theme', 'light');
+                } else { // 'system'
+                    localStorage.removeItem('theme'); // Clear user preference
+                    const prefersDark = window.matchMedia('(prefers-color-scheme: dark)').matches;
+                    if (prefersDark) {
+                        body.classList.add('dark-mode');
+                    } else {
+                        body.classList.remove('dark-mode');
+                    }
+                }
+            };
+
+            const setInitialTheme = () => {
+                const savedTheme = localStorage.getItem('theme');
+                if (savedTheme) {
+                    themeSelect.value = savedTheme;
+                    applyTheme(savedTheme);
+                } else {
+                    themeSelect.value = 'system';
+                    applyTheme('system'); // Apply system preference
+                }
+            };
+
+            // Event listener for the dropdown menu
+            themeSelect.addEventListener('change', (e) => {
+                const selectedTheme = e.target.value;
+                applyTheme(selectedTheme);
+            });
+
+            // Set the initial theme on page load
+            setInitialTheme();
+          </script>
+      </body>
+      </html>
+`;
+
+module.exports = {
+  renderAlbumHeader,
+  renderFolderCard,
+  renderFileCard,
+  albumTrail,
+  renderBreadcrumbs,
+  renderHtmlPage,
+};
@@ -0,0 +1,151 @@
+const path = require("path");
+const { isVideo } = require("./mediaTypes");
+const { capturedAt } = require("./gallery");
+
+// Library-wide search shared by the /search page and the JSON API.
+//
+//   q       words that must all appear in the caption, EXIF description/title or file name
+//   from    earliest capture date, YYYY-MM-DD (EXIF date, or mtime when there is none)
+//   to      latest capture date, YYYY-MM-DD, inclusive
+//   type    "image" or "video"
+//   ext     file extension(s), comma-separated, with or without the dot
+//   camera  EXIF camera Model, exact match
+//   tag     a tag, set in the gallery or embedded in the file (any case)
+//   rating  lowest star rating, 1 to 5
+//   favorite  "1" for favorites only
+
+const SEARCH_PARAMETERS = ["q", "from", "to", "type", "ext", "camera", "tag", "rating", "favorite"];
+const MEDIA_TYPES = ["image", "video"];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Midnight UTC at the start of a YYYY-MM-DD date, or NaN for anything else, including days the month
+// doesn't have (Date.parse would roll 2024-02-31 over into March)
+const parseDate = (value) => {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) return NaN;
+  const time = Date.parse(`${value}T00:00:00Z`);
+  return !Number.isNaN(time) && new Date(time).toISOString().slice(0, 10) === value ? time : NaN;
+};
+
+// Read search criteria from a query string. Returns the criteria that were understood and the names of
+// parameters that were given but invalid, so callers can decide whether to reject or ignore them.
+const parseSearchCriteria = (query) => {
+  const criteria = {};
+  const invalid = [];
+  const text = (name) => (typeof query[name] === "string" ? query[name].trim() : "");
+
+  if (text("q")) {
+    criteria.q = text("q");
+  }
+  for (const name of ["from", "to"]) {
+    if (!text(name)) continue;
+    if (Number.isNaN(parseDate(text(name)))) {
+      invalid.push(name);
+    } else {
+      criteria[name] = text(name);
+    }
+  }
+  if (text("type")) {
+    if (MEDIA_TYPES.includes(text("type"))) {
+      criteria.type = text("type");
+    } else {
+      invalid.push("type");
+    }
+  }
+  if (text("ext")) {
+    criteria.ext = text("ext")
+      .split(",")
+      .map((ext) => ext.trim().toLowerCase())
+      .filter((ext) => ext !== "")
+      .map((ext) => (ext.startsWith(".") ? ext : `.${ext}`))
+      .join(",");
+  }
+  if (text("camera")) {
+    criteria.camera = text("camera");
+  }
+  if (text("tag")) {
+    criteria.tag = text("tag");
+  }
+  if (text("rating")) {
+    if (/^[1-5]$/.test(text("rating"))) {
+      criteria.rating = text("rating");
+    } else {
+      invalid.push("rating");
+    }
+  }
+  if (text("favorite")) {
+    if (text("favorite") === "1") {
+      criteria.favorite = "1";
+    } else {
+      invalid.push("favorite");
+    }
+  }
+  return { criteria, invalid };
+};
+
+// The criteria as a query string (without "?"), e.g. for the API URL the modal pages through
+const searchQueryString = (criteria) =>
+  new URLSearchParams(
+    SEARCH_PARAMETERS.filter((name) => criteria[name]).map((name) => [name, criteria[name]]),
+  ).toString();
+
+const hasSearchCriteria = (criteria) => SEARCH_PARAMETERS.some((name) => criteria[name]);
+
+// Filter index entries down to those matching every given criterion
+const searchMedia = (entries, criteria) => {
+  const terms = criteria.q ? criteria.q.toLowerCase().split(/\s+/) : [];
+  const from = criteria.from ? parseDate(criteria.from) : null;
+  const to = criteria.to ? parseDate(criteria.to) + DAY_MS : null;
+  const extensions = criteria.ext ? criteria.ext.split(",") : null;
+  const tag = criteria.tag ? criteria.tag.toLowerCase() : null;
+
+  return entries.filter((entry) => {
+    if (criteria.type && (criteria.type === "video") !== isVideo(entry)) return false;
+    if (extensions && !extensions.includes(entry.ext)) return false;
+    if (criteria.camera && (!entry.exif || entry.exif.Model !== criteria.camera)) return false;
+    if (criteria.favorite && !entry.favorite) return false;
+    if (criteria.rating && !(entry.rating >= Number(criteria.rating))) return false;
+    if (tag && !entry.tags.some((entryTag) => entryTag.toLowerCase() === tag)) return false;
+    if (from !== null || to !== null) {
+      const takenAt = capturedAt(entry);
+      if (from !== null && takenAt < from) return false;
+      if (to !== null && takenAt >= to) return false;
+    }
+    if (terms.length > 0) {
+      const exifData = entry.exif || {};
+      const haystack = [entry.caption, exifData.ImageDescription, exifData.Title, path.basename(entry.file)]
+        .filter(Boolean)
+        .join("\n")
+        .toLowerCase();
+      if (!terms.every((term) => haystack.includes(term))) return false;
+    }
+    return true;
+  });
+};
+
+// The camera models, extensions and tags present in the library, for the filter drop-downs
+const searchFacets = (entries) => {
+  const cameras = new Set();
+  const extensions = new Set();
+  const tags = new Map(); // lower case -> first spelling seen
+  for (const entry of entries) {
+    extensions.add(entry.ext);
+    if (entry.exif && entry.exif.Model) cameras.add(entry.exif.Model);
+    entry.tags.forEach((tag) => {
+      if (!tags.has(tag.toLowerCase())) tags.set(tag.toLowerCase(), tag);
+    });
+  }
+  return {
+    cameras: [...cameras].sort((a, b) => a.localeCompare(b)),
+    extensions: [...extensions].sort(),
+    tags: [...tags.values()].sort((a, b) => a.localeCompare(b)),
+  };
+};
+
+module.exports = {
+  parseSearchCriteria,
+  searchQueryString,
+  hasSearchCriteria,
+  searchMedia,
+  searchFacets,
+  MEDIA_TYPES,
+};
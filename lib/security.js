@@ -0,0 +1,60 @@
+const path = require("path");
+const crypto = require("crypto");
+
+// Output escaping and response hardening for the HTML pages. File names, folder names, EXIF strings
+// and sidecar text all come from the library, so they are treated as untrusted wherever they end up
+// in a page: HTML text and attributes go through escapeHtml (and text in XML documents through escapeXml),
+// URLs are built with toUrlPath (which percent-encodes every segment), and data handed to the inline
+// script goes through serializeForScript.
+
+// Escape text for use in HTML text or a quoted attribute value
+const escapeHtml = (text) =>
+  String(text).replace(
+    /[&<>"']/g,
+    (char) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[char],
+  );
+
+// Escape text for use in XML (Atom feeds, KML). Control characters other than tab and line breaks are not
+// allowed anywhere in XML 1.0, and captions from EXIF or sidecars may hold some (e.g. NUL padding); one would
+// make the whole document unreadable, so they are dropped. The rest is escaped as for HTML.
+const escapeXml = (text) => escapeHtml(String(text).replace(/[\x00-\x08\x0B\x0C\x0E-\x1F\uFFFE\uFFFF]/g, ""));
+
+// JSON that is safe to place inside an inline <script>: "</script>", "<!--" and the line separators
+// JavaScript doesn't allow in string literals can't appear in the output
+const serializeForScript = (value) =>
+  JSON.stringify(value).replace(
+    /[<>&\u2028\u2029]/g,
+    (char) => `\\u${char.charCodeAt(0).toString(16).padStart(4, "0")}`,
+  );
+
+// Whether `target` is `directory` itself or somewhere below it (both absolute, symlinks already resolved)
+const isInsideDirectory = (directory, target) => {
+  const relative = path.relative(directory, target);
+  return relative === "" || (relative.split(path.sep)[0] !== ".." && !path.isAbsolute(relative));
+};
+
+// Middleware adding security headers to every response. Pages may only run the inline script and
+// style carrying this response's nonce (res.locals.cspNonce), so injected markup can't execute script.
+const securityHeaders = () => (req, res, next) => {
+  const nonce = crypto.randomBytes(16).toString("base64");
+  res.locals.cspNonce = nonce;
+  res.set({
+    "Content-Security-Policy": [
+      "default-src 'self'",
+      `script-src 'nonce-${nonce}'`,
+      `style-src 'self' 'nonce-${nonce}'`,
+      "img-src 'self' data:",
+      "media-src 'self'",
+      "object-src 'none'",
+      "base-uri 'none'",
+      "form-action 'self'",
+      "frame-ancestors 'none'",
+    ].join("; "),
+    // Never let a browser guess a different type than the one sent (e.g. render a file as HTML)
+    "X-Content-Type-Options": "nosniff",
+    "Referrer-Policy": "same-origin",
+  });
+  next();
+};
+
+module.exports = { escapeHtml, escapeXml, serializeForScript, isInsideDirectory, securityHeaders };
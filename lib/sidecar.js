@@ -0,0 +1,170 @@
+const path = require("path");
+const fs = require("fs");
+const YAML = require("yaml");
+
+// Optional per-album settings file, placed in the album's folder as album.json or album.yaml:
+//
+//   title: Summer at the beach          # shown instead of the folder name
+//   description: Two weeks in Brittany  # shown under the album title
+//   cover: sunset.jpg                   # file used as the album's cover
+//   order: [arrival.jpg, sunset.jpg]    # explicit item order; unlisted files follow by name
+//   captions:                           # per-file captions, for videos too
+//     arrival.jpg: Day one
+//   hidden: [blurry.jpg, drafts]        # files or sub-folders left out of the gallery
+//
+// A sidecar that can't be parsed or doesn't match this shape is ignored as a whole, and the
+// problem is reported instead of half-applying it.
+//
+// The gallery writes sidecars itself when albums are managed from the browser (choosing a cover,
+// renaming or moving files they mention); YAML files keep their comments and layout when it does.
+
+// Checked in this order; the first one present wins
+const SIDECAR_FILE_NAMES = ["album.json", "album.yaml", "album.yml"];
+
+const isSidecarFile = (fileName) => SIDECAR_FILE_NAMES.includes(fileName);
+
+const isStringList = (value) => Array.isArray(value) && value.every((item) => typeof item === "string");
+
+// Check parsed sidecar data; returns a list of problems (empty when valid)
+const validateSidecar = (data) => {
+  if (data === null || typeof data !== "object" || Array.isArray(data)) {
+    return ["it must contain a mapping of settings (title, description, cover, order, captions, hidden)"];
+  }
+  const problems = [];
+  for (const key of Object.keys(data)) {
+    if (!["title", "description", "cover", "order", "captions", "hidden"].includes(key)) {
+      problems.push(`unknown setting "${key}"`);
+    }
+  }
+  for (const key of ["title", "description", "cover"]) {
+    if (data[key] !== undefined && typeof data[key] !== "string") {
+      problems.push(`"${key}" must be text`);
+    }
+  }
+  for (const key of ["order", "hidden"]) {
+    if (data[key] !== undefined && !isStringList(data[key])) {
+      problems.push(`"${key}" must be a list of file names`);
+    }
+  }
+  if (data.captions !== undefined) {
+    const captions = data.captions;
+    if (captions === null || typeof captions !== "object" || Array.isArray(captions)) {
+      problems.push(`"captions" must map file names to captions`);
+    } else {
+      for (const [fileName, caption] of Object.entries(captions)) {
+        if (typeof caption !== "string") problems.push(`caption for "${fileName}" must be text`);
+      }
+    }
+  }
+  return problems;
+};
+
+// Fill in defaults so the rest of the gallery never has to check for missing settings
+const normalizeSidecar = (data) => ({
+  title: data.title ? data.title.trim() : null,
+  description: data.description ? data.description.trim() : null,
+  cover: data.cover || null,
+  order: data.order || [],
+  captions: data.captions || {},
+  hidden: data.hidden || [],
+});
+
+// Read the sidecar of a folder. Resolves to { sidecar, error }: both null when the folder has none,
+// `error` set (and `sidecar` null) when the file is unreadable or invalid.
+const readSidecar = async (folderFullPath) => {
+  for (const fileName of SIDECAR_FILE_NAMES) {
+    const filePath = path.join(folderFullPath, fileName);
+    let text;
+    try {
+      text = await fs.promises.readFile(filePath, "utf8");
+    } catch (err) {
+      if (err.code === "ENOENT" || err.code === "ENOTDIR") continue;
+      return { sidecar: null, error: `${fileName} could not be read: ${err.message}` };
+    }
+
+    let data;
+    try {
+      data = fileName.endsWith(".json") ? JSON.parse(text) : YAML.parse(text);
+    } catch (err) {
+      return {
+        sidecar: null,
+        error: `${fileName} is not valid ${fileName.endsWith(".json") ? "JSON" : "YAML"}: ${err.message.split("\n")[0]}`,
+      };
+    }
+    const problems = validateSidecar(data);
+    if (problems.length > 0) {
+      return { sidecar: null, error: `${fileName} is invalid: ${problems.join("; ")}` };
+    }
+    return { sidecar: normalizeSidecar(data), error: null };
+  }
+  return { sidecar: null, error: null };
+};
+
+// Write a file in one step, so the media index never reads a half-written sidecar
+const writeFileAtomic = async (filePath, text) => {
+  // A dotfile, which the media index ignores
+  const temporaryPath = path.join(path.dirname(filePath), `.${path.basename(filePath)}.${process.pid}.tmp`);
+  await fs.promises.writeFile(temporaryPath, text);
+  await fs.promises.rename(temporaryPath, filePath);
+};
+
+// Change a folder's sidecar: `edit(settings)` gets the settings as written in the file ({} when there is
+// none) and returns the new ones. A folder without a sidecar gets an album.yaml. Throws without writing
+// anything if the current sidecar can't be read or is invalid, so a broken file is never overwritten.
+// Resolves to whether the file changed.
+const editSidecar = async (folderFullPath, edit) => {
+  for (const fileName of SIDECAR_FILE_NAMES) {
+    const filePath = path.join(folderFullPath, fileName);
+    let text;
+    try {
+      text = await fs.promises.readFile(filePath, "utf8");
+    } catch (err) {
+      if (err.code === "ENOENT" || err.code === "ENOTDIR") continue;
+      throw new Error(`${fileName} could not be read: ${err.message}`);
+    }
+
+    const isJson = fileName.endsWith(".json");
+    let document = null;
+    let data;
+    try {
+      if (isJson) {
+        data = JSON.parse(text);
+      } else {
+        document = YAML.parseDocument(text);
+        if (document.errors.length > 0) throw document.errors[0];
+        data = document.toJS() || {}; // An empty file
+      }
+    } catch (err) {
+      throw new Error(`${fileName} is not valid ${isJson ? "JSON" : "YAML"}: ${err.message.split("\n")[0]}`);
+    }
+    const problems = validateSidecar(data);
+    if (problems.length > 0) throw new Error(`${fileName} is invalid: ${problems.join("; ")}`);
+
+    const updated = edit({ ...data });
+    if (JSON.stringify(updated) === JSON.stringify(data)) return false;
+    if (isJson) {
+      await writeFileAtomic(filePath, JSON.stringify(updated, null, 2) + "\n");
+    } else {
+      // Only settings that changed are rewritten; everything else stays as the user wrote it
+      for (const key of Object.keys(data)) {
+        if (updated[key] === undefined) document.delete(key);
+      }
+      for (const [key, value] of Object.entries(updated)) {
+        if (JSON.stringify(value) === JSON.stringify(data[key])) continue;
+        const previous = document.get(key, true);
+        const node = document.createNode(value);
+        if (previous && previous.flow) node.flow = true; // Keep [a, b] lists on one line
+        document.set(key, node);
+      }
+      await writeFileAtomic(filePath, document.toString({ flowCollectionPadding: false }));
+    }
+    return true;
+  }
+
+  const created = edit({});
+  if (Object.keys(created).length === 0) return false;
+  await writeFileAtomic(path.join(folderFullPath, "album.yaml"), YAML.stringify(created));
+  return true;
+};
+
+module.exports = { readSidecar, editSidecar, isSidecarFile, SIDECAR_FILE_NAMES };
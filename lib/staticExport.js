@@ -0,0 +1,282 @@
+const path = require("path");
+const fs = require("fs");
+const crypto = require("crypto");
+const { parseArgs } = require("util");
+const { loadConfig } = require("./config");
+const { createAuth } = require("./auth");
+const { createMediaIndex } = require("./mediaIndex");
+const { createAnnotations } = require("./annotations");
+const { mediaTypeOf } = require("./mediaTypes");
+const { createThumbnailer } = require("./thumbnails");
+const { createGallery, toUrlPath, sortMediaEntries } = require("./gallery");
+const {
+  renderAlbumHeader,
+  renderFolderCard,
+  renderFileCard,
+  albumTrail,
+  renderBreadcrumbs,
+  renderHtmlPage,
+} = require("./pages");
+
+// Static export of a library, for publishing it on plain static hosting without running the server:
+//
+//   npm run export -- --out dist [--library /alice]
+//
+// Every album guests may see becomes <album path>/index.html, the same page the server renders, with
+// relative links so the export works from any folder, including straight from the filesystem (file://).
+// Each page carries its whole modal list inline, as there is no API to fetch it from. Originals are copied
+// next to their album's page, thumbnails and previews go under thumbs/. Favorites, ratings and tags show on
+// the tiles and in the viewer, read-only. Timeline, search, virtual albums, downloads and everything that
+// needs a login are left out.
+//
+// A manifest of what was written is kept in the output folder, so running the export again only copies
+// files that changed, only rewrites the pages of albums whose contents changed and removes what is no
+// longer in the library. Files the export didn't write are never touched.
+
+const MANIFEST_FILE = ".gallery-export.json";
+const MANIFEST_VERSION = 1;
+
+// Where a derivative (see lib/thumbnails.js) goes in the export; placeholders for files that can't be
+// resized are SVG
+const derivativePath = (entry, sizeName, canResize) =>
+  path.join("thumbs", sizeName, `${entry.file}.${canResize ? "webp" : "svg"}`);
+
+// The derivatives the pages link to for an entry, as processMediaFileForModal picks them (see lib/gallery.js)
+const derivativesFor = (entry, canResize) => {
+  if (!canResize) return ["thumb"];
+  return ["thumb", "screen", ...(mediaTypeOf(entry).native ? [] : ["full"])];
+};
+
+// Helper to render the toolbar of an exported page: only the slideshow works without a server
+const renderStaticToolbar = (hasMedia) => `
+          <div class="toolbar">
+            ${hasMedia ? '<button type="button" id="slideshow-start" class="toolbar-button">&#9654; Slideshow</button>' : ""}
+          </div>
+        `;
+
+const readManifest = async (outDir) => {
+  try {
+    const manifest = JSON.parse(await fs.promises.readFile(path.join(outDir, MANIFEST_FILE), "utf8"));
+    if (manifest.version === MANIFEST_VERSION) return manifest.files;
+  } catch (err) {
+    if (err.code !== "ENOENT") console.error("Ignoring unreadable export manifest:", err.message);
+  }
+  return {};
+};
+
+const exists = (filePath) =>
+  fs.promises.access(filePath).then(
+    () => true,
+    () => false,
+  );
+
+// Export what `index` (the part of the library guests may see) shows into `outDir`.
+// Resolves to counts of the albums and files in the export and of the files written and removed this time.
+const exportLibrary = async ({ library, index, thumbnailer: libraryThumbnailer, outDir }) => {
+  // Files that turn out not to convert (e.g. damaged ones) are exported like those that can't be resized at
+  // all: a placeholder tile, and the original to download. Finding them means making their derivatives before
+  // any page links to them.
+  const unconvertible = new Set();
+  for (const entry of index.getAllFiles()) {
+    if (!libraryThumbnailer.canResize(entry)) continue;
+    try {
+      for (const sizeName of derivativesFor(entry, true)) await libraryThumbnailer.getThumbnail(entry, sizeName);
+    } catch (err) {
+      console.error(`Can't convert ${entry.file}, exporting a placeholder instead:`, err.message);
+      unconvertible.add(entry.file);
+    }
+  }
+  const thumbnailer = {
+    ...libraryThumbnailer,
+    canResize: (entry) => libraryThumbnailer.canResize(entry) && !unconvertible.has(entry.file),
+  };
+
+  const previous = await readManifest(outDir);
+  const current = {};
+  const stats = { albums: 0, files: 0, written: 0, removed: 0 };
+
+  // Write a file of the export unless the same version of it (`signature`) is already there
+  const writeOutput = async (relativePath, signature, write) => {
+    current[relativePath] = signature;
+    const outputPath = path.join(outDir, relativePath);
+    if (previous[relativePath] === signature && (await exists(outputPath))) return;
+    await fs.promises.mkdir(path.dirname(outputPath), { recursive: true });
+    await write(outputPath);
+    stats.written++;
+  };
+
+  const rootFolder = index.getFolder("");
+  if (!rootFolder) throw new Error("The top of the library isn't public, so there is nothing to export.");
+
+  // Every file any page links to, by path
+  const linkedEntries = new Map();
+
+  const exportAlbum = async (folderRelativePath) => {
+    const folder = index.getFolder(folderRelativePath);
+    const isTop = folderRelativePath === "";
+    // Links are relative to the album's page, e.g. "../../" from 2024/summer/index.html
+    const up = "../".repeat(folderRelativePath.split(path.sep).filter((segment) => segment !== "").length);
+    const urlPath = (relativePath) => toUrlPath(relativePath).slice(1);
+    const albumUrl = (albumPath) => `${up}${albumPath ? `${urlPath(albumPath)}/` : ""}index.html`;
+    const { buildFolderItem, processMediaFileForModal } = createGallery({
+      mediaIndex: index,
+      thumbnailer,
+      albumUrl,
+      mediaUrl: (entry) => up + urlPath(entry.file),
+      thumbnailUrl: (entry, sizeName) => up + urlPath(derivativePath(entry, sizeName, thumbnailer.canResize(entry))),
+    });
+
+    // The order the server shows by default: the album's own order if it sets one, otherwise by name.
+    // The top of the library steps through every file in the gallery, as on the server.
+    const gridEntries = sortMediaEntries(folder.files, folder.album.hasOrder && !isTop ? "album" : "name", "asc");
+    const modalEntries = isTop ? sortMediaEntries(index.getAllFiles(), "name", "asc") : gridEntries;
+    modalEntries.forEach((entry) => linkedEntries.set(entry.file, entry));
+
+    const modalFiles = modalEntries.map(processMediaFileForModal);
+    const modalIndexes = new Map(modalEntries.map((entry, position) => [entry.file, position]));
+    const fileListHtml =
+      folder.subfolders
+        .map((subfolder) => renderFolderCard(buildFolderItem(path.join(folderRelativePath, subfolder))))
+        .join("") +
+      gridEntries
+        .map((entry) => renderFileCard(modalFiles[modalIndexes.get(entry.file)], modalIndexes.get(entry.file)))
+        .join("");
+    const title = isTop
+      ? library.title
+      : `${library.title} - ${albumTrail(index, folderRelativePath)
+          .map((level) => level.label)
+          .join(" / ")}`;
+    // The whole modal list as one page
+    const mediaSource = {
+      url: null,
+      total: modalFiles.length,
+      pageSize: Math.max(modalFiles.length, 1),
+      pages: { 1: modalFiles },
+    };
+    const html = renderHtmlPage(
+      title,
+      library.author,
+      fileListHtml,
+      mediaSource,
+      isTop ? "main" : "folder",
+      folderRelativePath,
+      {
+        theme: library.theme,
+        navigation: false,
+        toolbarHtml:
+          (isTop ? "" : renderAlbumHeader(folder.album, folder.sidecarError)) +
+          renderStaticToolbar(modalFiles.length > 0),
+        breadcrumbsHtml: isTop ? "" : renderBreadcrumbs(index, folderRelativePath, albumUrl),
+      },
+    );
+
+    // Only pages whose HTML changed are rewritten, e.g. when a file was added or a sub-album got a new cover
+    const signature = crypto.createHash("sha1").update(html).digest("hex");
+    await writeOutput(path.join(folderRelativePath, "index.html"), signature, (outputPath) =>
+      fs.promises.writeFile(outputPath, html),
+    );
+    stats.albums++;
+
+    for (const subfolder of folder.subfolders) {
+      await exportAlbum(path.join(folderRelativePath, subfolder));
+    }
+  };
+
+  await exportAlbum("");
+
+  // Originals and their derivatives, copied again only when the file changed
+  for (const entry of linkedEntries.values()) {
+    const signature = `${entry.size}:${entry.mtime}`;
+    const canResize = thumbnailer.canResize(entry);
+    const sourcePath = await index.getFilePath(entry.file);
+    if (!sourcePath) continue; // Gone, or now pointing outside the library
+    await writeOutput(entry.file, signature, (outputPath) => fs.promises.copyFile(sourcePath, outputPath));
+    for (const sizeName of derivativesFor(entry, canResize)) {
+      await writeOutput(derivativePath(entry, sizeName, canResize), signature, async (outputPath) => {
+        if (!canResize) return fs.promises.writeFile(outputPath, thumbnailer.placeholder(entry));
+        await fs.promises.copyFile(await thumbnailer.getThumbnail(entry, sizeName), outputPath);
+      });
+    }
+    stats.files++;
+  }
+
+  // Remove what earlier exports wrote that is no longer part of the gallery, and the folders that leaves empty
+  for (const relativePath of Object.keys(previous)) {
+    if (Object.hasOwn(current, relativePath)) continue;
+    await fs.promises.rm(path.join(outDir, relativePath), { force: true });
+    stats.removed++;
+    for (let folder = path.dirname(relativePath); folder !== "."; folder = path.dirname(folder)) {
+      try {
+        await fs.promises.rmdir(path.join(outDir, folder));
+      } catch (err) {
+        break; // Not empty
+      }
+    }
+  }
+
+  await fs.promises.writeFile(
+    path.join(outDir, MANIFEST_FILE),
+    JSON.stringify({ version: MANIFEST_VERSION, files: current }),
+  );
+  return stats;
+};
+
+// Command line: reads the same gallery.config.json (or GALLERY_CONFIG) and environment as the server
+const main = async () => {
+  const { values } = parseArgs({ options: { out: { type: "string" }, library: { type: "string" } } });
+  if (!values.out) throw new Error("Usage: npm run export -- --out <folder> [--library <path>]");
+
+  const baseDir = path.join(__dirname, "..");
+  const config = loadConfig({
+    configFile: path.resolve(process.env.GALLERY_CONFIG || path.join(baseDir, "gallery.config.json")),
+    baseDir,
+  });
+  const libraryPaths = config.libraries.map((library) => `${library.basePath}/`);
+  const wanted = values.library ? `${values.library.replace(/\/+$/, "")}/` : "/";
+  const library =
+    config.libraries.find((candidate) => `${candidate.basePath}/` === wanted) ||
+    (!values.library && config.libraries.length === 1 ? config.libraries[0] : null);
+  if (!library) {
+    throw new Error(`Choose a library to export with --library (one of ${libraryPaths.join(", ")})`);
+  }
+
+  // Only what a guest may see goes into the export; access rules name albums by their path on the site
+  const auth = createAuth({ configFile: config.authFile, title: config.title });
+  const sitePath = (folderRelativePath) => path.join(library.basePath.slice(1), folderRelativePath);
+  const annotations = createAnnotations({ rootDir: library.rootDir, file: library.annotationsFile });
+  const mediaIndex = createMediaIndex({
+    rootDir: library.rootDir,
+    indexFile: library.indexFile,
+    extensions: library.extensions,
+    annotationsOf: annotations.annotationsOf,
+  });
+  const thumbnailer = createThumbnailer({ rootDir: library.rootDir, cacheDir: library.thumbsDir });
+  const guest = { user: null, shares: [] };
+  const index = auth.enabled
+    ? mediaIndex.forViewer((folderRelativePath) => auth.canView(guest, sitePath(folderRelativePath)))
+    : mediaIndex;
+
+  try {
+    await Promise.all([mediaIndex.ready, annotations.ready]);
+    // A saved index is only reconciled with the disk in the background; the export must not miss anything
+    await mediaIndex.scan();
+    const outDir = path.resolve(values.out);
+    const stats = await exportLibrary({ library, index, thumbnailer, outDir });
+    console.log(
+      `Exported ${stats.albums} albums and ${stats.files} files to ${outDir} ` +
+        `(${stats.written} files written, ${stats.removed} removed)`,
+    );
+  } finally {
+    await mediaIndex.close();
+    await annotations.close();
+  }
+};
+
+if (require.main === module) {
+  main().catch((err) => {
+    console.error(err.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { exportLibrary };
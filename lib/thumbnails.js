@@ -0,0 +1,123 @@
+const path = require("path");
+const fs = require("fs");
+const crypto = require("crypto");
+const sharp = require("sharp");
+const decodeHeic = require("heic-decode");
+const { mediaTypeOf } = require("./mediaTypes");
+
+// Thumbnails for the grid and mid-size "screen" previews for the modal, so only "view original"
+// ever downloads a full-size camera file. Derivatives are written once to the cache directory,
+// keyed by path + mtime, so an edited file automatically gets a fresh one. Images browsers can't
+// display (HEIC, TIFF) also get a "full" size stand-in for the original.
+
+const THUMBNAIL_SIZES = {
+  thumb: { width: 500, height: 500, quality: 75 },
+  screen: { width: 1920, height: 1920, quality: 82 },
+  full: { width: 4096, height: 4096, quality: 90 },
+};
+// Resizing is CPU heavy; don't let a page full of new thumbnails starve the server
+const MAX_CONCURRENT_RESIZES = 2;
+
+// HEIC needs a libvips built with an HEVC decoder, which sharp's prebuilt binaries leave out for licensing
+// reasons; without one, HEIC photos are decoded by libheif compiled to WebAssembly (heic-decode) instead
+const sharpDecodesHeic = sharp.format.heif.input.fileSuffix.includes(".heic");
+
+const canDecode = (entry) => mediaTypeOf(entry).kind === "image";
+
+// A sharp pipeline for an image, the right way up
+const openImage = async (entry, filePath) => {
+  if (entry.type !== "heic" || sharpDecodesHeic) {
+    return sharp(filePath).rotate(); // Apply the EXIF orientation, since the derivative drops the EXIF tags
+  }
+  // libheif already applies the HEIF rotation and mirroring, which take the place of the EXIF orientation
+  const { width, height, data } = await decodeHeic({ buffer: await fs.promises.readFile(filePath) });
+  return sharp(Buffer.from(data.buffer, data.byteOffset, data.byteLength), { raw: { width, height, channels: 4 } });
+};
+
+// Placeholder tile for videos and images that can't be decoded by the image pipeline
+const placeholderIcons = {
+  video: `<circle cx="250" cy="170" r="60" fill="none" stroke="#f0f2f5" stroke-width="8"/>
+  <path d="M232 138 L282 170 L232 202 Z" fill="#f0f2f5"/>`,
+  image: `<rect x="180" y="115" width="140" height="110" rx="8" fill="none" stroke="#f0f2f5" stroke-width="8"/>
+  <path d="M195 210 L235 165 L260 190 L280 172 L305 210 Z" fill="#f0f2f5"/>`,
+};
+const placeholderSvg = (
+  kind,
+  type,
+) => `<svg xmlns="http://www.w3.org/2000/svg" width="500" height="375" viewBox="0 0 500 375">
+  <rect width="500" height="375" fill="#2b2b2b"/>
+  ${placeholderIcons[kind]}
+  <text x="250" y="300" font-family="sans-serif" font-size="32" fill="#c4a484" text-anchor="middle">${type.toUpperCase()}</text>
+</svg>`;
+
+const createThumbnailer = ({ rootDir, cacheDir }) => {
+  const inFlight = new Map();
+  const queue = [];
+  let running = 0;
+
+  // Run resize jobs in arrival order, at most MAX_CONCURRENT_RESIZES at once
+  const schedule = (job) =>
+    new Promise((resolve, reject) => {
+      queue.push({ job, resolve, reject });
+      runQueue();
+    });
+
+  const runQueue = () => {
+    while (running < MAX_CONCURRENT_RESIZES && queue.length > 0) {
+      const { job, resolve, reject } = queue.shift();
+      running++;
+      job()
+        .then(resolve, reject)
+        .finally(() => {
+          running--;
+          runQueue();
+        });
+    }
+  };
+
+  const cachePathFor = (entry, sizeName) => {
+    const key = crypto.createHash("sha1").update(`${entry.file}\0${entry.mtime}`).digest("hex");
+    return path.join(cacheDir, sizeName, key.slice(0, 2), `${key}.webp`);
+  };
+
+  const generate = async (entry, sizeName, cachePath) => {
+    const size = THUMBNAIL_SIZES[sizeName];
+    await fs.promises.mkdir(path.dirname(cachePath), { recursive: true });
+    const tempPath = `${cachePath}.${process.pid}.tmp`;
+    const image = await openImage(entry, path.join(rootDir, entry.file));
+    await image
+      .resize({ width: size.width, height: size.height, fit: "inside", withoutEnlargement: true })
+      .webp({ quality: size.quality })
+      .toFile(tempPath);
+    await fs.promises.rename(tempPath, cachePath);
+  };
+
+  return {
+    canResize: canDecode,
+
+    // Path of the cached derivative for an index entry, generating it on first use
+    getThumbnail: async (entry, sizeName) => {
+      if (!THUMBNAIL_SIZES[sizeName]) throw new Error(`Unknown thumbnail size "${sizeName}"`);
+      const cachePath = cachePathFor(entry, sizeName);
+      try {
+        await fs.promises.access(cachePath);
+        return cachePath;
+      } catch (err) {
+        // Not generated yet
+      }
+      // Share the work when several requests ask for the same missing thumbnail
+      if (!inFlight.has(cachePath)) {
+        inFlight.set(
+          cachePath,
+          schedule(() => generate(entry, sizeName, cachePath)).finally(() => inFlight.delete(cachePath)),
+        );
+      }
+      await inFlight.get(cachePath);
+      return cachePath;
+    },
+
+    placeholder: (entry) => placeholderSvg(mediaTypeOf(entry).kind, entry.type),
+  };
+};
+
+module.exports = { createThumbnailer, THUMBNAIL_SIZES };
@@ -0,0 +1,95 @@
+const path = require("path");
+const fs = require("fs");
+const crypto = require("crypto");
+const { relativePathFromSegments, parentFolder } = require("./gallery");
+const { resolveInLibrary, claimName, moveWithoutReplacing } = require("./files");
+
+// Deleting from the gallery moves things to a .trash folder at the top of the library (a dot-folder,
+// so the media index never shows it) instead of removing them. Each item records where it came from,
+// so it can be put back, or deleted for good:
+//
+//   .trash/<id>/<name>     the deleted file or album folder
+//   .trash/<id>.json       { id, path, type: "file" | "album", trashedAt, user }
+
+const TRASH_FOLDER = ".trash";
+
+const isTrashId = (id) => typeof id === "string" && /^\d+-[0-9a-f]{8}$/.test(id);
+
+const createTrash = ({ rootDir }) => {
+  const trashDir = path.join(rootDir, TRASH_FOLDER);
+
+  // Move a file or folder (relative to the library) into the trash; resolves to the new trash item
+  const put = async (relativePath, { type, user }) => {
+    const sourcePath = resolveInLibrary(rootDir, relativePath);
+    const id = `${Date.now()}-${crypto.randomBytes(4).toString("hex")}`;
+    const item = {
+      id,
+      path: relativePath.split(path.sep).join("/"),
+      type,
+      trashedAt: new Date().toISOString(),
+      user,
+    };
+    await fs.promises.mkdir(path.join(trashDir, id), { recursive: true });
+    await fs.promises.writeFile(path.join(trashDir, `${id}.json`), JSON.stringify(item, null, 2));
+    try {
+      await fs.promises.rename(sourcePath, path.join(trashDir, id, path.basename(relativePath)));
+    } catch (err) {
+      await purge(item);
+      throw err;
+    }
+    return item;
+  };
+
+  // One trash item, or null if there is no such item
+  const get = async (id) => {
+    if (!isTrashId(id)) return null;
+    try {
+      return JSON.parse(await fs.promises.readFile(path.join(trashDir, `${id}.json`), "utf8"));
+    } catch (err) {
+      if (err.code === "ENOENT") return null;
+      throw err;
+    }
+  };
+
+  // Everything in the trash, most recently deleted first
+  const list = async () => {
+    let names;
+    try {
+      names = await fs.promises.readdir(trashDir);
+    } catch (err) {
+      if (err.code === "ENOENT") return [];
+      throw err;
+    }
+    const items = await Promise.all(
+      names.filter((name) => name.endsWith(".json")).map((name) => get(path.basename(name, ".json")).catch(() => null)),
+    );
+    return items.filter(Boolean).sort((a, b) => b.trashedAt.localeCompare(a.trashedAt));
+  };
+
+  // Delete a trash item for good
+  const purge = async (item) => {
+    await fs.promises.rm(path.join(trashDir, item.id), { recursive: true, force: true });
+    await fs.promises.rm(path.join(trashDir, `${item.id}.json`), { force: true });
+  };
+
+  // Put an item back where it was, under a new name if that one has been taken since; the album it came
+  // from is re-created if it is gone too. Resolves to the restored path, relative to the library.
+  const restore = async (item) => {
+    const relativePath = relativePathFromSegments(item.path.split("/"));
+    if (!relativePath) throw new Error(`trash item ${item.id} has an invalid path`);
+    const folderRelativePath = parentFolder(relativePath);
+    const folderPath = resolveInLibrary(rootDir, folderRelativePath);
+    const trashedPath = path.join(trashDir, item.id, path.basename(relativePath));
+
+    await fs.promises.mkdir(folderPath, { recursive: true });
+    const name = await claimName(folderPath, path.basename(relativePath), (targetPath) =>
+      moveWithoutReplacing(trashedPath, targetPath),
+    );
+    await purge(item);
+    return path.join(folderRelativePath, name);
+  };
+
+  return { put, get, list, purge, restore };
+};
+
+module.exports = { createTrash, TRASH_FOLDER };
@@ -0,0 +1,187 @@
+const express = require("express");
+const path = require("path");
+const fs = require("fs");
+const crypto = require("crypto");
+const busboy = require("busboy");
+const { MEDIA_TYPES, MEDIA_EXTENSIONS, SNIFF_BYTES, mediaTypeForExtension } = require("./mediaTypes");
+const { relativePathFromSegments, toUrlPath } = require("./gallery");
+const { safeFileName, claimName, linkWithoutReplacing } = require("./files");
+
+// Browser uploads into albums (multipart/form-data, any number of "files" fields).
+//
+//   POST /upload                  into the top level of the gallery
+//   POST /upload/<album path>     into that album
+//
+// Each file is streamed to a temporary dotfile in the album folder (which the media index ignores),
+// then checked: the extension must be one the gallery shows, the first bytes must match that format
+// (see lib/mediaTypes.js) and it must stay under the size limit. Accepted files get their final name without ever replacing
+// an existing file ("beach.jpg" becomes "beach (2).jpg"), and are indexed before the response is sent.
+//
+// The answer is { uploaded: [{ name, path, url }], rejected: [{ name, error }] }. Every upload is recorded
+// in the audit log (see lib/audit.js).
+
+// Files in one request beyond this are skipped and reported
+const MAX_FILES_PER_UPLOAD = 200;
+
+// `canUpload(req, folderRelativePath)` decides who may upload where; `indexFor(req)` is the part of the
+// index the visitor may see (see lib/api.js). `maxFileSize` is in bytes. `extensions` limits the file types
+// to those the library shows; `basePath` is where the library is mounted, for the URLs in the answer.
+const createUploadRouter = ({
+  mediaIndex,
+  indexFor = () => mediaIndex,
+  rootDir,
+  canUpload,
+  maxFileSize,
+  audit,
+  extensions = MEDIA_EXTENSIONS,
+  basePath = "",
+}) => {
+  const router = express.Router();
+  const maxFileSizeLabel = `${Math.round(maxFileSize / (1024 * 1024))} MB`;
+
+  // Stream one uploaded file into `folderRelativePath`; resolves to an `uploaded` or a `rejected` item
+  const saveFile = (folderRelativePath, stream, originalName) =>
+    new Promise((resolve) => {
+      const name = safeFileName(originalName);
+      const ext = path.extname(name).toLowerCase();
+      const mediaType = extensions.includes(ext) ? MEDIA_TYPES[mediaTypeForExtension(ext)] : null;
+      const rejection = (error) => ({ name: originalName || "", error });
+      const reject = (error) => resolve(rejection(error));
+      if (!name || !mediaType) {
+        stream.resume(); // Skip the file's bytes to get to the next one
+        return reject(`only ${extensions.join(", ")} files can be uploaded`);
+      }
+
+      const folderPath = path.join(rootDir, folderRelativePath);
+      const temporaryPath = path.join(folderPath, `.upload-${crypto.randomBytes(8).toString("hex")}.part`);
+      const output = fs.createWriteStream(temporaryPath, { flags: "wx" });
+      let header = Buffer.alloc(0);
+      let failure = null;
+
+      const discard = (error) => {
+        failure = failure || error;
+        stream.unpipe(output);
+        stream.resume();
+        output.destroy();
+      };
+
+      stream.on("data", (chunk) => {
+        if (header.length < SNIFF_BYTES) {
+          header = Buffer.concat([header, chunk.subarray(0, SNIFF_BYTES - header.length)]);
+          // Wrong kind of file: stop writing as soon as that is clear
+          if (header.length >= SNIFF_BYTES && !mediaType.matches(header)) {
+            discard(`the file's contents are not ${ext.slice(1).toUpperCase()}`);
+          }
+        }
+      });
+      stream.on("limit", () => discard(`larger than the ${maxFileSizeLabel} limit`));
+      stream.on("error", () => discard("the upload was interrupted"));
+      output.on("error", (err) => {
+        if (failure) return; // Already given up on this file
+        console.error(`Error saving upload ${name}:`, err.message);
+        discard("it could not be saved");
+      });
+      output.on("close", async () => {
+        let item;
+        try {
+          if (!failure && !mediaType.matches(header)) {
+            failure = `the file's contents are not ${ext.slice(1).toUpperCase()}`;
+          }
+          if (failure) {
+            item = rejection(failure);
+          } else {
+            // Never replaces an existing file, even when another upload claims the name at the same moment
+            const savedName = await claimName(folderPath, name, (candidatePath) =>
+              linkWithoutReplacing(temporaryPath, candidatePath),
+            );
+            const relativePath = path.join(folderRelativePath, savedName);
+            // Show it right away instead of waiting for the file watcher
+            await mediaIndex.refresh(relativePath);
+            item = {
+              name: savedName,
+              path: relativePath.split(path.sep).join("/"),
+              url: toUrlPath(relativePath, basePath),
+            };
+          }
+        } catch (err) {
+          console.error(`Error saving upload ${name}:`, err.message);
+          item = rejection("it could not be saved");
+        }
+        // Answer only once the temporary file is gone
+        await fs.promises.unlink(temporaryPath).catch(() => {});
+        resolve(item);
+      });
+      stream.pipe(output);
+    });
+
+  const handleUpload = (req, res, folderRelativePath) => {
+    const index = indexFor(req);
+    if (folderRelativePath === null || !index.getFolder(folderRelativePath)) {
+      return res.status(404).json({ error: "No such album." });
+    }
+    if (!canUpload(req, folderRelativePath)) {
+      return res.status(403).json({ error: "You can't upload to this album." });
+    }
+
+    let parser;
+    try {
+      parser = busboy({
+        headers: req.headers,
+        defParamCharset: "utf8", // Non-ASCII file names
+        limits: { fileSize: maxFileSize, files: MAX_FILES_PER_UPLOAD, fields: 0 },
+      });
+    } catch (err) {
+      return res.status(400).json({ error: "Send the files as multipart/form-data." });
+    }
+
+    const saving = [];
+    let skippedFiles = false;
+    parser.on("file", (field, stream, info) => {
+      saving.push(saveFile(folderRelativePath, stream, info.filename));
+    });
+    parser.on("filesLimit", () => {
+      skippedFiles = true;
+    });
+    parser.on("error", (err) => {
+      // Broken or cut-off request body: the client is probably gone, but answer if it isn't
+      req.unpipe(parser);
+      req.resume();
+      if (!res.headersSent) res.status(400).json({ error: `The upload could not be read: ${err.message}` });
+    });
+    parser.on("close", async () => {
+      const results = await Promise.all(saving);
+      const uploaded = results.filter((result) => !result.error);
+      const rejected = results.filter((result) => result.error);
+      if (skippedFiles) {
+        rejected.push({ name: "", error: `only ${MAX_FILES_PER_UPLOAD} files can be uploaded at once` });
+      }
+      if (results.length > 0) {
+        audit.record(req, {
+          action: "upload",
+          album: folderRelativePath.split(path.sep).join("/"),
+          files: uploaded.map((item) => item.path),
+          rejected: rejected.map((item) => item.name),
+          ok: uploaded.length > 0,
+        });
+      }
+      if (res.headersSent) return;
+      if (results.length === 0 && !skippedFiles) return res.status(400).json({ error: "No files were sent." });
+      res.status(uploaded.length > 0 || rejected.length === 0 ? 200 : 400).json({ uploaded, rejected });
+    });
+    req.pipe(parser);
+  };
+
+  // The index may still be doing its first scan right after startup
+  router.use(async (req, res, next) => {
+    await mediaIndex.ready;
+    next();
+  });
+
+  router.post("/", (req, res) => handleUpload(req, res, ""));
+
+  router.post("/*albumPath", (req, res) => handleUpload(req, res, relativePathFromSegments(req.params.albumPath)));
+
+  return router;
+};
+
+module.exports = { createUploadRouter };
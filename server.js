@@ -1,537 +1,1047 @@
 const express = require("express");
 const path = require("path");
 const fs = require("fs");
-const exif = require("exif-parser");
+const http = require("http");
+const https = require("https");
+const { loadConfig } = require("./lib/config");
+const { createMediaIndex } = require("./lib/mediaIndex");
+const { mediaTypeOf } = require("./lib/mediaTypes");
+const { createThumbnailer, THUMBNAIL_SIZES } = require("./lib/thumbnails");
+const {
+  createGallery,
+  toUrlPath,
+  thumbnailUrlFor,
+  relativePathFromSegments,
+  sortMediaEntries,
+  formatCaptureMonth,
+  capturedAt,
+  mediaDetails,
+  SORT_FIELDS,
+  SORT_ORDERS,
+  parentFolder,
+} = require("./lib/gallery");
+const {
+  parseSearchCriteria,
+  searchQueryString,
+  hasSearchCriteria,
+  searchMedia,
+  searchFacets,
+} = require("./lib/search");
+const { createApiRouter } = require("./lib/api");
+const { escapeHtml, securityHeaders } = require("./lib/security");
+const { createDownloadRouter } = require("./lib/download");
+const { createAuth } = require("./lib/auth");
+const { createUploadRouter } = require("./lib/upload");
+const { createManageRouter } = require("./lib/manage");
+const { createTrash } = require("./lib/trash");
+const { createAuditLog } = require("./lib/audit");
+const { createGeoExportRouter, geotaggedFiles } = require("./lib/geoExport");
+const { createAnnotations, createAnnotationsRouter } = require("./lib/annotations");
+const { createDuplicateFinder } = require("./lib/duplicates");
+const { createLiveUpdatesRouter } = require("./lib/liveUpdates");
+const { createFeedRouter } = require("./lib/feed");
+const {
+  renderAlbumHeader,
+  renderFolderCard,
+  renderFileCard,
+  albumTrail,
+  renderBreadcrumbs,
+  renderHtmlPage,
+} = require("./lib/pages");
+
+// Libraries, their titles and themes, where to listen and where to keep caches: gallery.config.json,
+// overridden by environment variables (see lib/config.js). A broken config stops the server here.
+let config;
+try {
+  config = loadConfig({
+    configFile: path.resolve(process.env.GALLERY_CONFIG || path.join(__dirname, "gallery.config.json")),
+    baseDir: __dirname,
+  });
+} catch (err) {
+  console.error(err.message);
+  process.exit(1);
+}
 
 const app = express();
-// Read photosDirectory from environment variable, default to 'photos'
-const photosDirectory = process.env.GALLERY_ROOT || "photos";
 
-const projectTitle = "VCC Gallery";
-const authorName = "Chance Jiang";
+// Content-Security-Policy and related headers on every response (see lib/security.js)
+app.use(securityHeaders());
 
-// Serve static files from the photos directory and its subdirectories
-// This should be placed at the top to ensure static files (like images, videos, CSS) are served directly.
-app.use(express.static(path.join(__dirname, photosDirectory)));
+// Login, logout and share links; also works out who is asking (req.viewer) for every request.
+// One login covers every library.
+const auth = createAuth({ configFile: config.authFile, title: config.title });
+app.use(auth.router);
 
-const getExifData = async (filePath) => {
-  try {
-    const buffer = fs.readFileSync(filePath);
-    const parser = exif.create(buffer);
-    const result = parser.tags;
-    return result;
-  } catch (err) {
-    // console.error(`Error parsing EXIF for ${filePath}:`, err.message); // Suppress frequent errors for non-JPGs
-    return null;
-  }
-};
+// Restricted media must not be kept by shared caches (proxies, CDNs)
+const cacheScope = auth.enabled ? "private" : "public";
 
-// Helper function to get media files from a given directory
-const getMediaFilesFromDirectory = async (directoryPath) => {
-  try {
-    const files = await fs.promises.readdir(directoryPath);
-    return files.filter((file) => {
-      const ext = path.extname(file).toLowerCase();
-      return [".jpg", ".jpeg", ".png", ".gif", ".mp4", ".mov", ".webm", ".webp"].includes(ext);
-    });
-  } catch (error) {
-    console.error(`Error reading media files from ${directoryPath}:`, error.message);
-    return [];
-  }
+// Every upload, rename, move and deletion made through the gallery, in any library, is appended here
+const audit = createAuditLog({ logFile: config.auditLog });
+
+// Everything one library needs: its settings (see lib/config.js), its media index, thumbnails and trash,
+// and what a visitor may see and change in it. The page routes find it as req.library.
+const createLibrary = (settings) => {
+  const { basePath, rootDir } = settings;
+  // Access rules and share links name albums by their path on the site ("alice/family" for the "family"
+  // album of the library at /alice), so the libraries' rules can't get mixed up
+  const sitePath = (folderRelativePath) => path.join(basePath.slice(1), folderRelativePath);
+
+  // Favorites, ratings and tags, handed out with every index entry and following files that are moved
+  const annotations = createAnnotations({ rootDir, file: settings.annotationsFile });
+  // Every gallery route reads from this index instead of walking the library on each request
+  const mediaIndex = createMediaIndex({
+    rootDir,
+    indexFile: settings.indexFile,
+    extensions: settings.extensions,
+    annotationsOf: annotations.annotationsOf,
+  });
+  annotations.follow(mediaIndex);
+  const thumbnailer = createThumbnailer({ rootDir, cacheDir: settings.thumbsDir });
+  // Fingerprints every file in the background, for the duplicates page
+  const duplicates = createDuplicateFinder({ rootDir, cacheFile: settings.fingerprintsFile, thumbnailer });
+  duplicates.follow(mediaIndex);
+
+  return {
+    ...settings,
+    mediaIndex,
+    annotations,
+    duplicates,
+    thumbnailer,
+    sitePath,
+    processMediaFileForModal: createGallery({ mediaIndex, thumbnailer, basePath }).processMediaFileForModal,
+    // The part of the index a request may see. Every route that lists or serves media goes through this,
+    // so restricted albums can't be reached through listings, thumbnails, downloads, the API or direct file URLs.
+    indexFor: (req) =>
+      auth.enabled
+        ? mediaIndex.forViewer((folderRelativePath) => auth.canView(req.viewer, sitePath(folderRelativePath)))
+        : mediaIndex,
+    canEdit: (req, folderRelativePath) => auth.canEdit(req.viewer, sitePath(folderRelativePath)),
+    // Annotations don't change the files, so a gallery without logins lets everyone set them
+    canAnnotate: (req, folderRelativePath) => !auth.enabled || auth.canEdit(req.viewer, sitePath(folderRelativePath)),
+    // Deleted items go to a .trash folder in the library
+    trash: createTrash({ rootDir }),
+    // Changes outside the library at "/" say which library they were made in
+    audit: { record: (req, entry) => audit.record(req, basePath ? { library: basePath, ...entry } : entry) },
+  };
 };
 
-// Helper function to find a cover image for a folder
-const findFolderCover = async (folderFullPath, folderRelativePath) => {
-  const mediaFiles = await getMediaFilesFromDirectory(folderFullPath);
-
-  let coverFileName = null;
-  // Prioritize files named 'cover.*' (case-insensitive and prefix match)
-  const potentialCovers = mediaFiles.filter((file) => path.parse(file).name.toLowerCase().startsWith("cover"));
-  if (potentialCovers.length > 0) {
-    // Pick the first cover file found
-    coverFileName = potentialCovers[0];
-  } else if (mediaFiles.length > 0) {
-    // If no 'cover' file, use the first media file
-    coverFileName = mediaFiles[0];
-  }
+// The HTML pages of a library (albums, timeline, search, trash) and its media files; shared by every library
+const pages = express.Router();
+
+// Everything under a library's URL prefix: the JSON API, downloads, map exports, uploads and the pages
+const createLibraryRouter = (library) => {
+  const { basePath, mediaIndex, thumbnailer, indexFor, canEdit, rootDir } = library;
+  const router = express.Router();
+  router.use((req, res, next) => {
+    req.library = library;
+    next();
+  });
+
+  // Album management for logged-in users (see lib/manage.js); mounted first, as the API answers 404 for anything it doesn't know
+  router.use(
+    "/api/v1/manage",
+    createManageRouter({
+      mediaIndex,
+      indexFor,
+      rootDir,
+      basePath,
+      canEdit,
+      hasAccessRules: (folderRelativePath) => auth.hasRulesWithin(library.sitePath(folderRelativePath)),
+      trash: library.trash,
+      audit: library.audit,
+    }),
+  );
+
+  // Favorites, ratings and tags (see lib/annotations.js); also mounted before the rest of the API
+  router.use(
+    "/api/v1/annotations",
+    createAnnotationsRouter({
+      mediaIndex,
+      indexFor,
+      annotations: library.annotations,
+      canAnnotate: library.canAnnotate,
+      audit: library.audit,
+    }),
+  );
+
+  // Versioned JSON API for scripts and other clients
+  router.use(
+    "/api/v1",
+    createApiRouter({
+      mediaIndex,
+      thumbnailer,
+      indexFor,
+      basePath,
+      mountPath: `${basePath}/api/v1`,
+      rootTitle: library.title,
+    }),
+  );
+
+  // ZIP downloads of albums and of files selected in the grid
+  router.use("/download", createDownloadRouter({ mediaIndex, indexFor, rootTitle: library.title }));
+  router.use("/export", createGeoExportRouter({ mediaIndex, indexFor, rootTitle: library.title, basePath }));
+  router.use(
+    "/feed.atom",
+    createFeedRouter({ mediaIndex, indexFor, title: library.title, author: library.author, basePath }),
+  );
+
+  // Open pages hear about new, changed and removed files and update their grid (see lib/liveUpdates.js)
+  router.use("/events", createLiveUpdatesRouter({ mediaIndex, indexFor }));
+
+  // Uploads into albums, for logged-in users (see lib/upload.js)
+  router.use(
+    "/upload",
+    createUploadRouter({
+      mediaIndex,
+      indexFor,
+      rootDir,
+      basePath,
+      canUpload: canEdit,
+      maxFileSize: config.uploadMaxMb * 1024 * 1024,
+      extensions: library.extensions,
+      audit: library.audit,
+    }),
+  );
+
+  router.use(pages);
+  return router;
+};
 
-  if (coverFileName) {
-    const coverFilePath = path.join(folderFullPath, coverFileName);
-    const coverFileRelativePath = path.join(folderRelativePath, coverFileName);
-    let caption = folderRelativePath.split(path.sep).pop().split(/[-_]+/).join(" ").trim(); // Default caption from folder name
+// Route for generated thumbnails and screen-size previews, e.g. /thumbs/thumb/2024/summer/beach.jpg
+// Registered before the static middleware so a library folder named "thumbs" can't shadow it.
+pages.get("/thumbs/:size/*filePath", async (req, res, next) => {
+  if (!THUMBNAIL_SIZES[req.params.size]) return next();
+  const { mediaIndex, thumbnailer, indexFor } = req.library;
+  try {
+    await mediaIndex.ready;
+    // Only files in the index can be resized, which also keeps requests inside the library
+    const relativePath = relativePathFromSegments(req.params.filePath);
+    const entry = relativePath && indexFor(req).getFile(relativePath);
+    if (!entry) return next();
 
-    // Try to get EXIF from cover if it's a JPG/JPEG
-    if ([".jpg", ".jpeg"].includes(path.extname(coverFileName).toLowerCase())) {
-      const exifData = await getExifData(coverFilePath);
-      if (exifData && exifData.ImageDescription) {
-        caption = exifData.ImageDescription.trim();
+    // URLs carry the file's mtime (?v=...), so a derivative never changes once served
+    const cacheControl = `${cacheScope}, max-age=${config.cache.thumbnailMaxAge}, immutable`;
+    if (thumbnailer.canResize(entry)) {
+      let thumbnailPath;
+      try {
+        thumbnailPath = await thumbnailer.getThumbnail(entry, req.params.size);
+      } catch (err) {
+        // A damaged file, or one using a feature the decoder lacks: the placeholder stands in, but only until
+        // the next try, so the browser never shows the original of a format it may not display
+        console.error(`Error generating ${req.params.size} for ${req.params.filePath.join("/")}:`, err.message);
+        res.set("Cache-Control", "no-cache");
+        return res.type("image/svg+xml").send(thumbnailer.placeholder(entry));
       }
+      res.set("Cache-Control", cacheControl);
+      res.sendFile(thumbnailPath, {
+        cacheControl: false,
+        dotfiles: "allow", // The default cache directory is .cache
+      });
+    } else {
+      // Videos
+      res.set("Cache-Control", cacheControl);
+      res.type("image/svg+xml").send(thumbnailer.placeholder(entry));
     }
+  } catch (err) {
+    console.error(`Error generating ${req.params.size} for ${req.params.filePath.join("/")}:`, err.message);
+    res.status(500).send("An error occurred while generating the thumbnail.");
+  }
+});
+
+// Sort orders offered by the sort selector; the choice is kept in the URL as ?sort=&order=
+const SORT_OPTIONS = [
+  { sort: "name", order: "asc", label: "Name (A to Z)" },
+  { sort: "name", order: "desc", label: "Name (Z to A)" },
+  { sort: "date", order: "desc", label: "Date taken (newest first)" },
+  { sort: "date", order: "asc", label: "Date taken (oldest first)" },
+  { sort: "mtime", order: "desc", label: "Date modified (newest first)" },
+  { sort: "mtime", order: "asc", label: "Date modified (oldest first)" },
+  { sort: "size", order: "desc", label: "Size (largest first)" },
+  { sort: "size", order: "asc", label: "Size (smallest first)" },
+];
+// Offered in albums whose sidecar lists an explicit order, where it is also the default
+const ALBUM_ORDER_OPTION = { sort: "album", order: "asc", label: "Album order" };
+const DEFAULT_SORT = { sort: "name", order: "asc" };
+const TIMELINE_SORT = { sort: "date", order: "desc" };
+const RECENT_SORT = { sort: "mtime", order: "desc" };
+
+// Helper to read the sort order from the query string, falling back to `defaults` for anything unknown
+const parseSort = (query, defaults = DEFAULT_SORT) => ({
+  sort: SORT_FIELDS.includes(query.sort) ? query.sort : defaults.sort,
+  order: SORT_ORDERS.includes(query.order) ? query.order : defaults.order,
+});
 
-    return {
-      url: `/${coverFileRelativePath}`,
-      caption: caption,
-      ext: path.extname(coverFileName).toLowerCase(),
-    };
+// Helper to render the toolbar above the grid: the album download link (on album pages), the slideshow and
+// select buttons (when there is anything to show) and the sort selector.
+// `options` limits the sort choices (the timeline only sorts by date); `basePath` is where the library is mounted.
+const renderToolbar = (
+  sort,
+  options = SORT_OPTIONS,
+  {
+    basePath = "",
+    hasMedia = true,
+    downloadUrl = null,
+    mapExportPath = null,
+    shareAlbum = null,
+    uploadUrl = null,
+    uploadExtensions = [],
+    manageAlbum = null,
+  } = {},
+) => `
+          <div class="toolbar">
+            ${manageAlbum !== null ? renderManageMenu(manageAlbum) : ""}
+            ${uploadUrl ? renderUploadControls(uploadUrl, uploadExtensions) : ""}
+            ${downloadUrl ? `<a href="${escapeHtml(downloadUrl)}" class="toolbar-button" download>&#8681; Download album</a>` : ""}
+            ${mapExportPath !== null ? renderMapExportLinks(basePath, mapExportPath) : ""}
+            ${shareAlbum !== null ? `<button type="button" id="share-album" class="toolbar-button" data-album="${escapeHtml(shareAlbum)}">&#128279; Share</button>` : ""}
+            ${hasMedia ? '<button type="button" id="slideshow-start" class="toolbar-button">&#9654; Slideshow</button>' : ""}
+            ${hasMedia ? '<button type="button" id="select-toggle" class="toolbar-button">&#9745; Select</button>' : ""}
+            <label for="sort-select">Sort by</label>
+            <select id="sort-select">
+              ${options
+                .map(
+                  (option) =>
+                    `<option value="${option.sort}:${option.order}"${option.sort === sort.sort && option.order === sort.order ? " selected" : ""}>${option.label}</option>`,
+                )
+                .join("")}
+            </select>
+          </div>
+        `;
+
+// Helper to render the "Upload" button, its hidden file picker (for the library's file types) and where
+// upload progress is shown
+const renderUploadControls = (uploadUrl, extensions) => `
+            <span id="upload-status" role="status"></span>
+            <button type="button" id="upload-start" class="toolbar-button" data-upload-url="${escapeHtml(uploadUrl)}">&#8679; Upload</button>
+            <input type="file" id="upload-input" multiple accept="${extensions.join(",")}" hidden>`;
+
+// Helper to render the map export links of an album (its URL path in the library, e.g. "/2024/summer"; "" for
+// the top level)
+const renderMapExportLinks = (basePath, albumUrlPath) => `
+            <span class="map-export">&#127757; Map:
+              <a href="${escapeHtml(`${basePath}/export/geojson${albumUrlPath}`)}" class="toolbar-button" download>GeoJSON</a>
+              <a href="${escapeHtml(`${basePath}/export/kml${albumUrlPath}`)}" class="toolbar-button" download>KML</a>
+            </span>`;
+
+// Helper to render the "Manage" menu of an album ("" for the top level, which can't be renamed, moved or deleted)
+const renderManageMenu = (albumPath) => `
+            <details class="manage-menu" id="manage-menu" data-album="${escapeHtml(albumPath)}">
+              <summary class="toolbar-button">&#9881; Manage</summary>
+              <div class="manage-actions">
+                <button type="button" data-manage="new-album">New album</button>
+                ${
+                  albumPath
+                    ? `<button type="button" data-manage="rename-album">Rename album</button>
+                <button type="button" data-manage="move-album">Move album</button>
+                <button type="button" data-manage="delete-album">Delete album</button>`
+                    : ""
+                }
+              </div>
+            </details>`;
+
+// Helper to render the login link, or who is logged in and a logout button (only when access control is on);
+// the duplicates and trash links go to the pages of the library at `basePath`. Without access control only the
+// duplicates report is there, read-only.
+const renderAccount = (viewer, currentUrl, basePath = "") => {
+  if (!auth.enabled) return `<p class="account"><a href="${escapeHtml(basePath)}/duplicates">Duplicates</a></p>`;
+  if (!viewer.user) {
+    return `<a class="account" href="/login?next=${escapeHtml(encodeURIComponent(currentUrl))}">Log in</a>`;
   }
-  return null; // No suitable cover found
+  return `
+            <form class="account" action="/logout" method="post">
+              Logged in as <strong>${escapeHtml(viewer.user)}</strong>
+              <a href="${escapeHtml(basePath)}/duplicates">Duplicates</a>
+              <a href="${escapeHtml(basePath)}/trash">Trash</a>
+              <button type="submit">Log out</button>
+            </form>`;
 };
 
-// Helper to process a single media file for modal data
-const processMediaFileForModal = async (fullPath, relativePath) => {
-  const ext = path.extname(fullPath).toLowerCase();
-  let caption = "";
-
-  if ([".jpg", ".jpeg"].includes(ext)) {
-    const exifData = await getExifData(fullPath);
-    if (exifData) {
-      const captionTags = ["ImageDescription", "Title", "ObjectName"];
-      for (const tag of captionTags) {
-        if (exifData[tag]) {
-          caption = exifData[tag].trim();
-          break;
-        }
-      }
-      if (!caption) {
-        if (exifData.DateTimeOriginal) {
-          const date = new Date(exifData.DateTimeOriginal * 1000);
-          caption = date.toLocaleDateString("en-US", { year: "numeric", month: "long", day: "numeric" });
-        } else if (exifData.Model) {
-          caption = exifData.Model;
+// Helper for pages the visitor may not see: guests are sent to log in first, logged-in users are refused.
+// Without access control there is nobody to log in as, so the page is simply not there.
+const sendAccessDenied = (req, res) => {
+  if (!auth.enabled) return res.status(404).send("Not found.");
+  if (!req.viewer.user) return res.redirect(`/login?next=${encodeURIComponent(req.originalUrl)}`);
+  res.status(403).send("You don't have access to this album.");
+};
+
+// How many file tiles a gallery page renders at once; the rest are loaded while scrolling
+const GRID_PAGE_SIZE = 60;
+
+// Helper to build a link to another page of the current view, keeping the other query parameters
+const pageUrl = (req, page) => {
+  const params = new URLSearchParams(req.query);
+  params.delete("partial");
+  params.delete("refresh");
+  params.set("page", page);
+  return `${req.baseUrl}${req.path}?${params}`;
+};
+
+// Helper to render the "Load more" link after the last tile; the page script follows it automatically
+// while scrolling, and it still works as a plain link without JavaScript
+const renderLoadMore = (req, nextPage) =>
+  nextPage
+    ? `<div class="load-more-wrapper"><a href="${escapeHtml(pageUrl(req, nextPage))}" class="load-more" data-next-page="${nextPage}">Load more</a></div>`
+    : "";
+
+// Helper to send one page of a gallery grid.
+// `gridEntries` are the files shown as tiles in this view, `modalEntries` the list the modal steps through
+// (fetched page by page from `modalUrl`, a JSON API list); `sort` is the order both lists are in.
+// `groupBy` optionally splits the grid into sections (e.g. by month), with a heading wherever its label changes.
+// `downloadUrl` is where the "Download album" link points (album pages only); `mapExportPath` the URL path of the
+// album the GeoJSON and KML links export (albums with geotagged photos only); `shareAlbum` the album the
+// "Share" button makes links for (album pages, logged-in users only); `uploadUrl` where the "Upload" button and
+// files dropped on the page are sent (albums the visitor may upload to); `manageAlbum` the album the "Manage" menu
+// changes (albums the visitor may change). `breadcrumbsHtml` replaces the breadcrumb trail of album pages.
+// Requests with ?partial=1 come from the infinite-scroll script and only get the next tiles back, as JSON.
+// With &refresh=1 as well, they come from a page reloading its grid after a change (see lib/liveUpdates.js)
+// and get the album cards and every tile up to that page back, with the new length of the modal list.
+const sendGalleryPage = (
+  req,
+  res,
+  {
+    title,
+    viewType,
+    currentFolder,
+    folderItems,
+    gridEntries,
+    modalEntries,
+    modalUrl,
+    sort,
+    defaultSort = DEFAULT_SORT,
+    sortOptions,
+    groupBy,
+    headerHtml = "",
+    searchQuery = "",
+    downloadUrl = null,
+    mapExportPath = null,
+    shareAlbum = null,
+    uploadUrl = null,
+    manageAlbum = null,
+    breadcrumbsHtml = null,
+  },
+) => {
+  const { library } = req;
+  const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+  const refresh = Boolean(req.query.partial && req.query.refresh);
+  const pageStart = refresh ? 0 : (page - 1) * GRID_PAGE_SIZE;
+  const pageEntries = gridEntries.slice(pageStart, page * GRID_PAGE_SIZE);
+  const nextPage = page * GRID_PAGE_SIZE < gridEntries.length ? page + 1 : null;
+
+  const modalIndexes = new Map(modalEntries.map((entry, index) => [entry.file, index]));
+  // A section that carries on from the previous page doesn't get a second heading
+  let previousGroup = groupBy && pageStart > 0 ? groupBy(gridEntries[pageStart - 1]) : null;
+  const tilesHtml = pageEntries
+    .map((entry) => {
+      let headingHtml = "";
+      if (groupBy) {
+        const group = groupBy(entry);
+        if (group !== previousGroup) {
+          headingHtml = `<h2 class="group-heading">${escapeHtml(group)}</h2>`;
+          previousGroup = group;
         }
       }
-    }
+      return headingHtml + renderFileCard(library.processMediaFileForModal(entry), modalIndexes.get(entry.file));
+    })
+    .join("");
+
+  // Keep a non-default sort order when following links to other albums
+  const linkQuery =
+    sort.sort !== defaultSort.sort || sort.order !== defaultSort.order ? `?sort=${sort.sort}&order=${sort.order}` : "";
+  const folderCardsHtml = folderItems.map((item) => renderFolderCard(item, linkQuery)).join("");
+
+  if (refresh) {
+    return res.json({ html: folderCardsHtml + tilesHtml + renderLoadMore(req, nextPage), total: modalEntries.length });
   }
-  if (!caption) {
-    if ([".mp4", ".mov", ".webm"].includes(ext)) {
-      caption = "Video";
-    } else {
-      caption = path.parse(relativePath).name.split(/[-_]+/).join(" ").trim();
-    }
+  if (req.query.partial) {
+    return res.json({ html: tilesHtml, nextPage: nextPage });
+  }
+
+  // Send the modal list page holding this grid page's first tile inline; the rest is fetched on demand
+  const mediaSource = { url: modalUrl, total: modalEntries.length, pageSize: GRID_PAGE_SIZE, pages: {} };
+  if (pageEntries.length > 0) {
+    const modalPage = Math.floor(modalIndexes.get(pageEntries[0].file) / GRID_PAGE_SIZE) + 1;
+    mediaSource.pages[modalPage] = modalEntries
+      .slice((modalPage - 1) * GRID_PAGE_SIZE, modalPage * GRID_PAGE_SIZE)
+      .map(library.processMediaFileForModal);
   }
-  return { file: relativePath, caption: caption, ext: ext };
+
+  const fileListHtml = (page === 1 ? folderCardsHtml : "") + tilesHtml + renderLoadMore(req, nextPage);
+
+  res.send(
+    renderHtmlPage(title, library.author, fileListHtml, mediaSource, viewType, currentFolder, {
+      nonce: res.locals.cspNonce,
+      basePath: library.basePath,
+      theme: library.theme,
+      toolbarHtml:
+        headerHtml +
+        renderToolbar(sort, sortOptions, {
+          basePath: library.basePath,
+          hasMedia: modalEntries.length > 0,
+          downloadUrl,
+          mapExportPath,
+          shareAlbum,
+          uploadUrl,
+          uploadExtensions: library.extensions,
+          manageAlbum,
+        }),
+      accountHtml: renderAccount(req.viewer, req.originalUrl, library.basePath),
+      canManage: auth.enabled && Boolean(req.viewer.user),
+      canAnnotate: !auth.enabled || Boolean(req.viewer.user),
+      breadcrumbsHtml:
+        breadcrumbsHtml !== null
+          ? breadcrumbsHtml
+          : viewType === "folder"
+            ? renderBreadcrumbs(
+                library.indexFor(req),
+                currentFolder,
+                (folder) => toUrlPath(folder, library.basePath) + linkQuery,
+              )
+            : "",
+      searchQuery: searchQuery,
+      linkQuery: linkQuery,
+      liveUpdatesUrl: `${library.basePath}/events`,
+      feedUrl: `${library.basePath}/feed.atom`,
+    }),
+  );
+};
+
+// Helper to name a star rating threshold, e.g. "★★★★ and up"
+const ratingLabel = (stars) => `${"\u2605".repeat(stars)}${stars < 5 ? " and up" : ""}`;
+
+// Virtual albums: favorites, each star rating threshold ("4 stars and up") and each tag, as saved searches
+// (see lib/search.js). Only thresholds some file is rated exactly get one, so there are no duplicate albums.
+const virtualAlbums = (entries) => {
+  const ratings = new Set(entries.map((entry) => entry.rating).filter(Boolean));
+  return [
+    { link: "/favorites", caption: "\u2665 Favorites", criteria: { favorite: "1" } },
+    ...[5, 4, 3, 2, 1]
+      .filter((stars) => ratings.has(stars))
+      .map((stars) => ({
+        link: `/ratings/${stars}`,
+        caption: ratingLabel(stars),
+        criteria: { rating: String(stars) },
+      })),
+    ...searchFacets(entries).tags.map((tag) => ({
+      link: `/tags/${encodeURIComponent(tag)}`,
+      caption: `# ${tag}`,
+      criteria: { tag },
+    })),
+  ];
+};
+
+// Helper to build the cards of the virtual albums that have files in them, covered by their newest file
+const buildVirtualAlbumItems = (entries, basePath = "") =>
+  virtualAlbums(entries)
+    .map((album) => ({ ...album, files: searchMedia(entries, album.criteria) }))
+    .filter((album) => album.files.length > 0)
+    .map((album) => ({
+      link: basePath + album.link,
+      caption: album.caption,
+      thumbnailUrl: thumbnailUrlFor(sortMediaEntries(album.files, "date", "desc")[0], "thumb", basePath),
+    }));
+
+// Helper to send a virtual album's page: the files matching `criteria` across the library
+const sendVirtualAlbum = async (req, res, criteria, caption) => {
+  const { basePath, mediaIndex, indexFor } = req.library;
+  await mediaIndex.ready;
+  const sort = parseSort(req.query);
+  const entries = sortMediaEntries(searchMedia(indexFor(req).getAllFiles(), criteria), sort.sort, sort.order);
+  sendGalleryPage(req, res, {
+    title: `${req.library.title} - ${caption}`,
+    viewType: "virtual",
+    folderItems: [],
+    gridEntries: entries,
+    modalEntries: entries,
+    modalUrl: `${basePath}/api/v1/search?${searchQueryString(criteria)}&sort=${sort.sort}&order=${sort.order}`,
+    sort: sort,
+    breadcrumbsHtml:
+      '<nav class="breadcrumbs" aria-label="Breadcrumb">' +
+      `<a href="${escapeHtml(basePath)}/" class="breadcrumb-link">&#8962; Gallery</a>` +
+      '<span class="breadcrumb-separator">&#8250;</span>' +
+      `<span class="breadcrumb-current">${escapeHtml(caption)}</span></nav>`,
+  });
 };
 
 // Route for the main gallery view
-app.get("/", async (req, res) => {
+pages.get("/", async (req, res) => {
+  const { basePath, mediaIndex, thumbnailer, indexFor, canEdit } = req.library;
   try {
-    const entries = await fs.promises.readdir(path.join(__dirname, photosDirectory), { withFileTypes: true });
-
-    const galleryItemsPromises = entries.map(async (entry) => {
-      const entryRelativePath = entry.name;
-      const entryFullPath = path.join(__dirname, photosDirectory, entry.name);
-
-      if (entry.isDirectory()) {
-        const coverData = await findFolderCover(entryFullPath, entryRelativePath);
-        return {
-          type: "folder",
-          name: entry.name,
-          caption: coverData
-            ? coverData.caption
-            : entryRelativePath.split(path.sep).pop().split(/[-_]+/).join(" ").trim(),
-          thumbnailUrl: coverData ? coverData.url : "/folder_icon.png", // Use a generic folder icon if no media (make sure '/folder_icon.png' exists if used)
-          link: `/${entry.name}`, // Link now points directly to /folderName
-        };
-      } else if (entry.isFile()) {
-        const ext = path.extname(entry.name).toLowerCase();
-        if ([".jpg", ".jpeg", ".png", ".gif", ".mp4", ".mov", ".webm", ".webp"].includes(ext)) {
-          const fileData = await processMediaFileForModal(entryFullPath, entryRelativePath);
-          return {
-            type: "file",
-            ...fileData,
-            thumbnailUrl: `/${entryRelativePath}`,
-          };
-        }
-      }
-      return null; // Ignore non-media files or unsupported extensions
+    await mediaIndex.ready;
+    const index = indexFor(req);
+    const rootFolder = index.getFolder("");
+    if (!rootFolder) return sendAccessDenied(req, res);
+    const { buildFolderItem } = createGallery({ mediaIndex: index, thumbnailer, basePath });
+    const sort = parseSort(req.query);
+
+    // Folders first (alphabetically), then the loose files in the root in the chosen order
+    sendGalleryPage(req, res, {
+      title: req.library.title,
+      viewType: "main",
+      folderItems: [
+        ...rootFolder.subfolders.map((name) => buildFolderItem(name)),
+        ...buildVirtualAlbumItems(index.getAllFiles(), basePath),
+      ],
+      gridEntries: sortMediaEntries(rootFolder.files, sort.sort, sort.order),
+      // ALL individual media files (from root and all subfolders) for the global modal
+      modalEntries: sortMediaEntries(index.getAllFiles(), sort.sort, sort.order),
+      modalUrl: `${basePath}/api/v1/media?sort=${sort.sort}&order=${sort.order}`,
+      sort: sort,
+      uploadUrl: canEdit(req, "") ? `${basePath}/upload` : null,
+      manageAlbum: canEdit(req, "") ? "" : null,
     });
+  } catch (err) {
+    console.error("Error in main route:", err);
+    res.status(500).send("An error occurred while building the gallery.");
+  }
+});
+
+// Timeline of every media file in the library, grouped by the month it was taken (EXIF date, or mtime)
+pages.get("/timeline", async (req, res) => {
+  const { basePath, mediaIndex, indexFor } = req.library;
+  try {
+    await mediaIndex.ready;
+    const sort = parseSort(req.query, TIMELINE_SORT);
+    const timelineEntries = sortMediaEntries(indexFor(req).getAllFiles(), "date", sort.order);
+    sendGalleryPage(req, res, {
+      title: `${req.library.title} - Timeline`,
+      viewType: "timeline",
+      folderItems: [],
+      gridEntries: timelineEntries,
+      modalEntries: timelineEntries,
+      modalUrl: `${basePath}/api/v1/media?sort=date&order=${sort.order}`,
+      sort: { sort: "date", order: sort.order },
+      defaultSort: TIMELINE_SORT,
+      sortOptions: SORT_OPTIONS.filter((option) => option.sort === "date"),
+      groupBy: formatCaptureMonth,
+    });
+  } catch (err) {
+    console.error("Error in timeline route:", err);
+    res.status(500).send("An error occurred while building the timeline.");
+  }
+});
+
+// Routes for the virtual albums (see virtualAlbums)
+pages.get("/favorites", async (req, res) => {
+  try {
+    await sendVirtualAlbum(req, res, { favorite: "1" }, "\u2665 Favorites");
+  } catch (err) {
+    console.error("Error in favorites route:", err);
+    res.status(500).send("An error occurred while building the album.");
+  }
+});
+
+pages.get("/ratings/:stars", async (req, res, next) => {
+  const stars = Number(req.params.stars);
+  if (!/^[1-5]$/.test(req.params.stars)) return next();
+  try {
+    await sendVirtualAlbum(req, res, { rating: String(stars) }, ratingLabel(stars));
+  } catch (err) {
+    console.error("Error in ratings route:", err);
+    res.status(500).send("An error occurred while building the album.");
+  }
+});
+
+pages.get("/tags/:tag", async (req, res) => {
+  try {
+    await sendVirtualAlbum(req, res, { tag: req.params.tag }, `# ${req.params.tag}`);
+  } catch (err) {
+    console.error("Error in tags route:", err);
+    res.status(500).send("An error occurred while building the album.");
+  }
+});
 
-    let galleryItems = (await Promise.all(galleryItemsPromises)).filter((item) => item !== null);
+// Day a file was added to the library (its mtime), e.g. "Added July 14, 2024", for grouping the recent view
+const formatAddedDay = (entry) =>
+  `Added ${new Date(entry.mtime).toLocaleDateString("en-US", { year: "numeric", month: "long", day: "numeric" })}`;
 
-    // Sort items: folders first, then files, then alphabetically by name/caption
-    galleryItems.sort((a, b) => {
-      if (a.type === "folder" && b.type !== "folder") return -1;
-      if (a.type !== "folder" && b.type === "folder") return 1;
-      return (a.name || a.caption).localeCompare(b.name || b.caption);
+// Recently added: every media file in the library, newest first by modification time, grouped by day
+pages.get("/recent", async (req, res) => {
+  const { basePath, mediaIndex, indexFor } = req.library;
+  try {
+    await mediaIndex.ready;
+    const sort = parseSort(req.query, RECENT_SORT);
+    const recentEntries = sortMediaEntries(indexFor(req).getAllFiles(), "mtime", sort.order);
+    sendGalleryPage(req, res, {
+      title: `${req.library.title} - Recently added`,
+      viewType: "recent",
+      folderItems: [],
+      gridEntries: recentEntries,
+      modalEntries: recentEntries,
+      modalUrl: `${basePath}/api/v1/media?sort=mtime&order=${sort.order}`,
+      sort: { sort: "mtime", order: sort.order },
+      defaultSort: RECENT_SORT,
+      sortOptions: SORT_OPTIONS.filter((option) => option.sort === "mtime"),
+      groupBy: formatAddedDay,
+      headerHtml: `
+          <p class="feed-link"><a href="${escapeHtml(basePath)}/feed.atom">&#128240; Subscribe to new photos and videos (Atom feed)</a></p>`,
     });
+  } catch (err) {
+    console.error("Error in recent route:", err);
+    res.status(500).send("An error occurred while listing the newest files.");
+  }
+});
 
-    // Collect ALL individual media files (from root and all subfolders) for the global modal
-    const allMediaFilesForModal = [];
-    const collectAllMediaFiles = async (currentDir, relativePathSegments = []) => {
-      const dirEntries = await fs.promises.readdir(currentDir, { withFileTypes: true });
-      await Promise.all(
-        dirEntries.map(async (entry) => {
-          const fullPath = path.join(currentDir, entry.name);
-          const relativePath = path.join(...relativePathSegments, entry.name);
-          if (entry.isDirectory()) {
-            await collectAllMediaFiles(fullPath, [...relativePathSegments, entry.name]);
-          } else if (entry.isFile()) {
-            const ext = path.extname(entry.name).toLowerCase();
-            if ([".jpg", ".jpeg", ".png", ".gif", ".mp4", ".mov", ".webm", ".webp"].includes(ext)) {
-              allMediaFilesForModal.push(await processMediaFileForModal(fullPath, relativePath));
-            }
-          }
-        }),
-      );
-    };
-    await collectAllMediaFiles(path.join(__dirname, photosDirectory));
-
-    const fileListHtml = galleryItems
-      .map((data) => {
-        if (data.type === "folder") {
-          // Folder item: Entire container is a link
-          return `
-                <a href="${data.link}" class="media-container folder-container media-link">
-                    <img src="${data.thumbnailUrl}" alt="${data.caption}">
-                    <p>${data.caption}</p>
-                </a>
-            `;
-        } else {
-          // type is 'file' (loose file in root)
-          const mediaElement = [".mp4", ".mov", ".webm"].includes(data.ext)
-            ? `<video src="${data.thumbnailUrl}" controls preload="metadata"></video>`
-            : `<img src="${data.thumbnailUrl}" alt="${data.caption}">`;
-
-          // Find the index of this file in the `allMediaFilesForModal` array for modal navigation
-          const modalIndex = allMediaFilesForModal.findIndex((f) => f.file === data.file);
-
-          return `
-                <div class="media-container file-container" data-index="${modalIndex}">
-                    <a href="#" class="media-link">
-                        ${mediaElement}
-                    </a>
-                    <p>${data.caption}</p>
-                </div>
-            `;
-        }
-      })
+// Helper to render the filter form on the search page; `resultCount` is null before anything was searched
+const renderSearchFilters = (criteria, facets, resultCount, sort, basePath = "") => {
+  const selectOptions = (values, selected, anyLabel, labelFor = (value) => value) =>
+    [`<option value="">${anyLabel}</option>`]
+      .concat(
+        values.map(
+          (value) =>
+            `<option value="${escapeHtml(value)}"${value === selected ? " selected" : ""}>${escapeHtml(labelFor(value))}</option>`,
+        ),
+      )
       .join("");
 
-    res.send(renderHtmlPage(projectTitle, authorName, fileListHtml, allMediaFilesForModal, "main"));
+  let summary =
+    "Search captions and file names, or filter the whole library by date, type, format, camera, tag or rating.";
+  if (resultCount !== null) {
+    summary =
+      resultCount === 0
+        ? "No matching photos or videos."
+        : `${resultCount} matching item${resultCount === 1 ? "" : "s"}.`;
+  }
+
+  return `
+          <form class="search-filters" action="${escapeHtml(basePath)}/search" method="get">
+            <label>Text <input type="search" name="q" value="${escapeHtml(criteria.q || "")}"></label>
+            <label>From <input type="date" name="from" value="${escapeHtml(criteria.from || "")}"></label>
+            <label>To <input type="date" name="to" value="${escapeHtml(criteria.to || "")}"></label>
+            <label>Type <select name="type">${selectOptions(["image", "video"], criteria.type, "Any", (type) => (type === "image" ? "Photos" : "Videos"))}</select></label>
+            <label>Format <select name="ext">${selectOptions(facets.extensions, criteria.ext, "Any", (ext) => ext.slice(1).toUpperCase())}</select></label>
+            <label>Camera <select name="camera">${selectOptions(facets.cameras, criteria.camera, "Any")}</select></label>
+            <label>Tag <select name="tag">${selectOptions(facets.tags, criteria.tag, "Any")}</select></label>
+            <label>Rating <select name="rating">${selectOptions(["5", "4", "3", "2", "1"], criteria.rating, "Any", (stars) => ratingLabel(Number(stars)))}</select></label>
+            <label><input type="checkbox" name="favorite" value="1"${criteria.favorite ? " checked" : ""}> Favorites</label>
+            <input type="hidden" name="sort" value="${escapeHtml(sort.sort)}">
+            <input type="hidden" name="order" value="${escapeHtml(sort.order)}">
+            <button type="submit">Search</button>
+            <a href="${escapeHtml(basePath)}/search">Clear</a>
+          </form>
+          <p class="search-summary">${summary}</p>
+        `;
+};
+
+// Route for searching the whole library; results use the same grid and modal as albums,
+// and the modal steps through the result set only
+pages.get("/search", async (req, res) => {
+  const { basePath, mediaIndex, indexFor } = req.library;
+  try {
+    await mediaIndex.ready;
+    const { criteria } = parseSearchCriteria(req.query); // Invalid filters are simply ignored here
+    const sort = parseSort(req.query);
+    const allFiles = indexFor(req).getAllFiles();
+    const searched = hasSearchCriteria(criteria);
+    const results = searched ? sortMediaEntries(searchMedia(allFiles, criteria), sort.sort, sort.order) : [];
+
+    sendGalleryPage(req, res, {
+      title: `${req.library.title} - Search`,
+      viewType: "search",
+      folderItems: [],
+      gridEntries: results,
+      modalEntries: results,
+      modalUrl: `${basePath}/api/v1/search?${searchQueryString(criteria)}&sort=${sort.sort}&order=${sort.order}`,
+      sort: sort,
+      headerHtml: renderSearchFilters(
+        criteria,
+        searchFacets(allFiles),
+        searched ? results.length : null,
+        sort,
+        basePath,
+      ),
+      searchQuery: criteria.q || "",
+    });
   } catch (err) {
-    console.error("Error in main route:", err);
-    res.status(500).send("An error occurred while building the gallery.");
+    console.error("Error in search route:", err);
+    res.status(500).send("An error occurred while searching the gallery.");
   }
 });
 
-// Dynamic route to handle requests for sub-folders
-// This must be AFTER app.get('/') to prioritize the homepage,
-// but BEFORE any general 404 handler.
-app.get("/:potentialFolderName", async (req, res, next) => {
-  const folderName = req.params.potentialFolderName;
-  const folderFullPath = path.join(__dirname, photosDirectory, folderName);
+// Helper to render one trash item with its "Restore" and "Delete for good" buttons
+const renderTrashItem = (item) => `
+                <div class="trash-item">
+                    <span class="trash-path">${item.type === "album" ? "&#128193;" : "&#128444;"} /${escapeHtml(item.path)}</span>
+                    <span class="trash-info">deleted ${escapeHtml(new Date(item.trashedAt).toLocaleString())}${
+                      item.user ? ` by ${escapeHtml(item.user)}` : ""
+                    }</span>
+                    <button type="button" data-trash-restore="${escapeHtml(item.id)}">Restore</button>
+                    <button type="button" data-trash-purge="${escapeHtml(item.id)}">Delete for good</button>
+                </div>`;
 
+// Route for the trash: what logged-in users deleted from albums they may change, to restore or purge
+pages.get("/trash", async (req, res) => {
+  const { library } = req;
   try {
-    const stat = await fs.promises.stat(folderFullPath);
-    if (stat.isDirectory()) {
-      // If it's a directory, render the folder's gallery view
-      const folderRelativePath = folderName; // relative to photosDirectory
+    if (!auth.enabled || !req.viewer.user) return sendAccessDenied(req, res);
+    // Only what the visitor could change where it came from
+    const items = (await library.trash.list()).filter((item) => {
+      const relativePath = relativePathFromSegments(item.path.split("/"));
+      return relativePath !== null && library.canEdit(req, parentFolder(relativePath));
+    });
+    const listHtml =
+      items.length > 0
+        ? `<div class="trash-list">${items.map(renderTrashItem).join("")}</div>`
+        : '<p class="trash-empty">The trash is empty.</p>';
+    res.send(
+      renderHtmlPage(
+        `${library.title} - Trash`,
+        library.author,
+        listHtml,
+        { url: null, total: 0, pageSize: 0, pages: {} },
+        "trash",
+        "",
+        {
+          nonce: res.locals.cspNonce,
+          basePath: library.basePath,
+          theme: library.theme,
+          accountHtml: renderAccount(req.viewer, req.originalUrl, library.basePath),
+        },
+      ),
+    );
+  } catch (err) {
+    console.error("Error in trash route:", err);
+    res.status(500).send("An error occurred while reading the trash.");
+  }
+});
 
-      const mediaFiles = await getMediaFilesFromDirectory(folderFullPath);
+// Helper to format a file size, e.g. "3.4 MB"
+const formatFileSize = (bytes) => {
+  const units = ["bytes", "KB", "MB", "GB", "TB"];
+  let unit = 0;
+  while (bytes >= 1024 && unit < units.length - 1) {
+    bytes /= 1024;
+    unit++;
+  }
+  return `${unit === 0 ? bytes : bytes.toFixed(1)} ${units[unit]}`;
+};
 
-      const folderMediaFilesForModalPromises = mediaFiles.map(async (file) => {
-        const fullPath = path.join(folderFullPath, file);
-        const relativePath = path.join(folderRelativePath, file);
-        return await processMediaFileForModal(fullPath, relativePath);
-      });
-      const folderMediaFilesForModal = await Promise.all(folderMediaFilesForModalPromises);
-
-      const fileListHtml = folderMediaFilesForModal
-        .map((data, index) => {
-          const mediaElement = [".mp4", ".mov", ".webm"].includes(data.ext)
-            ? `<video src="/${data.file}" controls preload="metadata"></video>`
-            : `<img src="/${data.file}" alt="${data.caption}">`;
-
-          return `
-          <div class="media-container file-container" data-index="${index}">
-            <a href="#" class="media-link">
-              ${mediaElement}
-            </a>
-            <p>${data.caption}</p>
-          </div>
-        `;
-        })
-        .join("");
+// Helper to render one group of copies on the duplicates page: each file with its thumbnail, size, pixel
+// size and date taken, and, if `canKeep`, a choice of the one to keep (the first, oldest one unless changed)
+const renderDuplicateGroup = (group, number, basePath = "", canKeep = true) => `
+                <section class="duplicate-group">
+                    <h2 class="group-heading">${group.identical ? "Identical copies" : "Similar pictures"}</h2>
+                    <div class="duplicate-files">${group.entries
+                      .map((entry, position) => {
+                        const { width, height } = mediaDetails(entry);
+                        const info = [
+                          formatFileSize(entry.size),
+                          width && height ? `${width} &times; ${height}` : "",
+                          escapeHtml(
+                            new Date(capturedAt(entry)).toLocaleString("en-US", {
+                              dateStyle: "medium",
+                              timeStyle: "short",
+                              timeZone: entry.exif && entry.exif.DateTimeOriginal ? "UTC" : undefined,
+                            }),
+                          ),
+                        ].filter(Boolean);
+                        return `
+                        <label class="duplicate-file">
+                            ${canKeep ? `<input type="radio" name="keep-${number}" value="${escapeHtml(entry.file.split(path.sep).join("/"))}"${position === 0 ? " checked" : ""}>` : ""}
+                            <img src="${escapeHtml(thumbnailUrlFor(entry, "thumb", basePath))}" alt="" loading="lazy">
+                            <a href="${escapeHtml(toUrlPath(entry.file, basePath))}" target="_blank" rel="noopener">/${escapeHtml(entry.file.split(path.sep).join("/"))}</a>
+                            <span class="duplicate-info">${info.join(" &middot; ")}</span>
+                        </label>`;
+                      })
+                      .join("")}
+                    </div>
+                    ${canKeep ? '<button type="button" data-duplicates-keep>Keep the selected one, move the others to the trash</button>' : ""}
+                </section>`;
 
-      res.send(
-        renderHtmlPage(
-          `${projectTitle} - ${folderName}`,
-          authorName,
-          fileListHtml,
-          folderMediaFilesForModal,
-          "folder",
-          folderName,
-        ),
-      );
-    } else {
-      // If it's not a directory (e.g., a file or something else), pass control to the next middleware
-      next();
-    }
+// Route for the duplicates page: copies among the files the visitor may change, found by the background
+// job (see lib/duplicates.js), to keep one of each and trash the rest. Without access control nothing can be
+// trashed from the browser, so everyone gets the report for the whole library, without the buttons.
+pages.get("/duplicates", async (req, res) => {
+  const { library } = req;
+  try {
+    if (auth.enabled && !req.viewer.user) return sendAccessDenied(req, res);
+    await library.mediaIndex.ready;
+    await library.duplicates.ready;
+    const candidates = auth.enabled
+      ? library
+          .indexFor(req)
+          .getAllFiles()
+          .filter((entry) => library.canEdit(req, parentFolder(entry.file)))
+      : library.mediaIndex.getAllFiles();
+    const groups = library.duplicates.findGroups(candidates);
+    const { progress } = library.duplicates;
+
+    const wastedBytes = groups.reduce((total, group) => total + group.wastedBytes, 0);
+    const summary = [
+      groups.length === 0
+        ? "No copies found."
+        : `${groups.length} group${groups.length === 1 ? "" : "s"} of copies; keeping one file of each would free up to ${formatFileSize(wastedBytes)}.`,
+      progress.running
+        ? `Still checking the library (${progress.done} of ${progress.total} new or changed files done), so more may turn up.`
+        : "",
+    ].join(" ");
+    const listHtml = `
+                <p class="duplicates-summary">${summary}</p>
+                <div class="duplicate-list">${groups.map((group, number) => renderDuplicateGroup(group, number, library.basePath, auth.enabled)).join("")}</div>`;
+    res.send(
+      renderHtmlPage(
+        `${library.title} - Duplicates`,
+        library.author,
+        listHtml,
+        { url: null, total: 0, pageSize: 0, pages: {} },
+        "duplicates",
+        "",
+        {
+          nonce: res.locals.cspNonce,
+          basePath: library.basePath,
+          theme: library.theme,
+          accountHtml: renderAccount(req.viewer, req.originalUrl, library.basePath),
+        },
+      ),
+    );
   } catch (err) {
-    if (err.code === "ENOENT") {
-      // Path not found, pass control to the next middleware (e.g., a 404 handler)
-      next();
-    } else {
-      console.error(`Error in dynamic route /${folderName}:`, err);
-      res.status(500).send("An error occurred while building the folder gallery.");
-    }
+    console.error("Error in duplicates route:", err);
+    res.status(500).send("An error occurred while looking for duplicates.");
   }
 });
 
-// Function to render the full HTML page (to avoid duplication)
-const renderHtmlPage = (title, author, fileListHtml, mediaFilesForModal, viewType, currentFolder = "") => `
-      <!DOCTYPE html>
-      <html lang="en">
-      <head>
-          <meta charset="UTF-8">
-          <meta name="viewport" content="width=device-width, initial-scale=1.0">
-          <title>${title}</title>
-          <style>
-              /* Light/Dark Theme Variables */
-              :root {
-                --bg-color: #f0f2f5;
-                --text-color: #333;
-                --card-bg: #fff;
-                --border-color: #ccc;
-                --shadow-color: rgba(0,0,0,0.1);
-                --brand-color: #C4A484; /* Defined brand color */
-              }
-              body.dark-mode {
-                --bg-color: #3b3b3b;
-                --text-color: #f0f2f5;
-                --card-bg: #4a4a4a;
-                --border-color: #666;
-                --shadow-color: rgba(0,0,0,0.3);
-              }
-
-              body { font-family: sans-serif; display: flex; flex-wrap: wrap; gap: 20px; padding: 20px; background-color: var(--bg-color); color: var(--text-color); transition: background-color 0.3s, color 0.3s; }
-              .header { width: 100%; text-align: center; padding-bottom: 20px; border-bottom: 2px solid var(--border-color); margin-bottom: 20px; }
-              .media-container {
-                width: 250px;
-                text-align: center;
-                border: 1px solid var(--border-color);
-                padding: 10px;
-                border-radius: 8px;
-                box-shadow: 0 4px 6px var(--shadow-color);
-                background-color: var(--card-bg); /* Default background for file containers */
-                cursor: pointer;
-                transition: background-color 0.3s, box-shadow 0.3s;
-                /* Added for folder links to behave as blocks */
-                display: flex;
-                flex-direction: column;
-                text-decoration: none; /* Ensure no underline on folder links */
-                color: inherit; /* Inherit text color for folder links */
-              }
-              /* Styling for sub-folders on main page, using brand color */
-              a.media-container.folder-container {
-                background-color: var(--brand-color);
-                border: 1px solid var(--border-color); /* Keep existing border for consistency */
-                box-shadow: 0 6px 12px var(--shadow-color); /* Slightly more prominent shadow */
-              }
-              /* Text color for paragraphs inside folder containers */
-              a.media-container.folder-container p {
-                color: #ffffff; /* White text for readability on brand background */
-              }
-
-
-              .media-container img, .media-container video { max-width: 100%; height: auto; display: block; margin: 0 auto 10px; border-radius: 4px; }
-              a.media-link { text-decoration: none; color: inherit; } /* Specific for internal modal links */
-              p { margin: 0; padding: 0; word-wrap: break-word; font-size: 0.9em; color: var(--text-color); } /* Default for other paragraphs */
-
-              /* Folder specific styling */
-              .folder-container img {
-                max-height: 200px; /* Limit height for folder covers */
-                object-fit: cover; /* Ensure covers fill space nicely */
-              }
-
-              /* Modal Styles */
-              .modal { display: none; position: fixed; z-index: 100; left: 0; top: 0; width: 100%; height: 100%; overflow: auto; background-color: rgba(0,0,0,0.9); }
-              .modal-content { margin: auto; display: block; max-width: 90%; max-height: 90vh; }
-              .modal-caption { margin: auto; display: block; width: 80%; max-width: 700px; text-align: center; color: #ccc; padding: 10px 0; }
-              .close { position: absolute; top: 15px; right: 35px; color: #f1f1f1; font-size: 40px; font-weight: bold; transition: 0.3s; cursor: pointer; }
-              .modal-nav { position: absolute; top: 50%; width: auto; padding: 16px; margin-top: -50px; color: #fff; font-size: 40px; font-weight: bold; cursor: pointer; user-select: none; }
-              .prev { left: 0; }
-              .next { right: 0; }
-
-              /* Dropdown for Theme Switching */
-              .theme-select-wrapper { position: fixed; top: 20px; right: 20px; }
-              #theme-select {
-                padding: 5px 10px;
-                border-radius: 5px;
-                font-size: 1em;
-                background-color: var(--card-bg);
-                color: var(--text-color);
-                border: 1px solid var(--border-color);
-                cursor: pointer;
-              }
-              #theme-select option {
-                background-color: var(--card-bg);
-                color: var(--text-color);
-              }
-              /* Back button specific styling */
-              .back-button-wrapper { width: 100%; text-align: left; margin-bottom: 20px;}
-              .back-button {
-                display: inline-block;
-                padding: 10px 15px;
-                background-color: var(--card-bg);
-                color: var(--text-color);
-                border: 1px solid var(--border-color);
-                border-radius: 5px;
-                text-decoration: none;
-                font-size: 0.9em;
-                transition: background-color 0.3s;
-              }
-              .back-button:hover {
-                background-color: var(--border-color);
-              }
-          </style>
-      </head>
-      <body>
-          <div class="header">
-            <h1>${title}</h1>
-            <p>A gallery by ${author}</p>
-          </div>
+// Route for the original media files, e.g. /2024/summer/beach.jpg
+// Only files in the media index are served: no dotfiles, no sidecars or other non-media files, nothing
+// hidden by an album sidecar, nothing the visitor isn't allowed to see and no symlinks leading outside
+// the library. Anything else (including folder URLs like /2024/summer) falls through to the album route below.
+// These two catch-alls come after every page with a fixed URL (the timeline, search, trash, ...), so a
+// library folder with the same name can't take over the page.
+pages.get("/*filePath", async (req, res, next) => {
+  const relativePath = relativePathFromSegments(req.params.filePath);
+  if (relativePath === null) return next();
+  await req.library.mediaIndex.ready;
+  const index = req.library.indexFor(req);
+  const filePath = await index.getFilePath(relativePath);
+  if (!filePath) return next();
+  res.set("Cache-Control", `${cacheScope}, max-age=${config.cache.mediaMaxAge}`);
+  // The type found in the file's contents, which may not be the one its extension suggests
+  res.type(mediaTypeOf(index.getFile(relativePath)).mimeType);
+  // The library itself may live below a dot-folder; dotfiles inside it never make it into the index
+  res.sendFile(filePath, { cacheControl: false, dotfiles: "allow" });
+});
 
-          <div class="theme-select-wrapper">
-            <select id="theme-select">
-              <option value="system">System</option>
-              <option value="light">Light</option>
-              <option value="dark">Dark</option>
-            </select>
-          </div>
+// Route for folders (albums) at any depth, e.g. /2024/summer/beach
+pages.get("/*folderPath", async (req, res, next) => {
+  const folderRelativePath = relativePathFromSegments(req.params.folderPath); // relative to the library
+  if (folderRelativePath === null) return next();
+  const { basePath, mediaIndex, thumbnailer, indexFor, canEdit } = req.library;
 
-          ${viewType === "folder" ? `<div class="back-button-wrapper"><a href="/" class="back-button">&#8592; Back to Gallery</a></div>` : ""}
+  try {
+    await mediaIndex.ready;
+    const index = indexFor(req);
+    const folder = index.getFolder(folderRelativePath);
+    if (folder) {
+      const { buildFolderItem } = createGallery({ mediaIndex: index, thumbnailer, basePath });
+      // Render the folder's gallery view with its sub-albums first
+      const defaultSort = folder.album.hasOrder ? ALBUM_ORDER_OPTION : DEFAULT_SORT;
+      const sort = parseSort(req.query, defaultSort);
+      const folderEntries = sortMediaEntries(folder.files, sort.sort, sort.order);
+      sendGalleryPage(req, res, {
+        title: `${req.library.title} - ${albumTrail(index, folderRelativePath)
+          .map((level) => level.label)
+          .join(" / ")}`,
+        viewType: "folder",
+        currentFolder: folderRelativePath,
+        folderItems: folder.subfolders.map((subfolder) => buildFolderItem(path.join(folderRelativePath, subfolder))),
+        gridEntries: folderEntries,
+        modalEntries: folderEntries,
+        modalUrl: `${basePath}/api/v1/albums${toUrlPath(folderRelativePath)}?sort=${sort.sort}&order=${sort.order}`,
+        sort: sort,
+        defaultSort: defaultSort,
+        sortOptions: folder.album.hasOrder ? [ALBUM_ORDER_OPTION, ...SORT_OPTIONS] : SORT_OPTIONS,
+        headerHtml: renderAlbumHeader(folder.album, folder.sidecarError),
+        downloadUrl: `${basePath}/download/album${toUrlPath(folderRelativePath)}`,
+        mapExportPath: geotaggedFiles(index, folderRelativePath).length > 0 ? toUrlPath(folderRelativePath) : null,
+        // Share links name the album by its path on the site (see createLibrary)
+        shareAlbum:
+          req.viewer.user && auth.enabled ? req.library.sitePath(folderRelativePath).split(path.sep).join("/") : null,
+        uploadUrl: canEdit(req, folderRelativePath) ? `${basePath}/upload${toUrlPath(folderRelativePath)}` : null,
+        manageAlbum: canEdit(req, folderRelativePath) ? folderRelativePath.split(path.sep).join("/") : null,
+      });
+    } else if (mediaIndex.getFolder(folderRelativePath)) {
+      // In the library, but restricted
+      sendAccessDenied(req, res);
+    } else {
+      // Not a folder in the library, pass control to the next middleware (e.g., a 404 handler)
+      next();
+    }
+  } catch (err) {
+    console.error(`Error in folder route /${folderRelativePath}:`, err);
+    res.status(500).send("An error occurred while building the folder gallery.");
+  }
+});
 
-          ${fileListHtml}
+// Mount every library under its URL prefix; longer prefixes come first (see lib/config.js), so the library
+// at "/" only gets the requests none of the others take
+const libraries = config.libraries.map(createLibrary);
+for (const library of libraries) {
+  app.use(library.basePath || "/", createLibraryRouter(library));
+}
 
-          <div id="myModal" class="modal">
-            <span class="close">&times;</span>
-            <div class="modal-nav prev">&#10094;</div>
-            <div class="modal-nav next">&#10095;</div>
-            <div class="modal-media-wrapper">
-              </div>
-            <div id="caption" class="modal-caption"></div>
-          </div>
+// Without a library at "/", the top of the site lists the libraries, each with the cover of its top level
+if (!libraries.some((library) => library.basePath === "")) {
+  app.get("/", async (req, res) => {
+    try {
+      const cards = [];
+      for (const library of libraries) {
+        await library.mediaIndex.ready;
+        const index = library.indexFor(req);
+        const { findFolderCover } = createGallery({
+          mediaIndex: index,
+          thumbnailer: library.thumbnailer,
+          basePath: library.basePath,
+        });
+        const cover = index.getFolder("") ? findFolderCover("") : null;
+        cards.push(
+          renderFolderCard({
+            link: `${library.basePath}/`,
+            caption: library.title,
+            thumbnailUrl: cover ? cover.url : "/folder_icon.png",
+          }),
+        );
+      }
+      res.send(
+        renderHtmlPage(
+          config.title,
+          config.author,
+          cards.join(""),
+          { url: null, total: 0, pageSize: 0, pages: {} },
+          "libraries",
+          "",
+          {
+            nonce: res.locals.cspNonce,
+            navigation: false,
+            accountHtml: renderAccount(req.viewer, req.originalUrl),
+          },
+        ),
+      );
+    } catch (err) {
+      console.error("Error in library list route:", err);
+      res.status(500).send("An error occurred while listing the libraries.");
+    }
+  });
+}
 
-          <script>
-            const mediaFiles = ${JSON.stringify(mediaFilesForModal)};
-            let currentIndex = 0;
-            const modal = document.getElementById("myModal");
-            const modalMediaWrapper = document.querySelector(".modal-media-wrapper");
-            const captionText = document.getElementById("caption");
-            const prevBtn = document.querySelector(".prev");
-            const nextBtn = document.querySelector(".next");
-            const themeSelect = document.getElementById('theme-select');
-            const body = document.body;
-
-            // Function to show the modal with the selected media
-            const showModal = (index) => {
-              currentIndex = index;
-              if (currentIndex < 0 || currentIndex >= mediaFiles.length) return; // Boundary check
-
-              const file = mediaFiles[currentIndex];
-
-              modalMediaWrapper.innerHTML = ''; // Clear previous content
-              const mediaElement = document.createElement(file.ext.includes('mp4') || file.ext.includes('mov') || file.ext.includes('webm') ? 'video' : 'img');
-              mediaElement.src = '/' + file.file;
-              mediaElement.alt = file.caption;
-
-              if (mediaElement.tagName === 'VIDEO') {
-                  mediaElement.controls = true;
-                  mediaElement.preload = "metadata";
-                  mediaElement.autoplay = true; // Autoplay videos when opened in modal
-                  mediaElement.loop = true; // Loop videos
-              }
-              mediaElement.classList.add('modal-content');
-              modalMediaWrapper.appendChild(mediaElement);
-
-              captionText.innerHTML = file.caption;
-              modal.style.display = "block";
-            };
-
-            // Event listeners for file thumbnails (opens modal)
-            document.querySelectorAll('.media-container.file-container').forEach(container => {
-                container.addEventListener('click', (e) => {
-                    e.preventDefault(); // Prevent default navigation to open modal
-                    const index = parseInt(container.dataset.index);
-                    showModal(index);
-                });
-            });
-
-            // Close the modal
-            document.querySelector('.close').addEventListener('click', () => {
-              modal.style.display = "none";
-              const video = modalMediaWrapper.querySelector('video');
-              if (video) video.pause(); // Pause video when modal closes
-            });
-
-            // Navigation functions for modal
-            const showNext = () => {
-              currentIndex = (currentIndex + 1) % mediaFiles.length;
-              showModal(currentIndex);
-            };
-
-            const showPrev = () => {
-              currentIndex = (currentIndex - 1 + mediaFiles.length) % mediaFiles.length;
-              showModal(currentIndex);
-            };
-
-            prevBtn.addEventListener('click', showPrev);
-            nextBtn.addEventListener('click', showNext);
-
-            // Close modal with Escape key
-            document.addEventListener('keydown', (e) => {
-                if (e.key === 'Escape' && modal.style.display === 'block') {
-                    modal.style.display = 'none';
-                    const video = modalMediaWrapper.querySelector('video');
-                    if (video) video.pause();
-                }
-            });
-
-            // Theme management
-            const applyTheme = (theme) => {
-                if (theme === 'dark') {
-                    body.classList.add('dark-mode');
-                    localStorage.setItem('theme', 'dark');
-                } else if (theme === 'light') {
-                    body.classList.remove('dark-mode');
-                    localStorage.setItem('theme', 'light');
-                } else { // 'system'
-                    localStorage.removeItem('theme'); // Clear user preference
-                    const prefersDark = window.matchMedia('(prefers-color-scheme: dark)').matches;
-                    if (prefersDark) {
-                        body.classList.add('dark-mode');
-                    } else {
-                        body.classList.remove('dark-mode');
-                    }
-                }
-            };
-
-            const setInitialTheme = () => {
-                const savedTheme = localStorage.getItem('theme');
-                if (savedTheme) {
-                    themeSelect.value = savedTheme;
-                    applyTheme(savedTheme);
-                } else {
-                    themeSelect.value = 'system';
-                    applyTheme('system'); // Apply system preference
-                }
-            };
-
-            // Event listener for the dropdown menu
-            themeSelect.addEventListener('change', (e) => {
-                const selectedTheme = e.target.value;
-                applyTheme(selectedTheme);
-            });
-
-            // Set the initial theme on page load
-            setInitialTheme();
-          </script>
-      </body>
-      </html>
-`;
-
-const PORT = process.env.PORT || 3000;
-app.listen(PORT, () => {
-  console.log(`Server is running on http://localhost:${PORT}`);
+// Plain HTTP unless a certificate and key are configured
+const server = config.https
+  ? https.createServer({ cert: fs.readFileSync(config.https.cert), key: fs.readFileSync(config.https.key) }, app)
+  : http.createServer(app);
+server.listen(config.port, config.host || undefined, () => {
+  const origin = `${config.https ? "https" : "http"}://${config.host || "localhost"}:${server.address().port}`;
+  console.log(`Server is running on ${origin}`);
+  for (const library of libraries) {
+    console.log(`  ${origin}${library.basePath}/ -> ${library.rootDir}`);
+  }
 });
+
+// Flush any pending media index changes to disk before exiting
+const shutdown = () => {
+  Promise.allSettled(
+    libraries.flatMap((library) => [
+      library.mediaIndex.close(),
+      library.annotations.close(),
+      library.duplicates.close(),
+    ]),
+  ).finally(() => process.exit(0));
+};
+process.on("SIGINT", shutdown);
+process.on("SIGTERM", shutdown);
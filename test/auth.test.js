@@ -0,0 +1,177 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const express = require("express");
+const { createAuth, hashPassword } = require("../lib/auth");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let tempDir;
+let auth;
+let server;
+let baseUrl;
+
+before(async () => {
+  tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "gallery-auth-"));
+  const configFile = path.join(tempDir, "auth.json");
+  fs.writeFileSync(
+    configFile,
+    JSON.stringify({
+      secret: "0123456789abcdef0123456789abcdef",
+      users: { alice: { password: await hashPassword("alicepw") }, bob: { password: await hashPassword("bobpw") } },
+      albums: { "/": "public", "/family": "authenticated", "/family/alice": ["alice"] },
+    }),
+  );
+  auth = createAuth({ configFile });
+
+  // Just the auth router, and a page that says who it thinks is asking
+  const app = express();
+  app.use(auth.router);
+  app.get("/whoami", (req, res) => res.json(req.viewer));
+  await new Promise((resolve) => {
+    server = app.listen(0, "127.0.0.1", resolve);
+  });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.close();
+  fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+// The name=value part of a Set-Cookie header
+const cookieFrom = (response) => (response.headers.get("set-cookie") || "").split(";")[0];
+
+const whoami = (cookie) => fetch(`${baseUrl}/whoami`, { headers: { cookie } }).then((response) => response.json());
+
+const guest = { user: null, shares: [] };
+const alice = { user: "alice", shares: [] };
+const bob = { user: "bob", shares: [] };
+
+test("albums follow the rule of their nearest configured ancestor", () => {
+  assert.equal(auth.canView(guest, ""), true);
+  assert.equal(auth.canView(guest, "holidays"), true);
+  assert.equal(auth.canView(guest, "family"), false);
+  assert.equal(auth.canView(guest, path.join("family", "2024")), false);
+  assert.equal(auth.canView(bob, path.join("family", "2024")), true);
+  assert.equal(auth.canView(bob, path.join("family", "alice")), false);
+  assert.equal(auth.canView(bob, path.join("family", "alice", "trip")), false);
+  assert.equal(auth.canView(alice, path.join("family", "alice", "trip")), true);
+});
+
+test("rules only match whole folder names", () => {
+  assert.equal(auth.canView(guest, "family-public"), true);
+  assert.equal(auth.canView(bob, path.join("family", "alice-and-bob")), true);
+});
+
+test("share links open one album and what's below it, read-only", () => {
+  const viewer = { user: null, shares: [path.join("family", "alice")] };
+  assert.equal(auth.canView(viewer, path.join("family", "alice", "trip")), true);
+  assert.equal(auth.canView(viewer, "family"), false);
+  assert.equal(auth.canEdit(viewer, path.join("family", "alice")), false);
+  assert.equal(
+    auth.canEdit({ user: "bob", shares: [path.join("family", "alice")] }, path.join("family", "alice")),
+    false,
+  );
+  assert.equal(auth.canEdit(alice, path.join("family", "alice")), true);
+});
+
+test("hasRulesWithin finds rules on a folder or below it", () => {
+  assert.equal(auth.hasRulesWithin("family"), true);
+  assert.equal(auth.hasRulesWithin(path.join("family", "alice")), true);
+  assert.equal(auth.hasRulesWithin("holidays"), false);
+});
+
+test("logging in sets a session cookie that names the user", async () => {
+  const response = await fetch(`${baseUrl}/login`, {
+    method: "POST",
+    body: new URLSearchParams({ username: "alice", password: "alicepw", next: "/family" }),
+    redirect: "manual",
+  });
+  assert.equal(response.status, 303);
+  assert.equal(response.headers.get("location"), "/family");
+  assert.equal((await whoami(cookieFrom(response))).user, "alice");
+});
+
+test("a wrong password is refused", async () => {
+  const response = await fetch(`${baseUrl}/login`, {
+    method: "POST",
+    body: new URLSearchParams({ username: "alice", password: "bobpw" }),
+    redirect: "manual",
+  });
+  assert.equal(response.status, 401);
+  assert.equal(response.headers.get("set-cookie"), null);
+});
+
+test("forged or tampered session cookies are ignored", async () => {
+  const body = Buffer.from(JSON.stringify({ t: "session", u: "alice", exp: Date.now() + DAY_MS })).toString(
+    "base64url",
+  );
+  assert.equal((await whoami(`gallery_session=${body}.${"A".repeat(43)}`)).user, null);
+  assert.equal((await whoami(`gallery_session=${body}`)).user, null);
+
+  // A genuine share token isn't a session
+  const shareToken = auth.createShareLink("family", Date.now() + DAY_MS).slice("/share/".length);
+  assert.equal((await whoami(`gallery_session=${shareToken}`)).user, null);
+});
+
+test("a share link remembers the album in a cookie and goes to it", async () => {
+  const link = auth.createShareLink(path.join("family", "alice"), Date.now() + DAY_MS);
+  const response = await fetch(baseUrl + link, { redirect: "manual" });
+  assert.equal(response.status, 303);
+  assert.equal(response.headers.get("location"), "/family/alice");
+  assert.deepEqual(await whoami(cookieFrom(response)), { user: null, shares: [path.join("family", "alice")] });
+});
+
+test("expired or tampered share links are refused", async () => {
+  const expired = auth.createShareLink("family", Date.now() - 1000);
+  assert.equal((await fetch(baseUrl + expired, { redirect: "manual" })).status, 410);
+
+  // Same signature, wider album
+  const [, signature] = auth
+    .createShareLink("family/alice", Date.now() + DAY_MS)
+    .slice("/share/".length)
+    .split(".");
+  const widened = Buffer.from(JSON.stringify({ t: "share", a: "", exp: Date.now() + DAY_MS })).toString("base64url");
+  assert.equal((await fetch(`${baseUrl}/share/${widened}.${signature}`, { redirect: "manual" })).status, 410);
+
+  // Expired tokens left in the cookie don't count either
+  assert.deepEqual((await whoami(`gallery_shares=${expired.slice("/share/".length)}`)).shares, []);
+});
+
+// Write an access control file with one user, alice, whose stored password is `password`
+const configWithPassword = (password) => {
+  const configFile = path.join(tempDir, "broken-auth.json");
+  fs.writeFileSync(configFile, JSON.stringify({ secret: "0123456789abcdef0123", users: { alice: { password } } }));
+  return configFile;
+};
+
+test("password hashes with broken parameters stop the server", () => {
+  for (const password of ["scrypt$abc$8$1$c2FsdA$aGFzaA", "scrypt$16384$8$1$c2FsdA$", "scrypt$3$8$1$c2FsdA$aGFzaA"]) {
+    assert.throws(() => createAuth({ configFile: configWithPassword(password) }), /user "alice" needs a "password"/);
+  }
+});
+
+test("a password hash scrypt refuses fails the login instead of the server", async (t) => {
+  t.mock.method(console, "error", () => {});
+  // Looks right, but N is beyond what scrypt takes
+  const broken = createAuth({ configFile: configWithPassword("scrypt$1099511627776$8$1$c2FsdA$aGFzaA") });
+  const app = express();
+  app.use(broken.router);
+  const brokenServer = await new Promise((resolve) => {
+    const listening = app.listen(0, "127.0.0.1", () => resolve(listening));
+  });
+  try {
+    const response = await fetch(`http://127.0.0.1:${brokenServer.address().port}/login`, {
+      method: "POST",
+      body: new URLSearchParams({ username: "alice", password: "alicepw" }),
+      redirect: "manual",
+    });
+    assert.equal(response.status, 401);
+    assert.doesNotMatch(await response.text(), /ERR_OUT_OF_RANGE|\n\s+at /);
+  } finally {
+    brokenServer.close();
+  }
+});
@@ -0,0 +1,81 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createDuplicateFinder } = require("../lib/duplicates");
+
+// Perceptual hashes: SIMILAR is 3 bits away from PICTURE, OTHER differs everywhere, and the plain ones
+// (next to no bits set) are close to each other but too featureless to compare
+const PICTURE = "f0e1d2c3b4a59687";
+const SIMILAR = "f0e1d2c3b4a59680";
+const OTHER = "0f1e2d3c4b5a6978";
+const PLAIN = "0000000000000001";
+const ALSO_PLAIN = "0000000000000003";
+
+let dir;
+let finder;
+
+// Index entries and the fingerprints cached for them
+const entries = [
+  { file: "a/beach.jpg", size: 3000, mtime: 3000, sha256: "aa", dhash: PICTURE },
+  { file: "b/beach copy.jpg", size: 3000, mtime: 1000, sha256: "aa", dhash: PICTURE },
+  { file: "b/beach small.jpg", size: 500, mtime: 2000, sha256: "bb", dhash: SIMILAR },
+  { file: "c/clip.mp4", size: 9000, mtime: 1000, sha256: "cc", dhash: null },
+  { file: "c/clip (2).mp4", size: 9000, mtime: 1000, sha256: "cc", dhash: null },
+  { file: "d/other.jpg", size: 800, mtime: 1000, sha256: "dd", dhash: OTHER },
+  { file: "e/white.png", size: 100, mtime: 1000, sha256: "ee", dhash: PLAIN },
+  { file: "e/white too.png", size: 100, mtime: 1000, sha256: "ff", dhash: ALSO_PLAIN },
+];
+
+before(async () => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "gallery-duplicates-"));
+  const cacheFile = path.join(dir, "fingerprints.json");
+  const files = Object.fromEntries(entries.map(({ file, ...fingerprint }) => [file, fingerprint]));
+  fs.writeFileSync(cacheFile, JSON.stringify({ version: 1, files }));
+  finder = createDuplicateFinder({ rootDir: dir, cacheFile, thumbnailer: { canResize: () => false } });
+  await finder.ready;
+});
+
+after(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+const indexEntry = ({ file, size, mtime }) => ({ file, size, mtime });
+const groupFiles = (groups) => groups.map((group) => group.entries.map((entry) => entry.file));
+
+test("exact copies and similar pictures are grouped, biggest waste first", () => {
+  const groups = finder.findGroups(entries.map(indexEntry));
+  assert.deepEqual(groupFiles(groups), [
+    ["c/clip (2).mp4", "c/clip.mp4"],
+    ["b/beach copy.jpg", "b/beach small.jpg", "a/beach.jpg"],
+  ]);
+  assert.deepEqual(
+    groups.map((group) => [group.identical, group.wastedBytes]),
+    [
+      [true, 9000],
+      [false, 3500],
+    ],
+  );
+});
+
+test("copies with the same contents are identical even when some are also similar", () => {
+  const groups = finder.findGroups(entries.filter((entry) => entry.sha256 === "aa").map(indexEntry));
+  assert.deepEqual(groupFiles(groups), [["b/beach copy.jpg", "a/beach.jpg"]]);
+  assert.equal(groups[0].identical, true);
+});
+
+test("files changed since they were fingerprinted are left out", () => {
+  const changed = entries.map((entry) =>
+    entry.file === "b/beach copy.jpg" ? { ...indexEntry(entry), mtime: 5000 } : indexEntry(entry),
+  );
+  assert.deepEqual(groupFiles(finder.findGroups(changed))[1], ["b/beach small.jpg", "a/beach.jpg"]);
+  assert.deepEqual(finder.findGroups([{ file: "new.jpg", size: 1, mtime: 1 }]), []);
+});
+
+test("a photo's capture date orders its group", () => {
+  const withExif = entries.map((entry) =>
+    entry.file === "a/beach.jpg" ? { ...indexEntry(entry), exif: { DateTimeOriginal: 0.5 } } : indexEntry(entry),
+  );
+  assert.equal(finder.findGroups(withExif)[1].entries[0].file, "a/beach.jpg");
+});
@@ -0,0 +1,117 @@
+const { test, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  safeFileName,
+  resolveInLibrary,
+  claimName,
+  linkWithoutReplacing,
+  moveWithoutReplacing,
+} = require("../lib/files");
+
+let dir;
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "gallery-files-"));
+});
+
+afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+// Write a file in the test folder and return its path
+const file = (name, contents = name) => {
+  const filePath = path.join(dir, name);
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, contents);
+  return filePath;
+};
+
+const read = (name) => fs.readFileSync(path.join(dir, name), "utf8");
+
+// Make link() fail the way it does on filesystems without hard links
+const withoutHardLinks = (t) =>
+  t.mock.method(fs.promises, "link", async () => {
+    throw Object.assign(new Error("operation not permitted"), { code: "EPERM" });
+  });
+
+test("safeFileName keeps only the last part of a name and drops leading dots", () => {
+  assert.equal(safeFileName("../../etc/passwd"), "passwd");
+  assert.equal(safeFileName("..\\..\\boot.ini"), "boot.ini");
+  assert.equal(safeFileName(".htaccess"), "htaccess");
+  assert.equal(safeFileName("a<b>:c?.jpg"), "a_b__c_.jpg");
+  assert.equal(safeFileName(".."), "");
+});
+
+test("resolveInLibrary never points outside the library", () => {
+  assert.equal(resolveInLibrary(dir, path.join("album", "a.jpg")), path.join(dir, "album", "a.jpg"));
+  assert.throws(() => resolveInLibrary(dir, path.join("..", "outside.jpg")));
+  assert.throws(() => resolveInLibrary(dir, path.join("album", "..", "..", "outside.jpg")));
+});
+
+test("moveWithoutReplacing moves a file to a free name", async () => {
+  const source = file("a.jpg");
+  await moveWithoutReplacing(source, path.join(dir, "b.jpg"));
+  assert.equal(fs.existsSync(source), false);
+  assert.equal(read("b.jpg"), "a.jpg");
+});
+
+test("moveWithoutReplacing leaves both files alone when the name is taken", async () => {
+  const source = file("a.jpg");
+  file("b.jpg");
+  await assert.rejects(moveWithoutReplacing(source, path.join(dir, "b.jpg")), { code: "EEXIST" });
+  assert.equal(read("a.jpg"), "a.jpg");
+  assert.equal(read("b.jpg"), "b.jpg");
+});
+
+test("moveWithoutReplacing doesn't replace a folder, even an empty one", async () => {
+  file(path.join("from", "a.jpg"), "a.jpg");
+  fs.mkdirSync(path.join(dir, "to"));
+  await assert.rejects(moveWithoutReplacing(path.join(dir, "from"), path.join(dir, "to")), { code: "EEXIST" });
+  assert.equal(read(path.join("from", "a.jpg")), "a.jpg");
+
+  await moveWithoutReplacing(path.join(dir, "from"), path.join(dir, "moved"));
+  assert.equal(read(path.join("moved", "a.jpg")), "a.jpg");
+});
+
+test("moveWithoutReplacing copies where the filesystem has no hard links", async (t) => {
+  withoutHardLinks(t);
+  const source = file("a.jpg");
+  file("taken.jpg");
+  await assert.rejects(moveWithoutReplacing(source, path.join(dir, "taken.jpg")), { code: "EEXIST" });
+  assert.equal(read("taken.jpg"), "taken.jpg");
+
+  await moveWithoutReplacing(source, path.join(dir, "b.jpg"));
+  assert.equal(fs.existsSync(source), false);
+  assert.equal(read("b.jpg"), "a.jpg");
+});
+
+test("linkWithoutReplacing passes on errors that aren't about missing hard links", async () => {
+  await assert.rejects(linkWithoutReplacing(path.join(dir, "missing.jpg"), path.join(dir, "b.jpg")), {
+    code: "ENOENT",
+  });
+  assert.equal(fs.existsSync(path.join(dir, "b.jpg")), false);
+});
+
+test("claimName numbers the name until one is free", async () => {
+  const source = file("upload.part");
+  file("beach.jpg");
+  file("beach (2).jpg");
+  const claim = (candidatePath) => linkWithoutReplacing(source, candidatePath);
+  assert.equal(await claimName(dir, "beach.jpg", claim), "beach (3).jpg");
+  assert.equal(await claimName(dir, "beach.jpg", claim), "beach (4).jpg");
+  assert.equal(read("beach.jpg"), "beach.jpg");
+  assert.equal(read("beach (3).jpg"), "upload.part");
+});
+
+test("claimName gives up on other errors", async () => {
+  const failure = Object.assign(new Error("disk full"), { code: "ENOSPC" });
+  await assert.rejects(
+    claimName(dir, "beach.jpg", async () => {
+      throw failure;
+    }),
+    failure,
+  );
+});
@@ -0,0 +1,37 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+const { relativePathFromSegments, parentFolder, toUrlPath } = require("../lib/gallery");
+
+// Route wildcards come straight from the URL, already percent-decoded, so every way of climbing out of the
+// library has to be refused here
+
+test("relativePathFromSegments joins the segments of a path inside the library", () => {
+  assert.equal(relativePathFromSegments(["2024", "summer", "beach.jpg"]), path.join("2024", "summer", "beach.jpg"));
+  assert.equal(relativePathFromSegments(["2024", "", "beach.jpg"]), path.join("2024", "beach.jpg"));
+  assert.equal(relativePathFromSegments(["..hidden-but-harmless"]), "..hidden-but-harmless");
+});
+
+test("relativePathFromSegments refuses . and .. segments", () => {
+  assert.equal(relativePathFromSegments([".."]), null);
+  assert.equal(relativePathFromSegments(["2024", "..", "..", "etc", "passwd"]), null);
+  assert.equal(relativePathFromSegments(["2024", "."]), null);
+});
+
+test("relativePathFromSegments refuses segments hiding separators or NUL bytes", () => {
+  // e.g. /api/v1/media/..%2F..%2Fetc%2Fpasswd
+  assert.equal(relativePathFromSegments(["../../etc/passwd"]), null);
+  assert.equal(relativePathFromSegments(["..\\..\\windows"]), null);
+  assert.equal(relativePathFromSegments(["/etc"]), null);
+  assert.equal(relativePathFromSegments(["beach.jpg\0.txt"]), null);
+});
+
+test("parentFolder names the album a path is in", () => {
+  assert.equal(parentFolder("beach.jpg"), "");
+  assert.equal(parentFolder(path.join("2024", "summer", "beach.jpg")), path.join("2024", "summer"));
+});
+
+test("toUrlPath percent-encodes every segment", () => {
+  assert.equal(toUrlPath(path.join("2024", "a b#1.jpg")), "/2024/a%20b%231.jpg");
+  assert.equal(toUrlPath("beach.jpg", "/alice"), "/alice/beach.jpg");
+});
@@ -0,0 +1,61 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+const express = require("express");
+const { createGeoExportRouter } = require("../lib/geoExport");
+
+let server;
+let baseUrl;
+
+// A geotagged photo whose EXIF description came with NUL padding and markup
+const pier = {
+  file: path.join("2024", "pier.jpg"),
+  type: "jpeg",
+  ext: ".jpg",
+  size: 1000,
+  mtime: Date.UTC(2024, 6, 14),
+  caption: "Sunset <at> the pier\0\0\0",
+  tags: [],
+  exif: { GPSLatitude: 52.5, GPSLongitude: -1.25, DateTimeOriginal: Date.UTC(2024, 6, 14, 18) / 1000 },
+};
+const indoors = { ...pier, file: path.join("2024", "indoors.jpg"), caption: "Indoors", exif: {} };
+
+before(async () => {
+  const folders = {
+    "": { files: [], subfolders: ["2024"], album: {} },
+    2024: { files: [pier, indoors], subfolders: [], album: {} },
+  };
+  const mediaIndex = { ready: Promise.resolve(), getFolder: (folderRelativePath) => folders[folderRelativePath] };
+  const app = express();
+  app.use("/export", createGeoExportRouter({ mediaIndex, rootTitle: "Gallery" }));
+  await new Promise((resolve) => {
+    server = app.listen(0, "127.0.0.1", resolve);
+  });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.close();
+});
+
+test("KML holds only characters XML allows, with text escaped", async () => {
+  const response = await fetch(`${baseUrl}/export/kml/2024`);
+  assert.equal(response.headers.get("content-type"), "application/vnd.google-earth.kml+xml; charset=utf-8");
+  const kml = await response.text();
+  assert.doesNotMatch(kml, /[\x00-\x08\x0B\x0C\x0E-\x1F]/);
+  assert.match(kml, /<name>Sunset &lt;at&gt; the pier<\/name>/);
+  assert.match(kml, /<coordinates>-1.25,52.5<\/coordinates>/);
+  assert.equal(kml.match(/<Placemark>/g).length, 1);
+});
+
+test("GeoJSON has a point for each geotagged photo, longitude first", async () => {
+  const geojson = await (await fetch(`${baseUrl}/export/geojson`)).json();
+  assert.equal(geojson.features.length, 1);
+  assert.deepEqual(geojson.features[0].geometry, { type: "Point", coordinates: [-1.25, 52.5] });
+  assert.equal(geojson.features[0].properties.album, "2024");
+});
+
+test("unknown formats and albums are not found", async () => {
+  assert.equal((await fetch(`${baseUrl}/export/gpx`)).status, 404);
+  assert.equal((await fetch(`${baseUrl}/export/kml/missing`)).status, 404);
+});
@@ -0,0 +1,129 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { spawn } = require("child_process");
+const sharp = require("sharp");
+const { hashPassword } = require("../lib/auth");
+
+// The whole server, started on a library whose top-level folders are named like the gallery's own pages,
+// which must win over those albums. Everything is public; alice can log in for the trash and duplicates pages.
+
+let dir;
+let server;
+let baseUrl;
+
+// Folders holding one photo each; the first is an ordinary album
+const FOLDERS = ["summer", "timeline", "search", "favorites", "ratings/5", "tags/sea", "recent", "trash", "duplicates"];
+
+before(async () => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "gallery-routes-"));
+  const png = await sharp({ create: { width: 4, height: 4, channels: 3, background: "#c4a484" } })
+    .png()
+    .toBuffer();
+  for (const folder of FOLDERS) {
+    fs.mkdirSync(path.join(dir, "photos", folder), { recursive: true });
+    fs.writeFileSync(path.join(dir, "photos", folder, "photo.png"), png);
+  }
+  fs.writeFileSync(
+    path.join(dir, "auth.json"),
+    JSON.stringify({
+      secret: "0123456789abcdef0123",
+      users: { alice: { password: await hashPassword("alicepw") } },
+      albums: { "/": "public" },
+    }),
+  );
+
+  server = spawn(process.execPath, [path.join(__dirname, "..", "server.js")], {
+    env: {
+      ...process.env,
+      PORT: "0",
+      GALLERY_CONFIG: path.join(dir, "gallery.config.json"),
+      GALLERY_ROOT: path.join(dir, "photos"),
+      GALLERY_CACHE_DIR: path.join(dir, "cache"),
+      GALLERY_AUTH_FILE: path.join(dir, "auth.json"),
+      GALLERY_AUDIT_LOG: path.join(dir, "audit.log"),
+    },
+    stdio: ["ignore", "pipe", "inherit"],
+  });
+  baseUrl = await new Promise((resolve, reject) => {
+    let output = "";
+    server.stdout.on("data", (chunk) => {
+      output += chunk;
+      const match = output.match(/Server is running on (\S+)/);
+      if (match) resolve(match[1]);
+    });
+    server.on("exit", (code) => reject(new Error(`The server stopped (${code}) before it was ready`)));
+  });
+});
+
+after(async () => {
+  if (server.exitCode === null) {
+    const exited = new Promise((resolve) => server.on("exit", resolve));
+    server.kill("SIGTERM");
+    await exited;
+  }
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+// Status and page title of a page, for a guest or, given the session cookie, a logged-in user
+const page = async (urlPath, cookie = "") => {
+  const response = await fetch(baseUrl + urlPath, { headers: { cookie }, redirect: "manual" });
+  const match = (await response.text()).match(/<title>([^<]*)<\/title>/);
+  return { status: response.status, title: match ? match[1] : null };
+};
+
+// The session cookie of a user who logged in
+const logIn = async (username, password) => {
+  const response = await fetch(`${baseUrl}/login`, {
+    method: "POST",
+    body: new URLSearchParams({ username, password }),
+    redirect: "manual",
+  });
+  return (response.headers.get("set-cookie") || "").split(";")[0];
+};
+
+test("albums and their files are served", async () => {
+  assert.deepEqual(await page("/summer"), { status: 200, title: "VCC Gallery - summer" });
+  assert.equal((await fetch(`${baseUrl}/summer/photo.png`)).headers.get("content-type"), "image/png");
+});
+
+test("the timeline wins over an album named timeline", async () => {
+  assert.deepEqual(await page("/timeline"), { status: 200, title: "VCC Gallery - Timeline" });
+  // The files in it are still there
+  assert.equal((await fetch(`${baseUrl}/timeline/photo.png`)).status, 200);
+});
+
+test("the search page wins over an album named search", async () => {
+  assert.deepEqual(await page("/search?q=photo"), { status: 200, title: "VCC Gallery - Search" });
+});
+
+test("the virtual albums win over albums with the same names", async () => {
+  assert.deepEqual(await page("/favorites"), { status: 200, title: "VCC Gallery - \u2665 Favorites" });
+  assert.deepEqual(await page("/ratings/5"), { status: 200, title: "VCC Gallery - \u2605\u2605\u2605\u2605\u2605" });
+  assert.deepEqual(await page("/tags/sea"), { status: 200, title: "VCC Gallery - # sea" });
+  // Anything that isn't a star rating is still an album
+  assert.deepEqual(await page("/ratings"), { status: 200, title: "VCC Gallery - ratings" });
+});
+
+test("recently added wins over an album named recent", async () => {
+  assert.deepEqual(await page("/recent"), { status: 200, title: "VCC Gallery - Recently added" });
+});
+
+test("the trash wins over an album named trash", async () => {
+  assert.deepEqual(await page("/trash", await logIn("alice", "alicepw")), {
+    status: 200,
+    title: "VCC Gallery - Trash",
+  });
+  // Guests are sent to log in rather than shown the album
+  assert.equal((await page("/trash")).status, 302);
+});
+
+test("the duplicates page wins over an album named duplicates", async () => {
+  assert.deepEqual(await page("/duplicates", await logIn("alice", "alicepw")), {
+    status: 200,
+    title: "VCC Gallery - Duplicates",
+  });
+  assert.equal((await page("/duplicates")).status, 302);
+});
@@ -0,0 +1,122 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+const {
+  parseSearchCriteria,
+  searchQueryString,
+  hasSearchCriteria,
+  searchMedia,
+  searchFacets,
+} = require("../lib/search");
+
+// Index entries, with only the fields search looks at
+const entry = (file, fields = {}) => ({
+  file,
+  ext: path.extname(file).toLowerCase(),
+  type: path.extname(file).toLowerCase() === ".mp4" ? "mp4" : "jpeg",
+  mtime: Date.UTC(2024, 0, 1),
+  caption: path.basename(file, path.extname(file)),
+  tags: [],
+  ...fields,
+});
+
+const beach = entry(path.join("2024", "beach.jpg"), {
+  exif: { DateTimeOriginal: Date.UTC(2024, 6, 14, 18) / 1000, Model: "X100V", ImageDescription: "Sunset at the pier" },
+  favorite: true,
+  rating: 5,
+  tags: ["Holiday", "sea"],
+});
+const clip = entry(path.join("2024", "waves.mp4"), { mtime: Date.UTC(2024, 6, 15), rating: 3, tags: ["sea"] });
+const snow = entry(path.join("2023", "snow.JPG"), {
+  exif: { DateTimeOriginal: Date.UTC(2023, 11, 31, 23, 59) / 1000, Model: "Pixel 8" },
+  ext: ".jpg",
+});
+const entries = [beach, clip, snow];
+
+const files = (criteria) => searchMedia(entries, criteria).map((item) => path.basename(item.file));
+
+test("parseSearchCriteria keeps the filters it understands", () => {
+  assert.deepEqual(
+    parseSearchCriteria({
+      q: "  sunset pier ",
+      from: "2024-01-01",
+      to: "2024-12-31",
+      type: "image",
+      ext: "JPG, .png,,",
+      camera: "X100V",
+      tag: "sea",
+      rating: "4",
+      favorite: "1",
+    }),
+    {
+      criteria: {
+        q: "sunset pier",
+        from: "2024-01-01",
+        to: "2024-12-31",
+        type: "image",
+        ext: ".jpg,.png",
+        camera: "X100V",
+        tag: "sea",
+        rating: "4",
+        favorite: "1",
+      },
+      invalid: [],
+    },
+  );
+});
+
+test("parseSearchCriteria names the filters that are invalid", () => {
+  assert.deepEqual(parseSearchCriteria({ from: "yesterday", type: "audio", rating: "6", favorite: "yes" }), {
+    criteria: {},
+    invalid: ["from", "type", "rating", "favorite"],
+  });
+  // Repeated parameters arrive as arrays, and blank ones are as good as missing
+  assert.deepEqual(parseSearchCriteria({ q: ["a", "b"], to: " ", camera: "" }), { criteria: {}, invalid: [] });
+});
+
+test("parseSearchCriteria refuses dates that don't exist", () => {
+  assert.deepEqual(parseSearchCriteria({ from: "2024-02-31", to: "2023-02-29" }).invalid, ["from", "to"]);
+  assert.deepEqual(parseSearchCriteria({ from: "2024-13-01", to: "2024-00-10" }).invalid, ["from", "to"]);
+  assert.deepEqual(parseSearchCriteria({ from: "2024-02-29", to: "2024-2-29" }), {
+    criteria: { from: "2024-02-29" },
+    invalid: ["to"],
+  });
+});
+
+test("searchQueryString and hasSearchCriteria", () => {
+  assert.equal(searchQueryString({ q: "a b", tag: "sea", rating: "" }), "q=a+b&tag=sea");
+  assert.equal(hasSearchCriteria({}), false);
+  assert.equal(hasSearchCriteria({ favorite: "1" }), true);
+});
+
+test("searchMedia matches every word in the caption, description or file name", () => {
+  assert.deepEqual(files({ q: "sunset beach" }), ["beach.jpg"]);
+  assert.deepEqual(files({ q: "WAVES.mp4" }), ["waves.mp4"]);
+  assert.deepEqual(files({ q: "sunset snow" }), []);
+});
+
+test("searchMedia filters by capture date, both ends inclusive", () => {
+  assert.deepEqual(files({ from: "2024-07-14", to: "2024-07-14" }), ["beach.jpg"]);
+  assert.deepEqual(files({ to: "2023-12-31" }), ["snow.JPG"]);
+  // Files without an EXIF date go by their modification time
+  assert.deepEqual(files({ from: "2024-07-15" }), ["waves.mp4"]);
+});
+
+test("searchMedia filters by type, extension, camera, tag, rating and favorites", () => {
+  assert.deepEqual(files({ type: "video" }), ["waves.mp4"]);
+  assert.deepEqual(files({ type: "image" }), ["beach.jpg", "snow.JPG"]);
+  assert.deepEqual(files({ ext: ".jpg" }), ["beach.jpg", "snow.JPG"]);
+  assert.deepEqual(files({ camera: "Pixel 8" }), ["snow.JPG"]);
+  assert.deepEqual(files({ tag: "SEA" }), ["beach.jpg", "waves.mp4"]);
+  assert.deepEqual(files({ rating: "4" }), ["beach.jpg"]);
+  assert.deepEqual(files({ favorite: "1" }), ["beach.jpg"]);
+  assert.deepEqual(files({ tag: "sea", type: "image", rating: "3" }), ["beach.jpg"]);
+});
+
+test("searchFacets lists cameras, extensions and tags in use", () => {
+  assert.deepEqual(searchFacets(entries), {
+    cameras: ["Pixel 8", "X100V"],
+    extensions: [".jpg", ".mp4"],
+    tags: ["Holiday", "sea"],
+  });
+});
@@ -0,0 +1,25 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { escapeHtml, escapeXml, serializeForScript } = require("../lib/security");
+
+test("escapeHtml escapes markup and both kinds of quotes", () => {
+  assert.equal(
+    escapeHtml(`<img src="x" onerror='alert(1)'> & more`),
+    "&lt;img src=&quot;x&quot; onerror=&#39;alert(1)&#39;&gt; &amp; more",
+  );
+});
+
+test("escapeXml also drops the characters XML doesn't allow", () => {
+  // EXIF descriptions are often padded with NULs
+  assert.equal(escapeXml("Pier\0\0\0"), "Pier");
+  assert.equal(escapeXml("a\x01b\x1Fc\uFFFEd & e"), "abcd &amp; e");
+  assert.equal(escapeXml("tab\tand\nline\rbreaks"), "tab\tand\nline\rbreaks");
+  assert.equal(escapeXml(42), "42");
+});
+
+test("serializeForScript can't end the script it's in", () => {
+  const value = { caption: "</script><!-- \u2028\u2029" };
+  const json = serializeForScript(value);
+  assert.doesNotMatch(json, /[<>\u2028\u2029]/);
+  assert.deepEqual(JSON.parse(json), value);
+});
@@ -0,0 +1,139 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const express = require("express");
+const sharp = require("sharp");
+const { createUploadRouter } = require("../lib/upload");
+
+let rootDir;
+let server;
+let baseUrl;
+let png;
+const refreshed = [];
+const audited = [];
+
+before(async () => {
+  rootDir = fs.mkdtempSync(path.join(os.tmpdir(), "gallery-upload-"));
+  fs.mkdirSync(path.join(rootDir, "album"));
+  fs.mkdirSync(path.join(rootDir, "locked"));
+  png = await sharp({ create: { width: 4, height: 4, channels: 3, background: "#c4a484" } })
+    .png()
+    .toBuffer();
+
+  // Just enough of the media index for uploads
+  const folders = new Set(["", "album", "locked"]);
+  const mediaIndex = {
+    ready: Promise.resolve(),
+    getFolder: (folderRelativePath) => (folders.has(folderRelativePath) ? { files: [], subfolders: [] } : null),
+    refresh: async (relativePath) => refreshed.push(relativePath),
+  };
+  const app = express();
+  app.use(
+    "/upload",
+    createUploadRouter({
+      mediaIndex,
+      rootDir,
+      canUpload: (req, folderRelativePath) => folderRelativePath !== "locked",
+      maxFileSize: 1024 * 1024,
+      audit: { record: (req, entry) => audited.push(entry) },
+      extensions: [".jpg", ".png"],
+    }),
+  );
+  await new Promise((resolve) => {
+    server = app.listen(0, "127.0.0.1", resolve);
+  });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.close();
+  fs.rmSync(rootDir, { recursive: true, force: true });
+});
+
+// Upload `files` ([name, contents] pairs) to an album and return the status and answer
+const upload = async (albumUrlPath, files) => {
+  const form = new FormData();
+  for (const [name, contents] of files) form.append("files", new Blob([contents]), name);
+  const response = await fetch(`${baseUrl}/upload${albumUrlPath}`, { method: "POST", body: form });
+  return { status: response.status, body: await response.json() };
+};
+
+// What's left in an album folder, temporary files included
+const folderContents = (folderRelativePath) => fs.readdirSync(path.join(rootDir, folderRelativePath)).sort();
+
+test("images are saved into the album and indexed", async () => {
+  const { status, body } = await upload("/album", [["beach.png", png]]);
+  assert.equal(status, 200);
+  assert.deepEqual(body, {
+    uploaded: [{ name: "beach.png", path: "album/beach.png", url: "/album/beach.png" }],
+    rejected: [],
+  });
+  assert.deepEqual(fs.readFileSync(path.join(rootDir, "album", "beach.png")), png);
+  assert.ok(refreshed.includes(path.join("album", "beach.png")));
+  assert.equal(audited.at(-1).ok, true);
+});
+
+test("an upload never replaces a file with the same name", async () => {
+  fs.writeFileSync(path.join(rootDir, "photo.png"), "already here");
+  const { status, body } = await upload("", [
+    ["photo.png", png],
+    ["photo.png", png],
+  ]);
+  assert.equal(status, 200);
+  assert.deepEqual(body.uploaded.map((item) => item.name).sort(), ["photo (2).png", "photo (3).png"]);
+  assert.equal(fs.readFileSync(path.join(rootDir, "photo.png"), "utf8"), "already here");
+});
+
+test("files the gallery doesn't show are rejected", async () => {
+  const { status, body } = await upload("/album", [
+    ["setup.exe", png],
+    ["clip.mp4", png],
+  ]);
+  assert.equal(status, 400);
+  assert.deepEqual(
+    body.rejected.map((item) => item.error),
+    ["only .jpg, .png files can be uploaded", "only .jpg, .png files can be uploaded"],
+  );
+  assert.deepEqual(folderContents("album"), ["beach.png"]);
+});
+
+test("files whose contents don't match their extension are rejected and removed", async () => {
+  const html = Buffer.from("<html><script>alert(1)</script></html>".repeat(100));
+  const { status, body } = await upload("/album", [
+    ["page.png", html],
+    ["tiny.jpg", "<svg>"],
+    ["actually-png.jpg", png],
+  ]);
+  assert.equal(status, 400);
+  assert.deepEqual(body.rejected, [
+    { name: "page.png", error: "the file's contents are not PNG" },
+    { name: "tiny.jpg", error: "the file's contents are not JPG" },
+    { name: "actually-png.jpg", error: "the file's contents are not JPG" },
+  ]);
+  assert.deepEqual(folderContents("album"), ["beach.png"]);
+  assert.equal(audited.at(-1).ok, false);
+});
+
+test("files over the size limit are rejected and removed", async () => {
+  const large = Buffer.concat([png, Buffer.alloc(2 * 1024 * 1024)]);
+  const { status, body } = await upload("/album", [["large.png", large]]);
+  assert.equal(status, 400);
+  assert.deepEqual(body.rejected, [{ name: "large.png", error: "larger than the 1 MB limit" }]);
+  assert.deepEqual(folderContents("album"), ["beach.png"]);
+});
+
+test("file names can't leave the album", async () => {
+  const { status, body } = await upload("/album", [["../../escaped.png", png]]);
+  assert.equal(status, 200);
+  assert.equal(body.uploaded[0].path, "album/escaped.png");
+  assert.ok(!fs.existsSync(path.join(rootDir, "..", "escaped.png")));
+});
+
+test("uploads go only to existing albums the visitor may change", async () => {
+  assert.equal((await upload("/missing", [["beach.png", png]])).status, 404);
+  assert.equal((await upload("/..%2F..%2Ftmp", [["beach.png", png]])).status, 404);
+  assert.equal((await upload("/locked", [["beach.png", png]])).status, 403);
+  assert.deepEqual(folderContents("locked"), []);
+});